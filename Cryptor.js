@@ -1,22 +1,121 @@
 const crypto = require("crypto");
 const { stringHasValue } = require("./utils");
 
+const DEFAULT_ALGORITHM = "aes-256-cbc";
+const SUPPORTED_ALGORITHMS = ["aes-256-cbc", "aes-256-gcm"];
+
+/**
+ * aes-256-gcm output is made up of the random initial vector, the
+ * authentication tag and the cipher text, each hex encoded and joined
+ * with this separator. Hex strings never contain it, which lets decrypt()
+ * tell authenticated data apart from legacy aes-256-cbc data.
+ */
+const AUTHENTICATED_DATA_SEPARATOR = ":";
+const GCM_IV_LENGTH = 12;
+const GCM_AUTH_TAG_LENGTH = 16;
+
+const KEY_LENGTH = 32;
+const DEFAULT_KDF = "legacy";
+const SUPPORTED_KDFS = ["legacy", "scrypt", "pbkdf2"];
+const DEFAULT_KDF_PARAMS = {
+  legacy: {},
+  scrypt: { N: 16384, r: 8, p: 1 },
+  pbkdf2: { iterations: 210000, digest: "sha512" },
+};
+
 class Cryptor {
+  static SUPPORTED_ALGORITHMS = SUPPORTED_ALGORITHMS;
   #securityKey;
   #algorithm;
+  #migrateFromAlgorithm;
   #initVector;
-  constructor(cryptoSecret, vectorSecret) {
-    if (!stringHasValue(cryptoSecret) || !stringHasValue(vectorSecret)) {
+  #keyDerivation;
+  constructor(
+    cryptoSecret,
+    vectorSecret,
+    options = {
+      algorithm: DEFAULT_ALGORITHM,
+      kdf: DEFAULT_KDF,
+      salt: null,
+      kdfParams: null,
+      key: null,
+      migrateFromAlgorithm: null,
+    }
+  ) {
+    const hasKey = Boolean(options && options.key);
+    if (
+      !hasKey &&
+      (!stringHasValue(cryptoSecret) || !stringHasValue(vectorSecret))
+    ) {
       throw new Error(
         "Constructor parameters [cryptoSecret] and [vectorSecret] is required."
       );
     }
-    this.#securityKey = crypto
-      .createHash("sha256")
-      .update(String(cryptoSecret))
-      .digest("base64")
-      .substring(0, 32);
-    this.#algorithm = "aes-256-cbc";
+    const algorithm = stringHasValue(options && options.algorithm)
+      ? options.algorithm
+      : DEFAULT_ALGORITHM;
+    if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+      throw new Error(
+        `Unsupported encryption algorithm [${algorithm}]. Supported algorithms are ${SUPPORTED_ALGORITHMS.toString()}.`
+      );
+    }
+    // data encrypted with another algorithm is only decrypted when migrating from it
+    const migrateFromAlgorithm = stringHasValue(
+      options && options.migrateFromAlgorithm
+    )
+      ? options.migrateFromAlgorithm
+      : null;
+    if (
+      migrateFromAlgorithm !== null &&
+      !SUPPORTED_ALGORITHMS.includes(migrateFromAlgorithm)
+    ) {
+      throw new Error(
+        `Unsupported encryption algorithm [${migrateFromAlgorithm}] for option [migrateFromAlgorithm]. Supported algorithms are ${SUPPORTED_ALGORITHMS.toString()}.`
+      );
+    }
+    this.#migrateFromAlgorithm = migrateFromAlgorithm;
+    if (hasKey) {
+      // an already generated key, eg. a data key for envelope encryption
+      if (
+        !Buffer.isBuffer(options.key) ||
+        options.key.length !== KEY_LENGTH ||
+        algorithm !== "aes-256-gcm"
+      ) {
+        throw new Error(
+          `Option [key] must be a ${KEY_LENGTH} byte buffer, and is only supported with algorithm [aes-256-gcm].`
+        );
+      }
+      this.#keyDerivation = { kdf: null, salt: null, kdfParams: {} };
+      this.#securityKey = Buffer.from(options.key);
+      this.#algorithm = algorithm;
+      this.#initVector = null;
+      return;
+    }
+    const kdf = stringHasValue(options && options.kdf)
+      ? options.kdf
+      : DEFAULT_KDF;
+    if (!SUPPORTED_KDFS.includes(kdf)) {
+      throw new Error(
+        `Unsupported key derivation function [${kdf}]. Supported key derivation functions are ${SUPPORTED_KDFS.toString()}.`
+      );
+    }
+    const salt = options && options.salt ? String(options.salt) : null;
+    if (kdf !== "legacy" && !stringHasValue(salt)) {
+      throw new Error(
+        `Option [salt] is required for key derivation function [${kdf}].`
+      );
+    }
+    const kdfParams = {
+      ...DEFAULT_KDF_PARAMS[kdf],
+      ...(options && options.kdfParams ? options.kdfParams : {}),
+    };
+    this.#keyDerivation = {
+      kdf,
+      salt: kdf === "legacy" ? null : salt,
+      kdfParams,
+    };
+    this.#securityKey = Cryptor.#deriveKey(cryptoSecret, this.#keyDerivation);
+    this.#algorithm = algorithm;
     this.#initVector = crypto
       .createHash("sha256")
       .update(String(vectorSecret).split("").reverse().join(""))
@@ -24,9 +123,103 @@ class Cryptor {
       .substring(0, 16);
   }
 
-  encrypt(dataStr) {
+  /**
+   *
+   * @returns A random key to be used with the constructor option [key].
+   */
+  static generateKey() {
+    return crypto.randomBytes(KEY_LENGTH);
+  }
+
+  /**
+   * legacy: first 32 characters of the base64 sha256 digest of the secret. No salt
+   *         or work factor, only kept for data created before key derivation was configurable.
+   * scrypt/pbkdf2: 32 byte key derived with the given salt and parameters.
+   */
+  static #deriveKey(cryptoSecret, { kdf, salt, kdfParams }) {
+    if (kdf === "scrypt") {
+      const { N, r, p } = kdfParams;
+      return crypto.scryptSync(String(cryptoSecret), salt, KEY_LENGTH, {
+        N,
+        r,
+        p,
+        maxmem: 256 * N * r,
+      });
+    }
+    if (kdf === "pbkdf2") {
+      return crypto.pbkdf2Sync(
+        String(cryptoSecret),
+        salt,
+        kdfParams.iterations,
+        KEY_LENGTH,
+        kdfParams.digest
+      );
+    }
+    return crypto
+      .createHash("sha256")
+      .update(String(cryptoSecret))
+      .digest("base64")
+      .substring(0, KEY_LENGTH);
+  }
+
+  getAlgorithm() {
+    return this.#algorithm;
+  }
+
+  getMigrateFromAlgorithm() {
+    return this.#migrateFromAlgorithm;
+  }
+
+  /**
+   *
+   * @returns Whether data encrypted with the algorithm is decrypted, ie. it is the
+   *          configured algorithm, or the one migrated from.
+   */
+  canDecrypt(algorithm) {
+    return (
+      algorithm === this.#algorithm || algorithm === this.#migrateFromAlgorithm
+    );
+  }
+
+  #verifyAlgorithm(algorithm) {
+    if (!this.canDecrypt(algorithm)) {
+      throw new Error(
+        `Data was encrypted with algorithm [${algorithm}], but algorithm [${
+          this.#algorithm
+        }] is configured. Use option [migrateFromAlgorithm] to read and migrate it.`
+      );
+    }
+  }
+
+  /**
+   *
+   * @returns An object with the key derivation function name [kdf], its [salt] and [kdfParams].
+   */
+  getKeyDerivation() {
+    return {
+      ...this.#keyDerivation,
+      kdfParams: { ...this.#keyDerivation.kdfParams },
+    };
+  }
+
+  /**
+   * [additionalData] is authenticated, but not encrypted, together with aes-256-gcm
+   * data, eg. a file header, and has to be given to decrypt it again.
+   */
+  encrypt(dataStr, additionalData = null) {
+    if (this.#algorithm === "aes-256-gcm") {
+      const { initVector, authTag, encryptedData } = this.#encryptAuthenticated(
+        Buffer.from(dataStr, "utf-8"),
+        additionalData
+      );
+      return [
+        initVector.toString("hex"),
+        authTag.toString("hex"),
+        encryptedData.toString("hex"),
+      ].join(AUTHENTICATED_DATA_SEPARATOR);
+    }
     const encryptor = crypto.createCipheriv(
-      this.#algorithm,
+      "aes-256-cbc",
       this.#securityKey,
       this.#initVector
     );
@@ -35,9 +228,26 @@ class Cryptor {
     return encryptedData;
   }
 
-  decrypt(dataStr) {
+  decrypt(dataStr, additionalData = null) {
+    // the algorithm of the data is told by its format
+    if (String(dataStr).includes(AUTHENTICATED_DATA_SEPARATOR)) {
+      this.#verifyAlgorithm("aes-256-gcm");
+      const parts = String(dataStr).split(AUTHENTICATED_DATA_SEPARATOR);
+      if (parts.length !== 3) {
+        throw new Error(
+          "Data integrity check failed. Encrypted data is malformed or has been modified."
+        );
+      }
+      return this.#decryptAuthenticated(
+        Buffer.from(parts[0], "hex"),
+        Buffer.from(parts[1], "hex"),
+        Buffer.from(parts[2], "hex"),
+        additionalData
+      ).toString("utf-8");
+    }
+    this.#verifyAlgorithm("aes-256-cbc");
     const decryptor = crypto.createDecipheriv(
-      this.#algorithm,
+      "aes-256-cbc",
       this.#securityKey,
       this.#initVector
     );
@@ -45,6 +255,116 @@ class Cryptor {
     decryptedData += decryptor.final("utf-8");
     return decryptedData;
   }
+
+  async encryptAsync(dataStr, additionalData = null) {
+    return this.encrypt(dataStr, additionalData);
+  }
+
+  async decryptAsync(dataStr, additionalData = null) {
+    return this.decrypt(dataStr, additionalData);
+  }
+
+  /**
+   * Binary counterpart of encrypt(). aes-256-gcm output is the initial vector,
+   * followed by the authentication tag and the cipher text.
+   */
+  encryptBuffer(dataBuffer, additionalData = null) {
+    if (this.#algorithm === "aes-256-gcm") {
+      const { initVector, authTag, encryptedData } = this.#encryptAuthenticated(
+        dataBuffer,
+        additionalData
+      );
+      return Buffer.concat([initVector, authTag, encryptedData]);
+    }
+    const encryptor = crypto.createCipheriv(
+      "aes-256-cbc",
+      this.#securityKey,
+      this.#initVector
+    );
+    return Buffer.concat([encryptor.update(dataBuffer), encryptor.final()]);
+  }
+
+  /**
+   * Binary counterpart of decrypt(). Binary data does not reveal its algorithm,
+   * hence it can be given, eg. from a file header. Default is the configured algorithm.
+   */
+  decryptBuffer(
+    dataBuffer,
+    algorithm = this.#algorithm,
+    additionalData = null
+  ) {
+    if (SUPPORTED_ALGORITHMS.includes(algorithm)) {
+      this.#verifyAlgorithm(algorithm);
+    }
+    if (algorithm === "aes-256-gcm") {
+      const authTagEnd = GCM_IV_LENGTH + GCM_AUTH_TAG_LENGTH;
+      return this.#decryptAuthenticated(
+        dataBuffer.subarray(0, GCM_IV_LENGTH),
+        dataBuffer.subarray(GCM_IV_LENGTH, authTagEnd),
+        dataBuffer.subarray(authTagEnd),
+        additionalData
+      );
+    }
+    if (algorithm !== "aes-256-cbc" || this.#initVector === null) {
+      throw new Error(`Unsupported encryption algorithm [${algorithm}].`);
+    }
+    const decryptor = crypto.createDecipheriv(
+      "aes-256-cbc",
+      this.#securityKey,
+      this.#initVector
+    );
+    return Buffer.concat([decryptor.update(dataBuffer), decryptor.final()]);
+  }
+
+  #encryptAuthenticated(dataBuffer, additionalData) {
+    // a fresh initial vector for every call
+    const initVector = crypto.randomBytes(GCM_IV_LENGTH);
+    const encryptor = crypto.createCipheriv(
+      "aes-256-gcm",
+      this.#securityKey,
+      initVector,
+      { authTagLength: GCM_AUTH_TAG_LENGTH }
+    );
+    if (additionalData !== null) {
+      encryptor.setAAD(additionalData);
+    }
+    const encryptedData = Buffer.concat([
+      encryptor.update(dataBuffer),
+      encryptor.final(),
+    ]);
+    return { initVector, authTag: encryptor.getAuthTag(), encryptedData };
+  }
+
+  #decryptAuthenticated(initVector, authTag, encryptedData, additionalData) {
+    if (
+      initVector.length !== GCM_IV_LENGTH ||
+      authTag.length !== GCM_AUTH_TAG_LENGTH
+    ) {
+      throw new Error(
+        "Data integrity check failed. Encrypted data is malformed or has been modified."
+      );
+    }
+    try {
+      const decryptor = crypto.createDecipheriv(
+        "aes-256-gcm",
+        this.#securityKey,
+        initVector,
+        { authTagLength: GCM_AUTH_TAG_LENGTH }
+      );
+      decryptor.setAuthTag(authTag);
+      if (additionalData !== null) {
+        decryptor.setAAD(additionalData);
+      }
+      return Buffer.concat([
+        decryptor.update(encryptedData),
+        decryptor.final(),
+      ]);
+    } catch (error) {
+      throw new Error(
+        "Data integrity check failed. Encrypted data has been modified or was not encrypted with the provided secrets."
+      );
+    }
+  }
 }
 
 module.exports = Cryptor;
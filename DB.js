@@ -1,6 +1,12 @@
-const DataReadWriter = require("./DataReadWriter");
+const defaultDataReadWriter = require("./DataReadWriter");
+const { createDataReadWriter } = defaultDataReadWriter;
 const fs = require("fs");
+const crypto = require("crypto");
 const path = require("path");
+const { EventEmitter } = require("events");
+const Query = require("./Query");
+const EntityIndex = require("./EntityIndex");
+const DuplicateKeyError = require("./DuplicateKeyError");
 const {
   stringHasValue,
   objectHasMethod,
@@ -11,8 +17,27 @@ const BUFFER_ENCODING = "utf-8";
 const DEFAULT_ENTITY_EXPORT_FILENAME = (entity) => {
   return `db_export_${entity}.json`;
 };
+const DEFAULT_WATCH_DEBOUNCE = 100;
+const WATCH_CONFLICT_POLICIES = ["reject", "overwrite", "emit"];
+const DURABILITIES = ["none", "fsync", "batched"];
+const NANOID_ALPHABET =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789_-";
+const NANOID_LENGTH = 21;
+const ID_GENERATORS = {
+  uuid: () => crypto.randomUUID(),
+  // 64 characters, so that every random byte picks one evenly
+  nanoid: () =>
+    [...crypto.randomBytes(NANOID_LENGTH)]
+      .map((b) => NANOID_ALPHABET[b & 63])
+      .join(""),
+};
+const ID_STRATEGIES = [...Object.keys(ID_GENERATORS), "autoincrement"];
 
-const moduleFn = (function () {
+/**
+ * Every database holds its own entities and data in memory, and reads and writes its
+ * files with its own data read writer.
+ */
+const createDatabaseWith = function (DataReadWriter, defaultBuildOptions) {
   /**
    * entites is a key-value map of unique, plural
    * string values, used to initialize the DataReadWriter
@@ -56,6 +81,29 @@ const moduleFn = (function () {
   let entityImportData = {};
   let entireDBImportData = {};
 
+  /**
+   * unsavedEntities are the entities with changes in memory which have not been saved
+   * yet. Changes are never unsaved with the journal, which persists them immediately.
+   */
+  let unsavedEntities = new Set();
+
+  /**
+   * entityIndexes maps each entity to the EntityIndex of its data in entityDataMap. An
+   * index is rebuilt when it was built for a previous data list, eg. after a reload.
+   */
+  let entityIndexes = {};
+
+  /**
+   * events emits "reload" (entity) when an entity was reloaded after its data file was
+   * changed by another process, and "conflict" ({ entity, reload }) when the changed
+   * entity has unsaved changes, with conflict policy "emit".
+   */
+  const events = new EventEmitter();
+
+  // fs.watch watchers of the data directories, and debounce timers by entity
+  let watchers = [];
+  let watchTimers = {};
+
   const isRunning = () => {
     return (
       entities &&
@@ -80,6 +128,277 @@ const moduleFn = (function () {
     return result;
   };
 
+  const generateShardingOptions = () => {
+    return Object.keys(entities)
+      .filter((e) => entities[e].options.sharding !== null)
+      .reduce((acc, e) => {
+        const { identifierKey, sharding } = entities[e].options;
+        return {
+          ...acc,
+          [e]: {
+            maxRecords: sharding.maxRecords,
+            maxBytes: sharding.maxBytes,
+            identifierKey: identifierKey ? identifierKey : "id",
+          },
+        };
+      }, {});
+  };
+
+  const generateEntityDurability = () => {
+    return Object.keys(entities)
+      .filter((e) => entities[e].options.durability !== null)
+      .reduce((acc, e) => {
+        return {
+          ...acc,
+          [e]: entities[e].options.durability,
+        };
+      }, {});
+  };
+
+  /**
+   * Filters are either callbacks, or filter objects which are compiled by Query,
+   * eg. { rating: { $gte: 3 } }
+   */
+  const toFilterCallback = (filter) => {
+    if (typeof filter === "function") {
+      return filter;
+    }
+    if (filter && typeof filter === "object" && !Array.isArray(filter)) {
+      return Query.compileFilter(filter);
+    }
+    // any other value is ignored, as before filter objects were supported
+    return null;
+  };
+
+  /**
+   * The data objects in memory are indexed, hence finding data returns copies of the found
+   * data objects, which callers can change without making the indexes stale.
+   */
+  const copyData = (value) => {
+    if (Array.isArray(value)) {
+      return value.map(copyData);
+    }
+    if (Query.isPlainObject(value)) {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, v]) => [key, copyData(v)])
+      );
+    }
+    return value;
+  };
+
+  const getEntityIndex = (entity) => {
+    if (!entityDataMap || !Object.keys(entityDataMap).includes(entity)) {
+      return null;
+    }
+    if (!entityIndexes[entity]) {
+      const { identifierKey, indexes, unique } = entities[entity].options;
+      entityIndexes[entity] = new EntityIndex(identifierKey || "id", [
+        ...indexes,
+        ...unique,
+      ]);
+    }
+    const index = entityIndexes[entity];
+    if (!index.isBuiltFor(entityDataMap[entity])) {
+      index.build(entityDataMap[entity]);
+    }
+    return index;
+  };
+
+  /**
+   *
+   * @returns The positions of the data objects with the given identifier in the data list, which are looked up in the index when the data list is in memory.
+   */
+  const findPositionsByIdentifier = (entity, data, id) => {
+    const { identifierKey } = entities[entity].options;
+    const key = identifierKey || "id";
+    const index =
+      data === entityDataMap[entity] ? getEntityIndex(entity) : null;
+    const positions = index
+      ? index.findPositions({ [key]: id })
+      : data.map((item, position) => position);
+    return (positions || []).filter((p) => data[p][key] === id);
+  };
+
+  /**
+   * Throws a DuplicateKeyError when a data object has the same values of the identifier
+   * key, or of a unique key, as another data object of the data list or of its batch.
+   *
+   * @param {number[]} [positions] - (optional) The positions of updated data objects in the data list.
+   */
+  const validateUniqueKeys = (entity, data, dataObjs, positions = []) => {
+    const { identifierKey, unique } = entities[entity].options;
+    const uniqueKeys = [identifierKey || "id", ...unique].map((k) =>
+      [].concat(k)
+    );
+    let index = data === entityDataMap[entity] ? getEntityIndex(entity) : null;
+    if (!index) {
+      index = new EntityIndex(identifierKey || "id", unique);
+      index.build(data);
+    }
+    const batchIndex = new EntityIndex(identifierKey || "id", unique);
+    batchIndex.build(dataObjs);
+    dataObjs.forEach((obj, i) => {
+      uniqueKeys.forEach((fields) => {
+        if (
+          index.findDuplicate(obj, fields, positions[i]) > -1 ||
+          batchIndex.findDuplicate(obj, fields, i) > -1
+        ) {
+          throw new DuplicateKeyError(
+            entity,
+            fields,
+            fields.map((f) => Query.getFieldValues(obj, f)[0])
+          );
+        }
+      });
+    });
+  };
+
+  /**
+   * Reserves the next values of the autoincrement sequence of an entity, which is stored
+   * in the metadata. The sequence starts after the largest integer identifier of the data,
+   * and moves past the integer identifiers given to created data objects.
+   */
+  const reserveSequenceValues = async (entity, count, givenIds) => {
+    let ids = givenIds;
+    if (DataReadWriter.getSequenceSync(entity) === null) {
+      const data = Object.keys(entityDataMap).includes(entity)
+        ? entityDataMap[entity]
+        : await DataReadWriter.readAsync(entity);
+      const { identifierKey } = entities[entity].options;
+      ids = [...data.map((obj) => obj[identifierKey || "id"]), ...givenIds];
+    }
+    const floor = ids
+      .filter((id) => Number.isInteger(id) && id > 0)
+      .reduce((max, id) => Math.max(max, id), 0);
+    const start = DataReadWriter.reserveSequenceSync(entity, count, floor);
+    return Array.from({ length: count }, (v, i) => start + i + 1);
+  };
+
+  /**
+   * Fills the identifier key of data objects which have none, with the id strategy of
+   * their entity.
+   */
+  const withGeneratedIdentifiers = async (entity, objs) => {
+    const { identifierKey, idStrategy } = entities[entity].options;
+    if (idStrategy === null) {
+      return objs;
+    }
+    const key = identifierKey || "id";
+    const isDataObj = (obj) => obj && typeof obj === "object";
+    const isMissing = (obj) =>
+      isDataObj(obj) && (obj[key] === undefined || obj[key] === null);
+    let generate;
+    if (idStrategy === "autoincrement") {
+      const ids = await reserveSequenceValues(
+        entity,
+        objs.filter(isMissing).length,
+        objs
+          .filter((obj) => isDataObj(obj) && !isMissing(obj))
+          .map((obj) => obj[key])
+      );
+      generate = () => ids.shift();
+    } else {
+      generate =
+        typeof idStrategy === "function"
+          ? idStrategy
+          : ID_GENERATORS[idStrategy];
+    }
+    return objs.map((obj) =>
+      isMissing(obj) ? { ...obj, [key]: generate(obj) } : obj
+    );
+  };
+
+  const readFiltered = async (entity, filterCallback) => {
+    // sharded entities are filtered chunk by chunk, instead of all at once
+    let data = [];
+    await DataReadWriter.readChunksAsync(entity, (records) => {
+      data = data.concat(
+        filterCallback ? records.filter(filterCallback) : records
+      );
+    });
+    return data;
+  };
+
+  const findFiltered = async (entity, filter, forceFetch) => {
+    const filterCallback = toFilterCallback(filter);
+    if (
+      !forceFetch &&
+      entityDataMap &&
+      Object.keys(entityDataMap).includes(entity)
+    ) {
+      const data = entityDataMap[entity];
+      if (!filterCallback) {
+        return data;
+      }
+      // filter objects on indexed fields are only tested on the indexed data objects
+      const positions =
+        typeof filter === "function"
+          ? null
+          : getEntityIndex(entity).findPositions(filter);
+      return positions
+        ? positions.map((p) => data[p]).filter(filterCallback)
+        : data.filter(filterCallback);
+    }
+    // DO NOT store force fetched data in the map!
+    // this will cause overriding unsaved changes, hence data loss!
+    return await readFiltered(entity, filterCallback);
+  };
+
+  const FIND_OPTIONS = ["sort", "after", "skip", "limit", "fields"];
+
+  const toFindOptions = (options, methodName) => {
+    // the third argument used to be [forceFetch]
+    if (typeof options === "boolean") {
+      return { forceFetch: options };
+    }
+    if (options === null || options === undefined) {
+      return {};
+    }
+    if (typeof options !== "object" || Array.isArray(options)) {
+      throw new Error(
+        `Invalid parameter [options] provided for function [${methodName}].`
+      );
+    }
+    return options;
+  };
+
+  const findWithOptions = async (entity, filter, options) => {
+    const data = await findFiltered(
+      entity,
+      filter,
+      options.forceFetch === true
+    );
+    if (FIND_OPTIONS.every((o) => options[o] === undefined)) {
+      return copyData(data);
+    }
+    const { identifierKey } = entities[entity].options;
+    const key = identifierKey || "id";
+    const { after } = options;
+    const cursorId = Query.isPlainObject(after) ? after[key] : after;
+    if (
+      cursorId !== undefined &&
+      cursorId !== null &&
+      !data.some((obj) => obj[key] === cursorId)
+    ) {
+      // the position of a cursor which no longer matches the filter is in the unfiltered data
+      const allData = await findFiltered(
+        entity,
+        null,
+        options.forceFetch === true
+      );
+      const filterCallback = toFilterCallback(filter);
+      return copyData(
+        Query.applyOptions(
+          filterCallback ? allData.filter(filterCallback) : allData,
+          options,
+          key,
+          allData
+        )
+      );
+    }
+    return copyData(Query.applyOptions(data, options, key));
+  };
+
   const validateEntityImportDataStructure = (data) => {
     /**
      * Import data structure must be a list of objects
@@ -142,6 +461,36 @@ const moduleFn = (function () {
     }
   };
 
+  /**
+   * Options [indexes] and [unique] are lists of field paths, or lists of field paths for
+   * several fields, eg. ["email", ["author", "year"]].
+   */
+  const validateFieldPathsOption = (options, optionName, description) => {
+    const value = options[optionName];
+    const fieldPaths = Array.isArray(value)
+      ? value.map((i) => (Array.isArray(i) ? [...i] : i))
+      : [];
+    if (
+      (value !== undefined && value !== null && !Array.isArray(value)) ||
+      fieldPaths.some(
+        (i) =>
+          (Array.isArray(i) && i.length === 0) ||
+          [].concat(i).some((f) => typeof f !== "string" || !stringHasValue(f))
+      )
+    ) {
+      throw new Error(
+        `Option [${optionName}] must be a list of field paths, or lists of field paths for ${description}, for function [registerEntity].`
+      );
+    }
+    return fieldPaths;
+  };
+
+  const findEncryptedFieldPath = (fieldPaths, encryptedFields) => {
+    return fieldPaths
+      .flat()
+      .find((f) => encryptedFields.includes(f.split(".")[0]));
+  };
+
   const validateObjParamForMethod = (obj, methodName) => {
     if (!obj || typeof obj !== "object" || Object.keys(obj).length === 0) {
       throw new Error(
@@ -150,12 +499,181 @@ const moduleFn = (function () {
     }
   };
 
+  /**
+   * encryptFields encrypts the values of the encrypted fields of an entity data
+   * object which are not encrypted yet, and decryptFields reverts it.
+   */
+  const encryptFields = (entity, obj) => {
+    const { encryptedFields } = entities[entity].options;
+    if (!obj || encryptedFields.length === 0) {
+      return obj;
+    }
+    const result = { ...obj };
+    encryptedFields.forEach((field) => {
+      if (
+        result[field] !== undefined &&
+        !DataReadWriter.isEncryptedFieldValue(result[field])
+      ) {
+        result[field] = DataReadWriter.encryptFieldValue(result[field]);
+      }
+    });
+    return result;
+  };
+
+  const decryptFields = (entity, obj) => {
+    const { encryptedFields } = entities[entity].options;
+    if (!obj || encryptedFields.length === 0) {
+      return obj;
+    }
+    const result = { ...obj };
+    encryptedFields.forEach((field) => {
+      if (DataReadWriter.isEncryptedFieldValue(result[field])) {
+        result[field] = DataReadWriter.decryptFieldValue(result[field]);
+      }
+    });
+    return result;
+  };
+
+  /**
+   * journalFor appends the created, updated or deleted data objects of an entity
+   * to its journal, when the DB is built with option [journal]
+   */
+  const journalFor = async (entity, op, objs) => {
+    if (!DataReadWriter.isJournalEnabled()) {
+      // persisted by the next save
+      unsavedEntities.add(entity);
+      return;
+    }
+    const entityOptions = entities[entity].options;
+    const objIdentifierKey = entityOptions.identifierKey
+      ? entityOptions.identifierKey
+      : "id";
+    await DataReadWriter.appendToJournalAsync(
+      entity,
+      objs.map((obj) => {
+        const operation = {
+          op,
+          key: objIdentifierKey,
+          id: obj[objIdentifierKey],
+        };
+        return op === "delete" ? operation : { ...operation, data: obj };
+      })
+    );
+  };
+
+  /**
+   * Reads the data of every entity from its files into memory
+   */
+  const loadEntityDataMap = () => {
+    Object.keys(entities).forEach((e) => {
+      // encrypts imported or previously unencrypted field values
+      entityDataMap = {
+        ...entityDataMap,
+        [e]: DataReadWriter.readSync(e).map((obj) => encryptFields(e, obj)),
+      };
+    });
+    unsavedEntities = new Set();
+  };
+
+  const reloadEntity = (entity) => {
+    entityDataMap = {
+      ...entityDataMap,
+      [entity]: DataReadWriter.readSync(entity).map((obj) =>
+        encryptFields(entity, obj)
+      ),
+    };
+    unsavedEntities.delete(entity);
+    events.emit("reload", entity);
+  };
+
+  /**
+   * Reloads an entity whose data file or journal was changed by another process. Unsaved
+   * changes are handled by the conflict policy: "reject" keeps them (and the next save
+   * overwrites the external changes) and emits a "reject" event, "overwrite" discards
+   * them, and "emit" leaves the decision to the listeners of the "conflict" event.
+   */
+  const handleExternalChange = (entity, conflictPolicy) => {
+    try {
+      if (!entities[entity] || !DataReadWriter.hasChangedExternally(entity)) {
+        return;
+      }
+      if (!unsavedEntities.has(entity) || conflictPolicy === "overwrite") {
+        reloadEntity(entity);
+        return;
+      }
+      if (conflictPolicy === "emit") {
+        events.emit("conflict", { entity, reload: () => reloadEntity(entity) });
+        return;
+      }
+      events.emit("reject", entity);
+    } catch (error) {
+      console.log("ERROR while reloading an externally changed entity:");
+      console.error(error);
+    }
+  };
+
+  const startWatching = (debounce, conflictPolicy) => {
+    const entityFilesMap = DataReadWriter.getEntityFilesMap();
+    const filePaths = Object.values(entityFilesMap);
+    if (filePaths.some((f) => f === null)) {
+      throw new Error(
+        'Option [watch] is only supported with the "filesystem" storage.'
+      );
+    }
+    // looked up on every change, since entities can be renamed while watching
+    const getEntityByFileName = (fileName) => {
+      const currentFilesMap = DataReadWriter.getEntityFilesMap() || {};
+      return Object.keys(currentFilesMap).find(
+        (e) =>
+          path.basename(currentFilesMap[e]) === fileName ||
+          path.basename(DataReadWriter.getJournalFilePath(e)) === fileName
+      );
+    };
+    // directories are watched, since atomic writes replace the data files
+    watchers = [...new Set(filePaths.map((f) => path.dirname(f)))].map(
+      (directory) => {
+        const watcher = fs.watch(directory, (eventType, fileName) => {
+          const entity = getEntityByFileName(fileName);
+          if (!entity) {
+            return;
+          }
+          clearTimeout(watchTimers[entity]);
+          watchTimers[entity] = setTimeout(() => {
+            delete watchTimers[entity];
+            handleExternalChange(entity, conflictPolicy);
+          }, debounce);
+          watchTimers[entity].unref();
+        });
+        watcher.on("error", (error) => {
+          console.log("ERROR while watching data files:");
+          console.error(error);
+        });
+        // watching does not keep the process alive
+        watcher.unref();
+        return watcher;
+      }
+    );
+  };
+
+  const decryptAllFields = (dataMap) => {
+    return Object.keys(dataMap).reduce((acc, e) => {
+      return {
+        ...acc,
+        [e]: dataMap[e].map((obj) => decryptFields(e, obj)),
+      };
+    }, {});
+  };
+
   return {
     _resetDBAndDeleteAllData: function () {
       entities = {};
       entityDataMap = {};
       entityImportData = {};
       entireDBImportData = {};
+      unsavedEntities = new Set();
+      entityIndexes = {};
+      this.stopWatching();
+      events.removeAllListeners();
       if (DataReadWriter.isInitialized()) {
         DataReadWriter._resetAndDeleteAllData();
       }
@@ -190,6 +708,12 @@ const moduleFn = (function () {
      * @param {string}    options.identifierKey - Default is "id".
      * @param {function}  options.validateOnCreate - hook: a validation callback every time a new data object is created/updated. Default is a function that returns true.
      * @param {function}  options.preSaveTransform - hook: a callback to perform transformations of data objects for that entity every time before it is created/updated in the data store.  Default is a function that returns the entity data object itself.
+     * @param {string[]}  options.encryptedFields - Fields which are encrypted separately, and stay encrypted in memory, in exports and in retrieved data unless decryption is explicitly requested. Default is an empty list.
+     * @param {string}    options.durability - (optional) Overrides the [durability] build option for this entity: "none", "fsync" or "batched".
+     * @param {(string|string[])[]} options.indexes - (optional) Field paths of secondary indexes, or lists of field paths for compound indexes, eg. ["category", ["author", "year"]]. The identifier key is always indexed. Default is an empty list.
+     * @param {(string|function)} options.idStrategy - (optional) Generates the identifier of data objects created without one: "uuid", "nanoid" (21 url-safe characters), "autoincrement" (integers from a sequence stored in the database metadata), or a function which receives the data object and returns an identifier. Default is no generated identifiers.
+     * @param {(string|string[])[]} options.unique - (optional) Field paths which must be unique, or lists of field paths which must be unique together, eg. ["email", ["author", "title"]]. The identifier key is always unique. Default is an empty list.
+     * @param {Object}    options.sharding - (optional) Split the entity data file into encrypted chunks of at most [maxRecords] data objects and/or [maxBytes] bytes, eg. { maxRecords: 1000 }. Only changed chunks are rewritten on save. Default is a single data file.
      *
      */ registerEntity: function (
       entity,
@@ -226,6 +750,100 @@ const moduleFn = (function () {
           : (dataObj) => {
               return { ...dataObj };
             };
+        const encryptedFields = Array.isArray(options.encryptedFields)
+          ? [...options.encryptedFields]
+          : [];
+        const identifierKey = options.identifierKey
+          ? options.identifierKey
+          : "id";
+        if (
+          encryptedFields.some(
+            (f) => !stringHasValue(f) || typeof f !== "string"
+          )
+        ) {
+          throw new Error(
+            "Option [encryptedFields] must be a list of field names for function [registerEntity]."
+          );
+        }
+        if (encryptedFields.includes(identifierKey)) {
+          throw new Error(
+            `Identifier key [${identifierKey}] can not be an encrypted field.`
+          );
+        }
+        const indexes = validateFieldPathsOption(
+          options,
+          "indexes",
+          "compound indexes"
+        );
+        const encryptedIndexField = findEncryptedFieldPath(
+          indexes,
+          encryptedFields
+        );
+        if (encryptedIndexField) {
+          throw new Error(
+            `Encrypted field [${encryptedIndexField}] can not be indexed.`
+          );
+        }
+        // the identifier key is always unique
+        const unique = validateFieldPathsOption(
+          options,
+          "unique",
+          "unique keys of several fields"
+        );
+        const encryptedUniqueField = findEncryptedFieldPath(
+          unique,
+          encryptedFields
+        );
+        if (encryptedUniqueField) {
+          throw new Error(
+            `Encrypted field [${encryptedUniqueField}] can not be unique.`
+          );
+        }
+        const sharding =
+          options.sharding === undefined || options.sharding === null
+            ? null
+            : options.sharding;
+        if (
+          sharding !== null &&
+          (typeof sharding !== "object" ||
+            [sharding.maxRecords, sharding.maxBytes].every(
+              (v) => v === undefined || v === null
+            ) ||
+            [sharding.maxRecords, sharding.maxBytes].some(
+              (v) =>
+                v !== undefined && v !== null && !(Number.isFinite(v) && v > 0)
+            ) ||
+            (sharding.maxRecords !== undefined &&
+              sharding.maxRecords !== null &&
+              !Number.isInteger(sharding.maxRecords)))
+        ) {
+          throw new Error(
+            "Option [sharding] must be an object with a positive integer [maxRecords] and/or a positive number of bytes [maxBytes] for function [registerEntity]."
+          );
+        }
+
+        const idStrategy =
+          options.idStrategy === undefined || options.idStrategy === null
+            ? null
+            : options.idStrategy;
+        if (
+          idStrategy !== null &&
+          typeof idStrategy !== "function" &&
+          !ID_STRATEGIES.includes(idStrategy)
+        ) {
+          throw new Error(
+            `Option [idStrategy] must be one of ${ID_STRATEGIES.toString()}, or a function for function [registerEntity].`
+          );
+        }
+
+        const durability = stringHasValue(options.durability)
+          ? options.durability
+          : null;
+        if (durability !== null && !DURABILITIES.includes(durability)) {
+          throw new Error(
+            `Option [durability] must be one of ${DURABILITIES.toString()} for function [registerEntity].`
+          );
+        }
 
         // compose
         entities = {
@@ -236,6 +854,12 @@ const moduleFn = (function () {
               ...options,
               validateOnCreate: validateCreateHook,
               preSaveTransform: transformHook,
+              encryptedFields,
+              indexes,
+              unique,
+              idStrategy,
+              sharding,
+              durability,
             },
           },
         };
@@ -249,28 +873,105 @@ const moduleFn = (function () {
       validateEntityForMethod(entity, "removeEntityAndDeleteEntityData");
       if (entity && Object.keys(entities).includes(entity)) {
         delete entities[entity];
+        delete entityIndexes[entity];
         if (DataReadWriter.isInitialized()) {
           DataReadWriter.dropSync(entity);
         }
       }
     },
+    /**
+     * Renames a registered entity of a built DB, and moves its stored data. The registered options and hooks, and unsaved changes, are kept.
+     *
+     * @param {string} entity - The name of a registered entity. Please use the .getEntities() method to avoid spelling mistakes.
+     * @param {string} newEntity - The new name, which must not be registered or have stored data. Should be a single string of a PLURAL word.
+     */
+    renameEntity: function (entity, newEntity) {
+      validateEntityForMethod(entity, "renameEntity");
+      if (!newEntity || typeof newEntity !== "string") {
+        throw new Error(
+          "Invalid parameter [newEntity] provided for function [renameEntity]."
+        );
+      }
+      if (Object.keys(entities).includes(newEntity)) {
+        throw new Error(
+          `Entity [${newEntity}] is already registered. Use module method [removeEntityAndDeleteEntityData] to remove it first.`
+        );
+      }
+      if (!this.isUp()) {
+        throw new Error(
+          "Can't rename entities before DB is built, since their data is moved. Please build the DB first."
+        );
+      }
+      try {
+        DataReadWriter.renameSync(entity, newEntity);
+        const renameKey = (map) => {
+          return Object.keys(map).reduce((acc, e) => {
+            return {
+              ...acc,
+              [e === entity ? newEntity : e]: map[e],
+            };
+          }, {});
+        };
+        entities = renameKey(entities);
+        entities[newEntity] = { ...entities[newEntity], name: newEntity };
+        entityDataMap = renameKey(entityDataMap);
+        entityIndexes = renameKey(entityIndexes);
+        if (unsavedEntities.delete(entity)) {
+          unsavedEntities.add(newEntity);
+        }
+        if (watchTimers[entity]) {
+          clearTimeout(watchTimers[entity]);
+          delete watchTimers[entity];
+        }
+      } catch (error) {
+        console.log("ERROR while performing module method [renameEntity]:");
+        console.error(error);
+        throw new Error(error.message || error);
+      }
+    },
     /**
      *
      * @param {string}  cryptoSecret - secret encryption message
      * @param {string}  vectorSecret - another secret encryption message
      * @param {Object}  [options] - Build Options
      * @param {string}  options.env - Default is "dev".
-     * @param {boolean} options.isTestMode - Default is false.
+     * @param {boolean} options.isTestMode - Default is false. Stores data in the test data directory of the package, unless [dataDir] is given.
+     * @param {(Object|string)} options.storage - Where encrypted data is stored: "filesystem", "memory", or a custom storage object implementing the synchronous methods read(key), write(key, bytes), delete(key) and list(), which must not return a Promise, and optionally readAsync(key) and writeAsync(key, bytes). Journals, snapshots and file locks require "filesystem". Default is "filesystem".
+     * @param {string}  options.dataDir - (optional) Absolute or working directory relative path of the directory to store data in. Data of every [env] is stored in its own subfolder.
+     * @param {number}  options.lockTimeout - Milliseconds to wait for the lock of an entity file held by another process. Default is 5000.
+     * @param {number}  options.staleLockTimeout - Milliseconds after which a lock is considered abandoned and is removed. Default is 30000.
+     * @param {boolean} options.journal - Append every created, updated and deleted data object to a journal file per entity, instead of rewriting the entity data file on save. Default is false.
+     * @param {string}  options.durability - When saved data files reach the disk: "none" leaves flushing to the operating system, "fsync" flushes every file before a save resolves, and "batched" flushes the files saved within [durabilityWindow] together, before their saves resolve. Applies to the "filesystem" storage. Default is "none".
+     * @param {number}  options.durabilityWindow - Milliseconds during which saved files are collected into one flush with the "batched" durability. Default is 10.
+     * @param {number}  options.journalMaxSize - Size in bytes after which a journal is folded back into its entity data file. Default is 1048576 (1 MB).
+     * @param {boolean} options.snapshotOnBuild - Take a snapshot of the data files, labelled "build", when the DB is built. Default is false.
+     * @param {string}  options.onCorruption - What to do with an entity data file which fails its checksum: "fail" the build, "quarantine" the file and start the entity empty, or fall back to the newest readable "snapshot" of it. Corrupt files are moved aside to a ".corrupt" suffix. Default is "fail".
+     * @param {boolean} options.watch - Reload entities whose data file was changed by another process, eg. an admin tool. Default is false.
+     * @param {number}  options.watchDebounce - Milliseconds to wait for further changes of a data file before reloading it. Default is 100.
+     * @param {string}  options.onWatchConflict - What to do when a changed entity has unsaved changes: "reject" the changes of the other process, "overwrite" the unsaved changes, or "emit" a "conflict" event. Default is "reject".
+     * @param {Object}  options.snapshotRetention - (optional) Which snapshots to keep: { keepLast: 10 } keeps the 10 newest snapshots, { maxAgeDays: 30 } removes snapshots older than 30 days. Default is keeping every snapshot.
+     * @param {string}  options.algorithm - "aes-256-cbc" or "aes-256-gcm". Default is "aes-256-cbc".
+     * @param {string}  options.migrateFromAlgorithm - The algorithm existing data was written with, when migrating it to [algorithm]. Data written with any other algorithm than [algorithm] is rejected otherwise.
+     * @param {string}  options.kdf - Key derivation function: "scrypt", "pbkdf2" or "legacy". Default is "scrypt" for new databases.
+     * @param {Object}  options.kdfParams - (optional) Overrides for the key derivation parameters, eg. { N: 32768 } for scrypt or { iterations: 300000 } for pbkdf2.
+     * @param {(Object|string)} options.cryptor - (optional) A custom cryptor object implementing encrypt(dataStr) and decrypt(dataStr), and optionally encryptAsync(dataStr) and decryptAsync(dataStr). Use "none" to store data unencrypted for local debugging. When provided, [cryptoSecret] and [vectorSecret] are not required.
+     * @param {boolean} options.envelope - Encrypt every entity with its own random data key, wrapped by the key derived from the secrets. Default is false.
+     * @param {string}  options.compression - (optional) Compress data before it is encrypted: "gzip" or "brotli". Default is no compression.
+     * @param {string}  options.encoding - How encrypted data is written to files: "hex", "base64" or "binary". Default is "hex". Custom cryptors always write utf-8 strings.
+     * @returns An object with key [recoveredEntities]: the entities whose corrupt data file was recovered, with keys [entity], [recovery], [snapshotId] and [reason].
      */
-    build: function (
-      cryptoSecret,
-      vectorSecret,
+    build: function (cryptoSecret, vectorSecret, options = {}) {
+      // options given to createDatabase are the defaults
       options = {
         env: "dev",
         isTestMode: false,
-      }
-    ) {
-      if (!stringHasValue(cryptoSecret) || !stringHasValue(vectorSecret)) {
+        ...defaultBuildOptions,
+        ...options,
+      };
+      if (
+        !(options && options.cryptor !== undefined) &&
+        (!stringHasValue(cryptoSecret) || !stringHasValue(vectorSecret))
+      ) {
         throw new Error(
           "Initialization arguments [cryptoSecret] and [vectorSecret] must be provided."
         );
@@ -280,6 +981,23 @@ const moduleFn = (function () {
           "No entities have been registered. Use module method [registerEntity] to register entities."
         );
       }
+      const watchDebounce =
+        options.watchDebounce === undefined || options.watchDebounce === null
+          ? DEFAULT_WATCH_DEBOUNCE
+          : options.watchDebounce;
+      if (!(Number.isFinite(watchDebounce) && watchDebounce >= 0)) {
+        throw new Error(
+          "Option [watchDebounce] must be a non-negative number of milliseconds."
+        );
+      }
+      const onWatchConflict = stringHasValue(options.onWatchConflict)
+        ? options.onWatchConflict
+        : "reject";
+      if (!WATCH_CONFLICT_POLICIES.includes(onWatchConflict)) {
+        throw new Error(
+          `Option [onWatchConflict] must be one of ${WATCH_CONFLICT_POLICIES.toString()}.`
+        );
+      }
       try {
         if (!DataReadWriter.isInitialized()) {
           const dataImport = generateImportedData();
@@ -290,19 +1008,20 @@ const moduleFn = (function () {
             {
               ...options,
               dataImport,
+              sharding: generateShardingOptions(),
+              entityDurability: generateEntityDurability(),
             }
           );
         }
         // if success, populate data store
         if (DataReadWriter.isInitialized()) {
-          Object.keys(entities).forEach((e) => {
-            entityDataMap = {
-              ...entityDataMap,
-              [e]: DataReadWriter.readSync(e),
-            };
-          });
+          loadEntityDataMap();
+          if (options.watch === true && watchers.length === 0) {
+            startWatching(watchDebounce, onWatchConflict);
+          }
         }
         console.log("SIMPLE DB BUILD SUCCESS!");
+        return { recoveredEntities: DataReadWriter.getRecoveredEntities() };
       } catch (error) {
         console.log("ERROR while performing module method [build]:");
         console.error(error);
@@ -310,46 +1029,202 @@ const moduleFn = (function () {
       }
     },
     /**
+     * Re-encrypts the data files of every entity with new secrets. Unsaved changes in memory are kept, and are encrypted with the new secrets when saved.
+     *
+     * @param {string}  oldCryptoSecret - current secret encryption message
+     * @param {string}  oldVectorSecret - current secret vector message
+     * @param {string}  newCryptoSecret - new secret encryption message
+     * @param {string}  newVectorSecret - new secret vector message
+     * @param {Object}  [options] - (optional) Rotation options
+     * @param {string}  options.kdf - Key derivation function for the new secrets. Default is the current key derivation function.
+     * @param {Object}  options.kdfParams - Key derivation parameters for the new secrets.
+     */
+    rotateSecrets: function (
+      oldCryptoSecret,
+      oldVectorSecret,
+      newCryptoSecret,
+      newVectorSecret,
+      options = {
+        kdf: null,
+        kdfParams: null,
+      }
+    ) {
+      if (!this.isUp()) {
+        throw new Error(
+          "Secrets can only be rotated once DB is built. Please build the DB before rotating secrets."
+        );
+      }
+      try {
+        DataReadWriter.rotateSecrets(
+          oldCryptoSecret,
+          oldVectorSecret,
+          newCryptoSecret,
+          newVectorSecret,
+          options
+        );
+      } catch (error) {
+        console.log("ERROR while performing module method [rotateSecrets]:");
+        console.error(error);
+        throw new Error(error.message || error);
+      }
+    },
+    /**
+     * Stops reloading entities whose data file was changed by another process.
+     */
+    stopWatching: function () {
+      watchers.forEach((w) => w.close());
+      watchers = [];
+      Object.values(watchTimers).forEach((t) => clearTimeout(t));
+      watchTimers = {};
+    },
+    /**
+     * Listens to the events of the build option [watch].
+     *
+     * @param {string} event - "reload", with the reloaded entity, "reject", with the entity whose unsaved changes were kept, or "conflict", with an object with keys [entity] and [reload], a function which discards the unsaved changes and reloads the entity.
+     * @param {function} listener - The event listener.
+     */
+    on: function (event, listener) {
+      events.on(event, listener);
+    },
+    /**
+     *
+     * @param {string} event - "reload", "reject" or "conflict".
+     * @param {function} listener - A listener added with .on().
+     */
+    off: function (event, listener) {
+      events.off(event, listener);
+    },
+    /**
+     * Copies the data files of every entity into a new snapshot. Unsaved changes in memory are not part of the snapshot.
      *
+     * @param {string} label - (optional) A label to recognize the snapshot by.
+     * @returns The snapshot, with keys [id], [label], [createdAt] and [files].
+     */
+    snapshot: function (label = null) {
+      if (!this.isUp()) {
+        throw new Error(
+          "Snapshots can only be taken once DB is built. Please build the DB before taking snapshots."
+        );
+      }
+      try {
+        return DataReadWriter.snapshotSync(label);
+      } catch (error) {
+        console.log("ERROR while performing module method [snapshot]:");
+        console.error(error);
+        throw new Error(error.message || error);
+      }
+    },
+    /**
+     *
+     * @returns A list of snapshots, newest first, with keys [id], [label], [createdAt] and [files].
+     */
+    listSnapshots: function () {
+      if (!this.isUp()) {
+        throw new Error(
+          "Snapshots can only be listed once DB is built. Please build the DB before listing snapshots."
+        );
+      }
+      return DataReadWriter.listSnapshots();
+    },
+    /**
+     * Replaces the data files of every entity with their copies in a snapshot, and reloads the data in memory. Unsaved changes in memory are lost. A snapshot of the replaced data files, labelled "pre-restore", is taken first.
+     *
+     * @param {string} id - The id of a snapshot. Please use the .listSnapshots() method to find it.
+     */
+    restoreSnapshot: function (id) {
+      if (!this.isUp()) {
+        throw new Error(
+          "Snapshots can only be restored once DB is built. Please build the DB before restoring snapshots."
+        );
+      }
+      try {
+        DataReadWriter.restoreSnapshotSync(id);
+        loadEntityDataMap();
+      } catch (error) {
+        console.log("ERROR while performing module method [restoreSnapshot]:");
+        console.error(error);
+        throw new Error(error.message || error);
+      }
+    },
+    /**
+     *
+     * @param {Object}  [options] - (optional)
+     * @param {boolean} options.decryptFields - Decrypt the values of encrypted fields. Default is false.
      * @returns The entire application's data.
      */
-    getEntireDatabase: function () {
+    getEntireDatabase: function (options = { decryptFields: false }) {
+      if (options && options.decryptFields) {
+        return decryptAllFields(entityDataMap);
+      }
       return entityDataMap;
     },
     /**
      *
      * @param {string} entity - The name of a registered entity. Please use the .getEntities() method to avoid spelling mistakes.
-     * @param {function} filterCallback - A callback function for filtering specific fields with specific values.
-     * @param {boolean} forceFetch - Allows clients to fetch data directly from database, bypassing data that has been changed in memory. This is generally for testing purposes only.
-     * @returns An array of data objects for that entity.
+     * @param {(Object|Object[])} data - A data object, or a list/array of data objects of that entity.
+     * @returns A copy of the data with the values of encrypted fields decrypted.
      */
-    findFor: async function (
-      entity,
-      filterCallback = null,
-      forceFetch = false
-    ) {
-      validateEntityForMethod(entity, "findAllFor");
-      const filterCbProvided =
-        filterCallback && typeof filterCallback === "function";
-      if (forceFetch) {
-        // DO NOT store force fetched data in the map!
-        // this will cause overriding unsaved changes, hence data loss!
-        const data = await DataReadWriter.readAsync(entity);
-        return filterCbProvided ? data?.filter(filterCallback) : data;
-      }
-      let data;
-      if (entityDataMap && Object.keys(entityDataMap).includes(entity)) {
-        data = entityDataMap[entity];
-      } else {
-        data = await DataReadWriter.readAsync(entity);
+    decryptFieldsFor: function (entity, data) {
+      validateEntityForMethod(entity, "decryptFieldsFor");
+      if (Array.isArray(data)) {
+        return data.map((obj) => decryptFields(entity, obj));
       }
-      return filterCbProvided ? data.filter(filterCallback) : data;
+      return decryptFields(entity, data);
+    },
+    /**
+     *
+     * @param {string} entity - The name of a registered entity. Please use the .getEntities() method to avoid spelling mistakes.
+     * @param {(function|Object)} filter - A callback function, or a filter object such as { "author.name": "John", rating: { $gte: 3 } }, for filtering specific fields with specific values.
+     * @param {(Object|boolean)} [options] - (optional) Find options, or [forceFetch] as a boolean.
+     * @param {boolean} options.forceFetch - Allows clients to fetch data directly from database, bypassing data that has been changed in memory. This is generally for testing purposes only.
+     * @param {Object} options.sort - Field paths with their direction, 1 or "asc", -1 or "desc", eg. { rating: -1, name: 1 }. Data objects with equal fields keep their order.
+     * @param {(string|Object)} options.after - The identifier of the data object to continue after, or that data object with its sort fields, eg. the last data object of the previous page.
+     * @param {number} options.skip - Number of data objects to skip.
+     * @param {number} options.limit - Maximum number of data objects to return.
+     * @param {(Object|string[])} options.fields - Field paths to include, eg. { name: 1 } or ["name"], or to exclude, eg. { password: 0 }. The identifier is included unless excluded.
+     * @returns An array of copies of the data objects for that entity.
+     */
+    findFor: async function (entity, filter = null, options = {}) {
+      validateEntityForMethod(entity, "findAllFor");
+      return await findWithOptions(
+        entity,
+        filter,
+        toFindOptions(options, "findFor")
+      );
+    },
+    /**
+     *
+     * @param {string} entity - The name of a registered entity. Please use the .getEntities() method to avoid spelling mistakes.
+     * @param {(function|Object)} filter - A callback function, or a filter object such as { email: "john@example.com" }.
+     * @param {(Object|boolean)} [options] - (optional) The options of findFor, eg. [sort] to find the first data object in that order, or [forceFetch] as a boolean.
+     * @returns The first data object matching the filter, or null.
+     */
+    findOneFor: async function (entity, filter = null, options = {}) {
+      validateEntityForMethod(entity, "findOneFor");
+      const data = await findWithOptions(entity, filter, {
+        ...toFindOptions(options, "findOneFor"),
+        limit: 1,
+      });
+      return data.length > 0 ? data[0] : null;
+    },
+    /**
+     *
+     * @param {string} entity - The name of a registered entity. Please use the .getEntities() method to avoid spelling mistakes.
+     * @param {(function|Object)} filter - (optional) A callback function, or a filter object.
+     * @param {(Object|boolean)} [options] - (optional) Options with key [forceFetch], or [forceFetch] as a boolean.
+     * @returns The number of data objects matching the filter.
+     */
+    countFor: async function (entity, filter = null, options = {}) {
+      validateEntityForMethod(entity, "countFor");
+      const { forceFetch } = toFindOptions(options, "countFor");
+      const data = await findFiltered(entity, filter, forceFetch === true);
+      return data.length;
     },
     /**
      *
      * @param {string} entity - The name of a registered entity. Please use the .getEntities() method to avoid spelling mistakes.
      * @param {string} id - The id of the data object to be retrieved.
-     * @returns An object with the specified ID. Throws error if not found.
+     * @returns A copy of the data object with the specified ID. Throws error if not found.
      */
     findByIdentifierFor: async function (entity, id) {
       validateEntityForMethod(entity, "findByIdentifierFor");
@@ -360,13 +1235,9 @@ const moduleFn = (function () {
         data = await DataReadWriter.readAsync(entity);
       }
       if (data.length > 0) {
-        const entityOptions = entities[entity].options;
-        const objIdentifierKey = entityOptions.identifierKey
-          ? entityOptions.identifierKey
-          : "id";
-        const foundItems = data.filter((item) => item[objIdentifierKey] === id);
-        if (foundItems.length > 0) {
-          return foundItems[0];
+        const foundPositions = findPositionsByIdentifier(entity, data, id);
+        if (foundPositions.length > 0) {
+          return copyData(data[foundPositions[0]]);
         } else {
           throw new Error("Invalid or no data with given identifier.");
         }
@@ -383,7 +1254,8 @@ const moduleFn = (function () {
     createNewFor: async function (entity, obj) {
       validateEntityForMethod(entity, "createNewFor");
       validateObjParamForMethod(obj, "createNewFor");
-      const validated = entities[entity].options.validateOnCreate(obj);
+      const [newObj] = await withGeneratedIdentifiers(entity, [obj]);
+      const validated = entities[entity].options.validateOnCreate(newObj);
       if (validated) {
         let data;
         if (entityDataMap && Object.keys(entityDataMap).includes(entity)) {
@@ -393,10 +1265,20 @@ const moduleFn = (function () {
           // FETCH
           data = await DataReadWriter.readAsync(entity);
         }
-        const newDataObj = entities[entity].options.preSaveTransform(obj);
-        data.push(enrichDataWithDBProps(newDataObj, "create"));
+        const newDataObj = entities[entity].options.preSaveTransform(newObj);
+        const createdDataObj = enrichDataWithDBProps(
+          encryptFields(entity, newDataObj),
+          "create"
+        );
+        validateUniqueKeys(entity, data, [createdDataObj]);
+        const index = getEntityIndex(entity);
+        data.push(createdDataObj);
         // UPDATE MEMORY
         entityDataMap[entity] = [...data];
+        if (index) {
+          index.add(createdDataObj, data.length - 1, entityDataMap[entity]);
+        }
+        await journalFor(entity, "create", [createdDataObj]);
         // RETURN
         return entityDataMap[entity];
       } else {
@@ -420,15 +1302,30 @@ const moduleFn = (function () {
       } else {
         data = await DataReadWriter.readAsync(entity);
       }
-      objDataArray.forEach((obj) => {
+      const createdDataObjs = [];
+      const objs = await withGeneratedIdentifiers(entity, objDataArray);
+      objs.forEach((obj) => {
         const validated = entities[entity].options.validateOnCreate(obj);
         if (obj && validated) {
           const newDataObj = entities[entity].options.preSaveTransform(obj);
-          data.push(enrichDataWithDBProps(newDataObj, "create"));
+          createdDataObjs.push(
+            enrichDataWithDBProps(encryptFields(entity, newDataObj), "create")
+          );
         }
       });
+      // a duplicate rejects the whole batch
+      validateUniqueKeys(entity, data, createdDataObjs);
+      const index = getEntityIndex(entity);
+      data.push(...createdDataObjs);
       // UPDATE MEMORY
       entityDataMap[entity] = [...data];
+      if (index) {
+        const firstPosition = data.length - createdDataObjs.length;
+        createdDataObjs.forEach((obj, i) =>
+          index.add(obj, firstPosition + i, entityDataMap[entity])
+        );
+      }
+      await journalFor(entity, "create", createdDataObjs);
       // RETURN
       return entityDataMap[entity];
     },
@@ -457,9 +1354,10 @@ const moduleFn = (function () {
         const objIdentifierKey = entityOptions.identifierKey
           ? entityOptions.identifierKey
           : "id";
-        const foundItems = data.filter((item) => item[objIdentifierKey] === id);
-        if (foundItems.length > 0) {
-          let updatedData = foundItems[0];
+        const [foundIndex = -1] = findPositionsByIdentifier(entity, data, id);
+        if (foundIndex > -1) {
+          // hooks receive the decrypted values of encrypted fields
+          let updatedData = { ...decryptFields(entity, data[foundIndex]) };
           Object.keys(newData).forEach((k) => {
             // prevent updating id value
             if (k !== objIdentifierKey) {
@@ -472,16 +1370,24 @@ const moduleFn = (function () {
             const transformedData =
               entities[entity].options.preSaveTransform(updatedData);
             const enrichedData = enrichDataWithDBProps(
-              transformedData,
+              encryptFields(entity, transformedData),
               "update"
             );
-            data.forEach((item) => {
-              if (item[objIdentifierKey] === id) {
-                item = { ...enrichedData };
-              }
-            });
+            validateUniqueKeys(entity, data, [enrichedData], [foundIndex]);
+            const index = getEntityIndex(entity);
+            const previousData = data[foundIndex];
+            data[foundIndex] = { ...enrichedData };
             // UPDATE MEMORY
             entityDataMap[entity] = [...data];
+            if (index) {
+              index.replace(
+                previousData,
+                data[foundIndex],
+                foundIndex,
+                entityDataMap[entity]
+              );
+            }
+            await journalFor(entity, "update", [enrichedData]);
             // RETURN
             return entityDataMap[entity];
           } else {
@@ -519,11 +1425,16 @@ const moduleFn = (function () {
           ? entityOptions.identifierKey
           : "id";
 
+        // the index is rebuilt for the remaining data objects, as their positions change
+        const foundPositions = new Set(
+          findPositionsByIdentifier(entity, data, id)
+        );
         const updatedData = data.filter(
-          (item) => item[objIdentifierKey] !== id
+          (item, position) => !foundPositions.has(position)
         );
         // UPDATE MEMORY
         entityDataMap[entity] = [...updatedData];
+        await journalFor(entity, "delete", [{ [objIdentifierKey]: id }]);
         // RETURN
         return entityDataMap[entity];
       } else {
@@ -531,26 +1442,40 @@ const moduleFn = (function () {
       }
     },
     /**
+     * Writes the data of an entity to its data file. Does nothing when the DB is built with option [journal], as every change is already persisted.
      *
      * @param {string} entity - The name of a registered entity. Please use the .getEntities() method to avoid spelling mistakes.
      */
     saveFor: async function (entity) {
       validateEntityForMethod(entity, "saveFor");
+      if (DataReadWriter.isJournalEnabled()) {
+        // changes are already persisted in the journal
+        return;
+      }
+      // changes made while saving stay unsaved
+      unsavedEntities.delete(entity);
       try {
         await DataReadWriter.saveAsync(entity, entityDataMap[entity]);
       } catch (e) {
+        unsavedEntities.add(entity);
         console.log("ERROR while performing module method [saveFor]:");
-        console.error(error);
-        throw new Error(error.message || error);
+        console.error(e);
+        throw new Error(e.message || e);
       }
     },
     saveAll: async function () {
+      if (DataReadWriter.isJournalEnabled()) {
+        return;
+      }
+      const savedEntities = [...unsavedEntities];
+      unsavedEntities = new Set();
       try {
         const savePromises = Object.keys(entityDataMap).map((e) => {
-          DataReadWriter.saveAsync(e, entityDataMap[e]);
+          return DataReadWriter.saveAsync(e, entityDataMap[e]);
         });
         await Promise.all(savePromises);
       } catch (error) {
+        savedEntities.forEach((e) => unsavedEntities.add(e));
         console.log("ERROR while performing module method [saveAll]:");
         console.error(error);
         throw new Error(error.message || error);
@@ -639,8 +1564,15 @@ const moduleFn = (function () {
      * @param {string} entity - The name of a registered entity. Please use the .getEntities() method to avoid spelling mistakes.
      * @param {string} folderPath - Path to the folder you want to export the data to.
      * @param {string} [filename] - (optional) The name of the file you want to save the exported data to. Default is: db_export_${entity}.json
+     * @param {Object} [options] - (optional)
+     * @param {boolean} options.decryptFields - Export the decrypted values of encrypted fields. Default is false.
      */
-    exportDataToJSONForEntity: function (entity, folderPath, filename = null) {
+    exportDataToJSONForEntity: function (
+      entity,
+      folderPath,
+      filename = null,
+      options = { decryptFields: false }
+    ) {
       validateEntityForMethod(entity, "exportDataToJSONForEntity");
       if (!folderPath) {
         throw new Error(
@@ -648,7 +1580,11 @@ const moduleFn = (function () {
         );
       }
       try {
-        const dataStr = JSON.stringify(entityDataMap[entity]);
+        const dataStr = JSON.stringify(
+          options && options.decryptFields
+            ? this.decryptFieldsFor(entity, entityDataMap[entity])
+            : entityDataMap[entity]
+        );
         // create folder if not exist
         if (!fs.existsSync(folderPath)) {
           fs.mkdirSync(folderPath, { recursive: true });
@@ -684,15 +1620,21 @@ const moduleFn = (function () {
      *
      * @param {string} folderPath - Path to the folder you want to export the data to.
      * @param {string} [filename] - (optional) filename: The name of the file you want to save the exported data to. Default is: db_export_all.json
+     * @param {Object} [options] - (optional)
+     * @param {boolean} options.decryptFields - Export the decrypted values of encrypted fields. Default is false.
      */
-    exportEntireDatabaseToJSON: function (folderPath, filename = null) {
+    exportEntireDatabaseToJSON: function (
+      folderPath,
+      filename = null,
+      options = { decryptFields: false }
+    ) {
       if (!folderPath) {
         throw new Error(
           "Argument [folderPath] is required for module method [exportEntireDatabaseToJSON]."
         );
       }
       try {
-        const dataStr = JSON.stringify(entityDataMap);
+        const dataStr = JSON.stringify(this.getEntireDatabase(options));
         if (!fs.existsSync(folderPath)) {
           fs.mkdirSync(folderPath, { recursive: true });
         }
@@ -724,6 +1666,21 @@ const moduleFn = (function () {
       }
     },
   };
-})();
+};
+
+/**
+ * Creates a database which is isolated from every other database in the process,
+ * eg. a tenant database next to a system database.
+ *
+ * @param {Object} [options] - (optional) Default build options of the database, eg. { env: "tenant-a" } or { dataDir: "data/tenants" }. See .build().
+ * @returns A new database with the same API as the default database.
+ */
+const createDatabase = function (options = {}) {
+  return createDatabaseWith(createDataReadWriter(), options || {});
+};
+
+const moduleFn = createDatabaseWith(defaultDataReadWriter, {});
 
 module.exports = moduleFn;
+module.exports.createDatabase = createDatabase;
+module.exports.DuplicateKeyError = DuplicateKeyError;
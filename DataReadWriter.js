@@ -1,15 +1,82 @@
 const fs = require("fs");
 const fsPromises = fs.promises;
+const os = require("os");
 const path = require("path");
+const crypto = require("crypto");
+const zlib = require("zlib");
+const { promisify } = require("util");
 const Cryptor = require("./Cryptor");
-const { stringHasValue, arrayHasValue, booleanHasValue } = require("./utils");
+const NoneCryptor = require("./NoneCryptor");
+const MemoryStorage = require("./MemoryStorage");
+const FileFormat = require("./FileFormat");
+const {
+  stringHasValue,
+  arrayHasValue,
+  booleanHasValue,
+  objectHasMethod,
+} = require("./utils");
 
 const BUFFER_ENCODING = "utf-8";
+const METADATA_FILENAME = ".jsoncrypt-meta.json";
+const METADATA_STORAGE_KEY = ".jsoncrypt-meta";
+const DATA_FILE_EXTENSION = ".json";
+const DEFAULT_KDF = "scrypt";
+const SALT_LENGTH = 16;
+const PAYLOAD_ENCODING = "hex";
+const SUPPORTED_PAYLOAD_ENCODINGS = ["hex", "base64", "binary"];
+const COMPRESSIONS = {
+  gzip: {
+    compress: zlib.gzipSync,
+    decompress: zlib.gunzipSync,
+    compressAsync: promisify(zlib.gzip),
+    decompressAsync: promisify(zlib.gunzip),
+  },
+  brotli: {
+    compress: zlib.brotliCompressSync,
+    decompress: zlib.brotliDecompressSync,
+    compressAsync: promisify(zlib.brotliCompress),
+    decompressAsync: promisify(zlib.brotliDecompress),
+  },
+};
+const SUPPORTED_COMPRESSIONS = Object.keys(COMPRESSIONS);
+const CUSTOM_PAYLOAD_ENCODING = "utf-8";
+const CUSTOM_CIPHER = "custom";
+const DATA_KEY_ALGORITHM = "aes-256-gcm";
+const ENCRYPTED_FIELD_PREFIX = "$jcdb:enc$";
+const ROTATION_RECORD_FILENAME = ".jsoncrypt-rotation.json";
+const ROTATION_RECORD_STORAGE_KEY = ".jsoncrypt-rotation";
+const ROTATION_FILE_SUFFIX = ".rotating";
+const TEMPORARY_FILE_SUFFIX = ".tmp";
+const LOCK_FILE_SUFFIX = ".lock";
+const LOCK_RETRY_INTERVAL = 20;
+const DEFAULT_LOCK_TIMEOUT = 5000;
+const DEFAULT_STALE_LOCK_TIMEOUT = 30000;
+const JOURNAL_FILE_EXTENSION = ".journal";
+const JOURNAL_LINE_SEPARATOR = "\n";
+const DEFAULT_JOURNAL_MAX_SIZE = 1024 * 1024;
+const SNAPSHOTS_DIRECTORY_NAME = ".snapshots";
+const SNAPSHOT_MANIFEST_FILENAME = "snapshot.json";
+const DAY_IN_MILLISECONDS = 24 * 60 * 60 * 1000;
+const CHECKSUM_ALGORITHM = "sha256";
+const CORRUPT_FILE_SUFFIX = ".corrupt";
+const CORRUPTION_RECOVERIES = ["fail", "quarantine", "snapshot"];
+const CHUNK_KEY_SEPARATOR = ".chunk-";
+const CHUNK_ID_LENGTH = 8;
+const DURABILITIES = ["none", "fsync", "batched"];
+const DEFAULT_DURABILITY = "none";
+const DEFAULT_DURABILITY_WINDOW = 10;
+const DEFAULT_DATA_DIRECTORY = `${__dirname}/data`;
+const TEST_DATA_DIRECTORY = `${__dirname}/tests/data`;
 
-const moduleFn = (function () {
+/**
+ * Every data read writer holds its own cryptor, entity files, options and locks, so that
+ * several databases can be opened in one process. The module exports a shared default one.
+ */
+const createDataReadWriter = function () {
   /**
    * cryptor encrypts and decrypts data to be used before and after
-   * file read and write operations
+   * file read and write operations. It is either a Cryptor, a NoneCryptor,
+   * or a custom cryptor object provided by the client.
    */
   let cryptor = null;
 
@@ -34,10 +101,157 @@ const moduleFn = (function () {
   let environment = "dev";
 
   /**
-   * testMode is to use test folders when reading/writing data
+   * testMode is to use test folders when reading/writing data, unless
+   * a data directory is configured
    */
   let testMode = false;
 
+  /**
+   * metadataFilePath is the path to the (unencrypted) file next to the entity files
+   * which records how the encryption key of the database is derived.
+   * Example:
+   *    {
+   *    kdf: "scrypt",
+   *    salt: "5f0c...",
+   *    kdfParams: { N: 16384, r: 8, p: 1 },
+   *    fieldKey: "7b3e...",
+   *    };
+   * [fieldKey] is the key used to encrypt entity fields, wrapped by the cryptor. It is
+   * only created once a field is encrypted.
+   */
+  let metadataFilePath = null;
+
+  /**
+   * dataDirectory is the folder holding the entity files and the metadata file
+   * of the current environment, ie. the [env] subfolder of the configured data directory
+   */
+  let dataDirectory = null;
+
+  /**
+   * storage reads and writes the encrypted bytes of every entity, by entity name. It is
+   * one of the built-in "filesystem" and "memory" storages, or a custom storage with
+   * methods read(key), write(key, bytes), delete(key) and list(), and optionally
+   * readAsync(key) and writeAsync(key, bytes).
+   * Journals, snapshots and file locks are only available with the "filesystem" storage.
+   */
+  let storage = null;
+  let storageName = "filesystem";
+
+  /**
+   * envelopeEncryption encrypts every entity file with its own random data key,
+   * which is stored in the file header, wrapped (encrypted) by the cryptor
+   */
+  let envelopeEncryption = false;
+
+  /**
+   * dataKeys caches the unwrapped data key of every entity when
+   * envelope encryption is used.
+   * Example:
+   *    {
+   *    categories: <Buffer 3f 9a ...>,
+   *    comments: <Buffer 0c 71 ...>,
+   *    };
+   */
+  let dataKeys = {};
+
+  /**
+   * fieldCryptor encrypts and decrypts the values of encrypted entity fields
+   */
+  let fieldCryptor = null;
+
+  /**
+   * compression is the algorithm data is compressed with before it is encrypted,
+   * either "gzip" or "brotli". Data is not compressed by default.
+   */
+  let compression = null;
+
+  /**
+   * payloadEncoding is how encrypted data is written to the files of built-in
+   * cryptors, either "hex", "base64" or "binary" (raw bytes)
+   */
+  let payloadEncoding = PAYLOAD_ENCODING;
+
+  /**
+   * lockTimeout is how long (in milliseconds) to wait for the lock of an entity file
+   * before giving up. staleLockTimeout is the age after which a lock is considered
+   * abandoned, eg. by a crashed process, and is removed.
+   */
+  let lockTimeout = DEFAULT_LOCK_TIMEOUT;
+  let staleLockTimeout = DEFAULT_STALE_LOCK_TIMEOUT;
+
+  /**
+   * heldLocks counts the locks this process holds per lock file, so that
+   * nested and concurrent operations of the same process share a lock.
+   * Example:
+   *    {
+   *    "/app/data/prod/categories.json.lock": 1,
+   *    };
+   */
+  let heldLocks = {};
+
+  /**
+   * lockQueues chains the asynchronous operations of this process per lock file,
+   * as they would otherwise share the lock and interleave
+   */
+  let lockQueues = {};
+
+  /**
+   * journalEnabled appends every change of an entity to its journal file instead of
+   * rewriting the entity file. Journals are folded back into their entity file once
+   * they grow beyond journalMaxSize (in bytes).
+   */
+  let journalEnabled = false;
+  let journalMaxSize = DEFAULT_JOURNAL_MAX_SIZE;
+
+  /**
+   * snapshotRetention limits the number of snapshots kept, by count (the [keepLast]
+   * snapshots) and by age (snapshots older than [maxAgeDays] days are removed).
+   * Snapshots are kept forever by default.
+   */
+  let snapshotRetention = { keepLast: null, maxAgeDays: null };
+
+  /**
+   * corruptionRecovery decides what happens to an entity file which fails its checksum
+   * on initialization: "fail", "quarantine" (start the entity empty) or "snapshot"
+   * (fall back to the newest readable snapshot). Recovered entities are listed in
+   * recoveredEntities.
+   */
+  let corruptionRecovery = "fail";
+  let recoveredEntities = [];
+
+  /**
+   * fileVersions holds the hash of every entity file, and the size of its journal, as this
+   * instance last read them into memory or wrote them, to tell changes by other processes
+   * apart from its own writes, eg. { categories: { hash: "5d41...", journalSize: 0 } }
+   */
+  let fileVersions = {};
+
+  /**
+   * sharding holds the options of the entities which are split into chunks, by entity:
+   *    { categories: { maxRecords: 1000, maxBytes: null, identifierKey: "id" } }
+   * chunkAssignments maps the identifier of every record of a sharded entity to the chunk
+   * it was last read from or written to, so that a save only rewrites the changed chunks.
+   */
+  let sharding = {};
+  let chunkAssignments = {};
+
+  /**
+   * durability decides when writes of entity data reach the disk: "none" leaves flushing
+   * to the operating system, "fsync" flushes every file and its directory before a write
+   * resolves, and "batched" flushes the files written within durabilityWindow milliseconds
+   * together. entityDurability overrides it by entity. Files written without a durability,
+   * eg. the metadata and rotation records, are always flushed.
+   */
+  let durability = DEFAULT_DURABILITY;
+  let durabilityWindow = DEFAULT_DURABILITY_WINDOW;
+  let entityDurability = {};
+
+  /**
+   * fsyncBatch collects the files written with the "batched" durability until it is flushed:
+   *    { items: [{ filePath, temporaryFilePath, resolve, reject }] }
+   */
+  let fsyncBatch = null;
+
   const entityIsValid = function (entity) {
     if (!entity) {
       return false;
@@ -60,23 +274,2370 @@ const moduleFn = (function () {
     return;
   };
 
-  const createFileIfNotExist = function (cryptor, filePath, data = []) {
-    if (fs.existsSync(filePath)) {
+  /**
+   * Creates the directory if it does not exist, and throws if it can not be written to
+   */
+  const verifyDirectoryIsWritable = function (directory) {
+    try {
+      fs.mkdirSync(directory, { recursive: true });
+      fs.accessSync(directory, fs.constants.W_OK);
+    } catch (error) {
+      throw new Error(
+        `Data directory [${directory}] is not writable: ${
+          error.message || error
+        }`
+      );
+    }
+  };
+
+  const generateSalt = function () {
+    return crypto.randomBytes(SALT_LENGTH).toString("hex");
+  };
+
+  const writeFileFlushedSync = function (filePath, buffer) {
+    const fd = fs.openSync(filePath, "w");
+    try {
+      fs.writeSync(fd, buffer);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  };
+
+  const fsyncDirectorySync = function (directory) {
+    let fd;
+    try {
+      fd = fs.openSync(directory, "r");
+      fs.fsyncSync(fd);
+    } catch (error) {
+      // directories can not be opened/flushed on some platforms (eg. windows)
+    } finally {
+      if (fd !== undefined) {
+        fs.closeSync(fd);
+      }
+    }
+  };
+
+  const fsyncDirectoryAsync = async function (directory) {
+    let fileHandle;
+    try {
+      fileHandle = await fsPromises.open(directory, "r");
+      await fileHandle.sync();
+    } catch (error) {
+      // directories can not be opened/flushed on some platforms (eg. windows)
+    } finally {
+      if (fileHandle !== undefined) {
+        await fileHandle.close();
+      }
+    }
+  };
+
+  const getTemporaryFilePath = function (filePath) {
+    return `${filePath}.${crypto
+      .randomBytes(6)
+      .toString("hex")}${TEMPORARY_FILE_SUFFIX}`;
+  };
+
+  /**
+   * Writes to a temporary file next to the target, flushes it, and renames it over
+   * the target. A crash mid-write leaves the previous file intact, and at most a
+   * temporary file behind, which is removed on the next initialization.
+   */
+  const writeFileAtomicSync = function (
+    filePath,
+    buffer,
+    withDurability = "fsync"
+  ) {
+    const temporaryFilePath = getTemporaryFilePath(filePath);
+    try {
+      // synchronous writes can not wait for a batch, and are flushed at once
+      if (withDurability === "none") {
+        fs.writeFileSync(temporaryFilePath, buffer);
+      } else {
+        writeFileFlushedSync(temporaryFilePath, buffer);
+      }
+      fs.renameSync(temporaryFilePath, filePath);
+    } catch (error) {
+      if (fs.existsSync(temporaryFilePath)) {
+        fs.unlinkSync(temporaryFilePath);
+      }
+      throw error;
+    }
+    if (withDurability !== "none") {
+      fsyncDirectorySync(path.dirname(filePath));
+    }
+  };
+
+  const fsyncFileAsync = async function (filePath) {
+    const fileHandle = await fsPromises.open(filePath, "r+");
+    try {
+      await fileHandle.sync();
+    } finally {
+      await fileHandle.close();
+    }
+  };
+
+  /**
+   * Flushes every file of a batch, renames the temporary files over their targets,
+   * and flushes their directories once. Every write of the batch resolves or rejects
+   * on its own.
+   */
+  const flushFsyncBatchAsync = async function (batch) {
+    const directories = new Set();
+    const errors = new Map();
+    await Promise.all(
+      batch.items.map(async (item) => {
+        try {
+          if (item.temporaryFilePath === null) {
+            await fsyncFileAsync(item.filePath);
+            return;
+          }
+          await fsyncFileAsync(item.temporaryFilePath);
+          await fsPromises.rename(item.temporaryFilePath, item.filePath);
+          directories.add(path.dirname(item.filePath));
+        } catch (error) {
+          errors.set(item, error);
+        }
+      })
+    );
+    for (const directory of directories) {
+      await fsyncDirectoryAsync(directory);
+    }
+    batch.items.forEach((item) => {
+      if (errors.has(item)) {
+        item.reject(errors.get(item));
+      } else {
+        item.resolve();
+      }
+    });
+  };
+
+  /**
+   * Adds a file to the current batch, which is flushed once durabilityWindow has passed
+   *
+   * @returns A promise which resolves once the file is flushed.
+   */
+  const addToFsyncBatchAsync = function (filePath, temporaryFilePath = null) {
+    if (fsyncBatch === null) {
+      const batch = { items: [] };
+      fsyncBatch = batch;
+      setTimeout(() => {
+        if (fsyncBatch === batch) {
+          fsyncBatch = null;
+        }
+        flushFsyncBatchAsync(batch);
+      }, durabilityWindow);
+    }
+    return new Promise((resolve, reject) => {
+      fsyncBatch.items.push({ filePath, temporaryFilePath, resolve, reject });
+    });
+  };
+
+  const writeFileAtomicAsync = async function (
+    filePath,
+    buffer,
+    withDurability = "fsync"
+  ) {
+    const temporaryFilePath = getTemporaryFilePath(filePath);
+    try {
+      const fileHandle = await fsPromises.open(temporaryFilePath, "w");
+      try {
+        await fileHandle.writeFile(buffer);
+        if (withDurability === "fsync") {
+          await fileHandle.sync();
+        }
+      } finally {
+        await fileHandle.close();
+      }
+      if (withDurability === "batched") {
+        // renamed once flushed, so that a crash never leaves an unflushed data file
+        await addToFsyncBatchAsync(filePath, temporaryFilePath);
+        return;
+      }
+      await fsPromises.rename(temporaryFilePath, filePath);
+    } catch (error) {
+      await fsPromises.rm(temporaryFilePath, { force: true });
+      throw error;
+    }
+    if (withDurability === "fsync") {
+      await fsyncDirectoryAsync(path.dirname(filePath));
+    }
+  };
+
+  const appendFileFlushedAsync = async function (
+    filePath,
+    data,
+    withDurability = "fsync"
+  ) {
+    const fileHandle = await fsPromises.open(filePath, "a");
+    try {
+      await fileHandle.appendFile(data);
+      if (withDurability === "fsync") {
+        await fileHandle.sync();
+      }
+    } finally {
+      await fileHandle.close();
+    }
+    if (withDurability === "batched") {
+      await addToFsyncBatchAsync(filePath);
+    }
+  };
+
+  /**
+   * Removes the temporary files left behind by interrupted writes. Temporary files younger
+   * than the stale lock timeout may belong to a write of another process in progress,
+   * eg. waiting for a batched flush, and are kept.
+   */
+  const removeTemporaryFiles = function (directory) {
+    fs.readdirSync(directory)
+      .filter((f) => f.endsWith(TEMPORARY_FILE_SUFFIX))
+      .forEach((f) => {
+        const filePath = `${directory}/${f}`;
+        try {
+          if (Date.now() - fs.statSync(filePath).mtimeMs > staleLockTimeout) {
+            fs.unlinkSync(filePath);
+          }
+        } catch (error) {
+          // renamed or removed by its writer in the meantime
+          if (error.code !== "ENOENT") {
+            throw error;
+          }
+        }
+      });
+  };
+
+  /**
+   * Lock files are advisory: they only exclude other processes using this library.
+   * A lock file records its owner:
+   *    {
+   *    pid: 4242,
+   *    hostname: "web-1",
+   *    createdAt: 1700000000000,
+   *    };
+   */
+  const getLockFilePath = function (filePath) {
+    return `${filePath}${LOCK_FILE_SUFFIX}`;
+  };
+
+  const processIsRunning = function (pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      // EPERM: the process exists, but belongs to another user
+      return error.code === "EPERM";
+    }
+  };
+
+  const readLock = function (lockFilePath) {
+    try {
+      return JSON.parse(
+        fs.readFileSync(lockFilePath, { encoding: BUFFER_ENCODING })
+      );
+    } catch (error) {
+      return null;
+    }
+  };
+
+  /**
+   * A lock is stale when it is older than the stale lock timeout, or when it was
+   * taken on this host by a process which is no longer running
+   */
+  const lockIsStale = function (lockFilePath) {
+    let stats;
+    try {
+      stats = fs.statSync(lockFilePath);
+    } catch (error) {
+      // released in the meantime
+      return false;
+    }
+    if (Date.now() - stats.mtimeMs > staleLockTimeout) {
+      return true;
+    }
+    const lock = readLock(lockFilePath);
+    return Boolean(
+      lock && lock.hostname === os.hostname() && !processIsRunning(lock.pid)
+    );
+  };
+
+  /**
+   * Removes a stale lock. Several processes may find the same lock stale, so it is first
+   * renamed, which only one of them can do, and checked again: a fresh lock taken by
+   * another process in the meantime is put back.
+   */
+  const takeOverStaleLock = function (lockFilePath) {
+    const staleLockFilePath = `${lockFilePath}.${crypto
+      .randomBytes(6)
+      .toString("hex")}.stale`;
+    try {
+      fs.renameSync(lockFilePath, staleLockFilePath);
+    } catch (error) {
+      // taken over by another process
+      if (error.code === "ENOENT") {
+        return;
+      }
+      throw error;
+    }
+    try {
+      if (!lockIsStale(staleLockFilePath)) {
+        fs.linkSync(staleLockFilePath, lockFilePath);
+      }
+    } catch (error) {
+      // EEXIST: yet another process has taken the lock
+      if (error.code !== "EEXIST") {
+        throw error;
+      }
+    } finally {
+      fs.rmSync(staleLockFilePath, { force: true });
+    }
+  };
+
+  const tryAcquireLock = function (filePath) {
+    const lockFilePath = getLockFilePath(filePath);
+    if (heldLocks[lockFilePath]) {
+      heldLocks[lockFilePath] += 1;
+      return true;
+    }
+    let fd;
+    try {
+      fd = fs.openSync(lockFilePath, "wx");
+    } catch (error) {
+      if (error.code !== "EEXIST") {
+        throw error;
+      }
+      if (lockIsStale(lockFilePath)) {
+        takeOverStaleLock(lockFilePath);
+      }
+      return false;
+    }
+    try {
+      fs.writeSync(
+        fd,
+        JSON.stringify({
+          pid: process.pid,
+          hostname: os.hostname(),
+          createdAt: Date.now(),
+        })
+      );
+    } finally {
+      fs.closeSync(fd);
+    }
+    heldLocks[lockFilePath] = 1;
+    return true;
+  };
+
+  const getLockTimeoutError = function (filePath) {
+    const lock = readLock(getLockFilePath(filePath));
+    return new Error(
+      `Timed out after ${lockTimeout}ms waiting for the lock of data file [${path.basename(
+        filePath
+      )}]${
+        lock ? `, held by process [${lock.pid}] on host [${lock.hostname}]` : ""
+      }.`
+    );
+  };
+
+  const acquireLockSync = function (filePath) {
+    const deadline = Date.now() + lockTimeout;
+    const sleepBuffer = new Int32Array(new SharedArrayBuffer(4));
+    while (!tryAcquireLock(filePath)) {
+      if (Date.now() >= deadline) {
+        throw getLockTimeoutError(filePath);
+      }
+      Atomics.wait(sleepBuffer, 0, 0, LOCK_RETRY_INTERVAL);
+    }
+  };
+
+  const acquireLockAsync = async function (filePath) {
+    const deadline = Date.now() + lockTimeout;
+    while (!tryAcquireLock(filePath)) {
+      if (Date.now() >= deadline) {
+        throw getLockTimeoutError(filePath);
+      }
+      await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_INTERVAL));
+    }
+  };
+
+  const releaseLock = function (filePath) {
+    const lockFilePath = getLockFilePath(filePath);
+    if (!heldLocks[lockFilePath]) {
+      return;
+    }
+    heldLocks[lockFilePath] -= 1;
+    if (heldLocks[lockFilePath] === 0) {
+      delete heldLocks[lockFilePath];
+      fs.rmSync(lockFilePath, { force: true });
+    }
+  };
+
+  const withLockSync = function (filePath, fn) {
+    if (!isFileSystemStorage()) {
+      return fn();
+    }
+    acquireLockSync(filePath);
+    try {
+      return fn();
+    } finally {
+      releaseLock(filePath);
+    }
+  };
+
+  /**
+   * Locks the files of every entity, eg. to write them all at once. The rotation record is
+   * locked first, so that processes with other registered entities exclude each other too.
+   */
+  const withAllLocksSync = function (
+    fn,
+    filePaths = Object.values(entityFilesMap)
+  ) {
+    if (!isFileSystemStorage()) {
+      return fn();
+    }
+    const lockedFilePaths = [];
+    try {
+      [`${dataDirectory}/${ROTATION_RECORD_FILENAME}`, ...filePaths].forEach(
+        (f) => {
+          acquireLockSync(f);
+          lockedFilePaths.push(f);
+        }
+      );
+      return fn();
+    } finally {
+      lockedFilePaths.forEach((f) => releaseLock(f));
+    }
+  };
+
+  const withLockAsync = async function (filePath, fn) {
+    if (!isFileSystemStorage()) {
+      return fn();
+    }
+    const lockFilePath = getLockFilePath(filePath);
+    const previous = lockQueues[lockFilePath] || Promise.resolve();
+    let dequeue;
+    const queued = previous.then(
+      () => new Promise((resolve) => (dequeue = resolve))
+    );
+    lockQueues[lockFilePath] = queued;
+    await previous;
+    try {
+      await acquireLockAsync(filePath);
+      try {
+        return await fn();
+      } finally {
+        releaseLock(filePath);
+      }
+    } finally {
+      dequeue();
+      if (lockQueues[lockFilePath] === queued) {
+        delete lockQueues[lockFilePath];
+      }
+    }
+  };
+
+  const readMetadata = function (filePath) {
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, { encoding: BUFFER_ENCODING }));
+  };
+
+  const writeMetadata = function (filePath, metadata) {
+    writeFileAtomicSync(
+      filePath,
+      Buffer.from(JSON.stringify(metadata, null, 2), BUFFER_ENCODING)
+    );
+  };
+
+  const isFileSystemStorage = function () {
+    return storageName === "filesystem";
+  };
+
+  const toBuffer = function (bytes) {
+    return Buffer.isBuffer(bytes) ? bytes : Buffer.from(bytes);
+  };
+
+  /**
+   *
+   * @returns The durability of the entity a storage key belongs to, including its chunks.
+   */
+  const getDurability = function (key) {
+    const separatorIndex = key.indexOf(CHUNK_KEY_SEPARATOR);
+    const entity = separatorIndex === -1 ? key : key.slice(0, separatorIndex);
+    return entityDurability[entity] || durability;
+  };
+
+  /**
+   * The built-in "filesystem" storage, which writes every entity to its own data file
+   * in the directory. Data files are written atomically, and flushed as configured by
+   * the durability of their entity.
+   */
+  const createFileSystemStorage = function (directory) {
+    const getFilePath = (key) => `${directory}/${key}${DATA_FILE_EXTENSION}`;
+    return {
+      read: (key) => {
+        const filePath = getFilePath(key);
+        return fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+      },
+      readAsync: async (key) => {
+        try {
+          return await fsPromises.readFile(getFilePath(key));
+        } catch (error) {
+          if (error.code === "ENOENT") {
+            return null;
+          }
+          throw error;
+        }
+      },
+      write: (key, bytes) => {
+        createDirectoryIfNotExist(getFilePath(key));
+        writeFileAtomicSync(getFilePath(key), bytes, getDurability(key));
+      },
+      writeAsync: async (key, bytes) => {
+        await writeFileAtomicAsync(getFilePath(key), bytes, getDurability(key));
+      },
+      delete: (key) => {
+        fs.rmSync(getFilePath(key), { force: true });
+      },
+      list: () => {
+        if (!fs.existsSync(directory)) {
+          return [];
+        }
+        return fs
+          .readdirSync(directory)
+          .filter((f) => f.endsWith(DATA_FILE_EXTENSION))
+          .map((f) => path.basename(f, DATA_FILE_EXTENSION));
+      },
+    };
+  };
+
+  /**
+   * The methods read, write, delete and list of custom storages are called synchronously,
+   * hence those of asynchronous adapters, which return a Promise, are rejected.
+   */
+  const createSyncStorage = function (adapter) {
+    const callSync =
+      (method) =>
+      (...args) => {
+        const result = adapter[method](...args);
+        if (
+          result !== null &&
+          typeof result === "object" &&
+          typeof result.then === "function"
+        ) {
+          // the error below is thrown instead
+          Promise.resolve(result).catch(() => {});
+          throw new Error(
+            `Method [${method}] of option [storage] returned a Promise. Custom storages must implement [read], [write], [delete] and [list] synchronously, and may implement [readAsync] and [writeAsync] for asynchronous access.`
+          );
+        }
+        return result;
+      };
+    return {
+      read: callSync("read"),
+      write: callSync("write"),
+      delete: callSync("delete"),
+      list: callSync("list"),
+      ...["readAsync", "writeAsync"]
+        .filter((m) => objectHasMethod(adapter, m))
+        .reduce((acc, m) => ({ ...acc, [m]: adapter[m].bind(adapter) }), {}),
+    };
+  };
+
+  /**
+   * Resolves the [storage] option. Custom storages must implement the synchronous methods
+   * read(key), which returns the stored bytes or null, write(key, bytes), delete(key)
+   * and list(), which returns the stored keys.
+   */
+  const resolveStorage = function (storageOption) {
+    if (
+      storageOption === undefined ||
+      storageOption === null ||
+      storageOption === "filesystem"
+    ) {
+      return { name: "filesystem", adapter: null };
+    }
+    if (storageOption === "memory") {
+      return { name: "memory", adapter: new MemoryStorage() };
+    }
+    if (
+      !storageOption ||
+      typeof storageOption !== "object" ||
+      !["read", "write", "delete", "list"].every((m) =>
+        objectHasMethod(storageOption, m)
+      )
+    ) {
+      throw new Error(
+        `Option [storage] must be "filesystem", "memory" or an object implementing methods [read], [write], [delete] and [list].`
+      );
+    }
+    return { name: "custom", adapter: createSyncStorage(storageOption) };
+  };
+
+  const readStoredSync = function (key) {
+    const bytes = storage.read(key);
+    return bytes === null || bytes === undefined ? null : toBuffer(bytes);
+  };
+
+  const readStoredAsync = async function (key) {
+    const bytes = objectHasMethod(storage, "readAsync")
+      ? await storage.readAsync(key)
+      : storage.read(key);
+    return bytes === null || bytes === undefined ? null : toBuffer(bytes);
+  };
+
+  const writeStoredAsync = async function (key, bytes) {
+    if (objectHasMethod(storage, "writeAsync")) {
+      await storage.writeAsync(key, bytes);
+      return;
+    }
+    storage.write(key, bytes);
+  };
+
+  /**
+   * The metadata is a file next to the entity files with the "filesystem" storage,
+   * and is stored under its own key otherwise.
+   */
+  const loadMetadata = function () {
+    if (isFileSystemStorage()) {
+      return readMetadata(metadataFilePath);
+    }
+    const buffer = readStoredSync(METADATA_STORAGE_KEY);
+    return buffer === null
+      ? null
+      : JSON.parse(buffer.toString(BUFFER_ENCODING));
+  };
+
+  const saveMetadata = function (metadata) {
+    if (isFileSystemStorage()) {
+      createDirectoryIfNotExist(metadataFilePath);
+      writeMetadata(metadataFilePath, metadata);
       return;
     }
-    const initDataStr = JSON.stringify(data);
-    const encryptedData = cryptor.encrypt(initDataStr);
-    fs.writeFileSync(filePath, encryptedData, {
-      encoding: BUFFER_ENCODING,
+    storage.write(
+      METADATA_STORAGE_KEY,
+      Buffer.from(JSON.stringify(metadata, null, 2), BUFFER_ENCODING)
+    );
+  };
+
+  /**
+   * The last values of the autoincrement sequences of entities are stored in the metadata,
+   * eg. { sequences: { users: 42 } }
+   */
+  const loadSequences = function () {
+    const metadata = loadMetadata() || {};
+    return metadata.sequences || {};
+  };
+
+  const saveSequences = function (sequences) {
+    saveMetadata({ ...(loadMetadata() || {}), sequences });
+  };
+
+  /**
+   * Several processes may update the metadata, so it is read and written again under
+   * its lock. The lock is taken last, after the locks of the entity files.
+   */
+  const withMetadataLockSync = function (fn) {
+    return withLockSync(metadataFilePath, fn);
+  };
+
+  /**
+   * Journals, snapshots and the options depending on files
+   */
+  const verifyFileSystemStorage = function (feature) {
+    if (!isFileSystemStorage()) {
+      throw new Error(
+        `${feature} is only supported with the "filesystem" storage.`
+      );
+    }
+  };
+
+  /**
+   * Resolves the key derivation of the database. Databases without a metadata file
+   * which already contain entity files were created before key derivation was
+   * configurable, hence default to the "legacy" key derivation.
+   */
+  const resolveKeyDerivation = function (metadata, hasExistingData, options) {
+    const { kdf, kdfParams } = options;
+    if (metadata && metadata.kdf) {
+      if (stringHasValue(kdf) && kdf !== metadata.kdf) {
+        throw new Error(
+          `Database was created with key derivation function [${metadata.kdf}], but [${kdf}] was provided.`
+        );
+      }
+      return metadata;
+    }
+    const resolvedKdf = stringHasValue(kdf)
+      ? kdf
+      : hasExistingData
+      ? "legacy"
+      : DEFAULT_KDF;
+    return {
+      kdf: resolvedKdf,
+      salt: resolvedKdf === "legacy" ? null : generateSalt(),
+      kdfParams,
+    };
+  };
+
+  const isBuiltInCryptor = function (c) {
+    return c instanceof Cryptor;
+  };
+
+  const getCipher = function (c) {
+    return objectHasMethod(c, "getAlgorithm")
+      ? c.getAlgorithm()
+      : CUSTOM_CIPHER;
+  };
+
+  /**
+   * Resolves the [cryptor] build option. Custom cryptors must implement the methods
+   * encrypt(dataStr) and decrypt(dataStr), which return strings, and may implement
+   * encryptAsync(dataStr) and decryptAsync(dataStr), which return promises of strings.
+   */
+  const resolveCustomCryptor = function (customCryptor) {
+    if (customCryptor === "none") {
+      return new NoneCryptor();
+    }
+    if (
+      !customCryptor ||
+      typeof customCryptor !== "object" ||
+      !objectHasMethod(customCryptor, "encrypt") ||
+      !objectHasMethod(customCryptor, "decrypt")
+    ) {
+      throw new Error(
+        `Option [cryptor] must be "none" or an object implementing methods [encrypt] and [decrypt].`
+      );
+    }
+    return customCryptor;
+  };
+
+  /**
+   * Header flags of the payload written by payloadCryptor. Custom cryptors only
+   * encrypt strings, so their payload is always a utf-8 string. Payloads encrypted
+   * with aes-256-gcm authenticate the file header, see getAdditionalData.
+   */
+  const getPayloadFlags = function (payloadCryptor) {
+    const flags = {
+      encoding: isBuiltInCryptor(payloadCryptor)
+        ? payloadEncoding
+        : CUSTOM_PAYLOAD_ENCODING,
+    };
+    if (compression !== null) {
+      flags.compression = compression;
+    }
+    if (
+      isBuiltInCryptor(payloadCryptor) &&
+      payloadCryptor.getAlgorithm() === "aes-256-gcm"
+    ) {
+      flags.authenticatedHeader = true;
+    }
+    return flags;
+  };
+
+  /**
+   * The cipher, key derivation and flags of the file header are authenticated together
+   * with the payload, so that they can not be changed without failing its decryption.
+   * The checksum and journal id are added after the payload is encrypted. Envelope
+   * encrypted files leave out the key derivation and data key, which are replaced when
+   * rotating secrets; a changed data key fails the decryption of the payload anyway.
+   *
+   * @returns The additional authenticated data of the payload, or null for files written without it.
+   */
+  const getAdditionalData = function (header) {
+    if (!header.flags.authenticatedHeader) {
+      return null;
+    }
+    const { cipher, kdf, flags } = header;
+    return Buffer.from(
+      JSON.stringify(
+        isEnvelopeHeader(header) ? { cipher, flags } : { cipher, kdf, flags }
+      ),
+      BUFFER_ENCODING
+    );
+  };
+
+  const createFileHeader = function (
+    withCryptor,
+    flags,
+    wrappedDataKey = null
+  ) {
+    let header;
+    if (!isBuiltInCryptor(withCryptor)) {
+      header = {
+        cipher: getCipher(withCryptor),
+        kdf: null,
+        flags,
+      };
+    } else {
+      const { kdf, salt, kdfParams } = withCryptor.getKeyDerivation();
+      header = {
+        cipher: withCryptor.getAlgorithm(),
+        kdf: { name: kdf, salt, params: kdfParams },
+        flags,
+      };
+    }
+    if (wrappedDataKey === null) {
+      return header;
+    }
+    // the payload is encrypted with the data key, which is wrapped by the cryptor
+    return {
+      ...header,
+      cipher: DATA_KEY_ALGORITHM,
+      flags: { ...flags, envelope: true },
+      dataKey: { cipher: header.cipher, wrapped: wrappedDataKey },
+    };
+  };
+
+  const isEnvelopeHeader = function (header) {
+    return Boolean(header && header.flags && header.flags.envelope);
+  };
+
+  const verifyPayloadFlags = function (flags, supportedEncodings) {
+    if (!flags || !supportedEncodings.includes(flags.encoding)) {
+      throw new Error(
+        `Unsupported payload encoding [${
+          flags && flags.encoding
+        }] in data file header.`
+      );
+    }
+    if (
+      flags.compression !== undefined &&
+      !SUPPORTED_COMPRESSIONS.includes(flags.compression)
+    ) {
+      throw new Error(
+        `Unsupported compression [${flags.compression}] in data file header.`
+      );
+    }
+  };
+
+  const verifyFileHeader = function (header, withCryptor) {
+    const isEnvelope = isEnvelopeHeader(header);
+    if (
+      isEnvelope &&
+      (!header.dataKey || header.cipher !== DATA_KEY_ALGORITHM)
+    ) {
+      throw new Error("Invalid data key in data file header.");
+    }
+    const cipher = isEnvelope ? header.dataKey.cipher : header && header.cipher;
+    if (!isBuiltInCryptor(withCryptor)) {
+      if (cipher !== getCipher(withCryptor)) {
+        throw new Error(
+          `Data file was written with cipher [${cipher}], but the database is configured with cipher [${getCipher(
+            withCryptor
+          )}].`
+        );
+      }
+      // envelope encrypted payloads are encrypted by a built-in data key cryptor
+      verifyPayloadFlags(
+        header.flags,
+        isEnvelope ? SUPPORTED_PAYLOAD_ENCODINGS : [CUSTOM_PAYLOAD_ENCODING]
+      );
+      return;
+    }
+    if (!Cryptor.SUPPORTED_ALGORITHMS.includes(cipher)) {
+      throw new Error(`Unsupported cipher [${cipher}] in data file header.`);
+    }
+    if (!withCryptor.canDecrypt(cipher)) {
+      throw new Error(
+        `Data file was written with cipher [${cipher}], but the database is configured with cipher [${withCryptor.getAlgorithm()}]. Use option [migrateFromAlgorithm] to read and migrate it.`
+      );
+    }
+    const { kdf, salt } = withCryptor.getKeyDerivation();
+    if (!header.kdf || header.kdf.name !== kdf || header.kdf.salt !== salt) {
+      throw new Error(
+        "Data file was encrypted with a different key derivation than the one configured for this database."
+      );
+    }
+    verifyPayloadFlags(header.flags, SUPPORTED_PAYLOAD_ENCODINGS);
+  };
+
+  const getDataKeyCryptor = function (dataKey) {
+    return new Cryptor(null, null, {
+      algorithm: DATA_KEY_ALGORITHM,
+      key: dataKey,
+    });
+  };
+
+  const getOrCreateDataKey = function (entity) {
+    if (!dataKeys[entity]) {
+      dataKeys[entity] = Cryptor.generateKey();
+    }
+    return dataKeys[entity];
+  };
+
+  const unwrapDataKey = function (entity, decryptedDataKey) {
+    const dataKey = Buffer.from(decryptedDataKey, "hex");
+    dataKeys[entity] = dataKey;
+    return dataKey;
+  };
+
+  /**
+   * Unwraps the field key from the metadata file, or creates it on first use
+   */
+  const getFieldCryptor = function () {
+    if (fieldCryptor) {
+      return fieldCryptor;
+    }
+    const fieldKey = withMetadataLockSync(() => {
+      const metadata = loadMetadata() || {};
+      if (stringHasValue(metadata.fieldKey)) {
+        return Buffer.from(cryptor.decrypt(metadata.fieldKey), "hex");
+      }
+      const newFieldKey = Cryptor.generateKey();
+      saveMetadata({
+        ...metadata,
+        fieldKey: cryptor.encrypt(newFieldKey.toString("hex")),
+      });
+      return newFieldKey;
+    });
+    fieldCryptor = getDataKeyCryptor(fieldKey);
+    return fieldCryptor;
+  };
+
+  const isBinaryEncoding = function (encoding) {
+    return encoding === "base64" || encoding === "binary";
+  };
+
+  const compress = function (dataStr) {
+    const dataBuffer = Buffer.from(dataStr, BUFFER_ENCODING);
+    return compression === null
+      ? dataBuffer
+      : COMPRESSIONS[compression].compress(dataBuffer);
+  };
+
+  const compressAsync = async function (dataStr) {
+    const dataBuffer = Buffer.from(dataStr, BUFFER_ENCODING);
+    return compression === null
+      ? dataBuffer
+      : COMPRESSIONS[compression].compressAsync(dataBuffer);
+  };
+
+  const decompress = function (dataBuffer, flags) {
+    return (
+      flags.compression
+        ? COMPRESSIONS[flags.compression].decompress(dataBuffer)
+        : dataBuffer
+    ).toString(BUFFER_ENCODING);
+  };
+
+  const decompressAsync = async function (dataBuffer, flags) {
+    return (
+      flags.compression
+        ? await COMPRESSIONS[flags.compression].decompressAsync(dataBuffer)
+        : dataBuffer
+    ).toString(BUFFER_ENCODING);
+  };
+
+  /**
+   * String cryptors encrypt compressed data as a base64 string
+   */
+  const toPlainText = function (dataBuffer, flags) {
+    return dataBuffer.toString(flags.compression ? "base64" : BUFFER_ENCODING);
+  };
+
+  const fromPlainText = function (dataStr, flags) {
+    return Buffer.from(dataStr, flags.compression ? "base64" : BUFFER_ENCODING);
+  };
+
+  const encryptPayload = function (dataBuffer, payloadCryptor, header) {
+    const { flags } = header;
+    const additionalData = getAdditionalData(header);
+    if (!isBinaryEncoding(flags.encoding)) {
+      return additionalData === null
+        ? payloadCryptor.encrypt(toPlainText(dataBuffer, flags))
+        : payloadCryptor.encrypt(
+            toPlainText(dataBuffer, flags),
+            additionalData
+          );
+    }
+    const encryptedData = payloadCryptor.encryptBuffer(
+      dataBuffer,
+      additionalData
+    );
+    return flags.encoding === "base64"
+      ? encryptedData.toString("base64")
+      : encryptedData;
+  };
+
+  const decryptPayload = function (payload, payloadCryptor, header) {
+    const flags = header.flags;
+    const additionalData = getAdditionalData(header);
+    if (!isBinaryEncoding(flags.encoding)) {
+      const dataStr = payload.toString(BUFFER_ENCODING);
+      return fromPlainText(
+        additionalData === null
+          ? payloadCryptor.decrypt(dataStr)
+          : payloadCryptor.decrypt(dataStr, additionalData),
+        flags
+      );
+    }
+    const encryptedData =
+      flags.encoding === "base64"
+        ? Buffer.from(payload.toString(BUFFER_ENCODING), "base64")
+        : payload;
+    return payloadCryptor.decryptBuffer(
+      encryptedData,
+      header.cipher,
+      additionalData
+    );
+  };
+
+  const getChecksum = function (payload) {
+    return crypto
+      .createHash(CHECKSUM_ALGORITHM)
+      .update(
+        Buffer.isBuffer(payload)
+          ? payload
+          : Buffer.from(payload, BUFFER_ENCODING)
+      )
+      .digest("hex");
+  };
+
+  /**
+   * Every file header holds the checksum of the payload, so that a corrupt file can be
+   * told apart from a file which is read with the wrong secrets.
+   *
+   * [journalId] is the id of the journal whose operations are included in the data,
+   * and is recorded in the file header
+   */
+  const encodeFile = function (header, payload, journalId) {
+    return FileFormat.encode(
+      {
+        ...header,
+        ...(journalId === null ? {} : { journal: journalId }),
+        checksum: getChecksum(payload),
+      },
+      payload
+    );
+  };
+
+  const verifyChecksum = function (header, payload) {
+    // files written before checksums were introduced have none
+    if (
+      header.checksum !== undefined &&
+      header.checksum !== getChecksum(payload)
+    ) {
+      throw new Error(
+        "Data integrity check failed. Data file checksum does not match, the file is corrupt or has been modified."
+      );
+    }
+  };
+
+  /**
+   *
+   * @returns The reason why the file is corrupt, or null.
+   */
+  const findCorruption = function (buffer) {
+    if (buffer === null) {
+      return "Data file is missing.";
+    }
+    if (buffer.length === 0) {
+      return "Data file is empty.";
+    }
+    try {
+      const { version, header, payload } = FileFormat.decode(buffer);
+      if (version !== FileFormat.LEGACY_FORMAT_VERSION) {
+        verifyChecksum(header, payload);
+      }
+      return null;
+    } catch (error) {
+      return error.message || String(error);
+    }
+  };
+
+  /**
+   * serialize compresses and encrypts data, and prepends the file header
+   */
+  const serialize = function (
+    entity,
+    data,
+    withCryptor = cryptor,
+    journalId = null
+  ) {
+    const dataBuffer = compress(JSON.stringify(data));
+    if (!envelopeEncryption) {
+      const header = createFileHeader(
+        withCryptor,
+        getPayloadFlags(withCryptor)
+      );
+      return encodeFile(
+        header,
+        encryptPayload(dataBuffer, withCryptor, header),
+        journalId
+      );
+    }
+    const dataKey = getOrCreateDataKey(entity);
+    const dataKeyCryptor = getDataKeyCryptor(dataKey);
+    const wrappedDataKey = withCryptor.encrypt(dataKey.toString("hex"));
+    const header = createFileHeader(
+      withCryptor,
+      getPayloadFlags(dataKeyCryptor),
+      wrappedDataKey
+    );
+    return encodeFile(
+      header,
+      encryptPayload(dataBuffer, dataKeyCryptor, header),
+      journalId
+    );
+  };
+
+  const serializeAsync = async function (
+    entity,
+    data,
+    withCryptor = cryptor,
+    journalId = null
+  ) {
+    if (!objectHasMethod(withCryptor, "encryptAsync")) {
+      return serialize(entity, data, withCryptor, journalId);
+    }
+    const dataBuffer = await compressAsync(JSON.stringify(data));
+    if (!envelopeEncryption) {
+      const header = createFileHeader(
+        withCryptor,
+        getPayloadFlags(withCryptor)
+      );
+      // built-in cryptors authenticate the header, and do not encrypt asynchronously
+      const encryptedData =
+        isBinaryEncoding(header.flags.encoding) || isBuiltInCryptor(withCryptor)
+          ? encryptPayload(dataBuffer, withCryptor, header)
+          : await withCryptor.encryptAsync(
+              toPlainText(dataBuffer, header.flags)
+            );
+      return encodeFile(header, encryptedData, journalId);
+    }
+    const dataKey = getOrCreateDataKey(entity);
+    const dataKeyCryptor = getDataKeyCryptor(dataKey);
+    const wrappedDataKey = await withCryptor.encryptAsync(
+      dataKey.toString("hex")
+    );
+    const header = createFileHeader(
+      withCryptor,
+      getPayloadFlags(dataKeyCryptor),
+      wrappedDataKey
+    );
+    return encodeFile(
+      header,
+      encryptPayload(dataBuffer, dataKeyCryptor, header),
+      journalId
+    );
+  };
+
+  /**
+   * deserialize dispatches on the file format version and the header flags,
+   * and decrypts, decompresses and parses the file payload
+   */
+  const decodeFile = function (buffer, withCryptor) {
+    const { version, header, payload } = FileFormat.decode(buffer);
+    if (version !== FileFormat.LEGACY_FORMAT_VERSION) {
+      verifyChecksum(header, payload);
+      verifyFileHeader(header, withCryptor);
+    }
+    return { header, payload };
+  };
+
+  const deserialize = function (entity, buffer, withCryptor = cryptor) {
+    const { header, payload } = decodeFile(buffer, withCryptor);
+    let decryptedData;
+    if (isEnvelopeHeader(header)) {
+      const dataKey = unwrapDataKey(
+        entity,
+        withCryptor.decrypt(header.dataKey.wrapped)
+      );
+      decryptedData = decryptPayload(
+        payload,
+        getDataKeyCryptor(dataKey),
+        header
+      );
+    } else {
+      decryptedData = decryptPayload(payload, withCryptor, header);
+    }
+    return JSON.parse(decompress(decryptedData, header.flags));
+  };
+
+  const deserializeAsync = async function (
+    entity,
+    buffer,
+    withCryptor = cryptor
+  ) {
+    if (!objectHasMethod(withCryptor, "decryptAsync")) {
+      return deserialize(entity, buffer, withCryptor);
+    }
+    const { header, payload } = decodeFile(buffer, withCryptor);
+    let decryptedData;
+    if (isEnvelopeHeader(header)) {
+      const dataKey = unwrapDataKey(
+        entity,
+        await withCryptor.decryptAsync(header.dataKey.wrapped)
+      );
+      decryptedData = decryptPayload(
+        payload,
+        getDataKeyCryptor(dataKey),
+        header
+      );
+    } else if (
+      isBinaryEncoding(header.flags.encoding) ||
+      isBuiltInCryptor(withCryptor)
+    ) {
+      decryptedData = decryptPayload(payload, withCryptor, header);
+    } else {
+      decryptedData = fromPlainText(
+        await withCryptor.decryptAsync(payload.toString(BUFFER_ENCODING)),
+        header.flags
+      );
+    }
+    return JSON.parse(await decompressAsync(decryptedData, header.flags));
+  };
+
+  /**
+   * A journal file holds the operations on an entity since its data file was last
+   * written, one per line. The first line identifies the journal:
+   *    {"journal":"9c41e0..."}
+   * every other line is an operation, encrypted by the cryptor and stored as a JSON string.
+   * Decrypted operations look like:
+   *    { op: "update", key: "id", id: "123", data: { id: "123", name: "..." } }
+   * A data file whose header records the journal id already contains its operations.
+   */
+  const getJournalFilePath = function (filePath) {
+    return `${filePath.replace(/\.json$/, "")}${JOURNAL_FILE_EXTENSION}`;
+  };
+
+  const parseJournal = function (buffer) {
+    const lines = buffer
+      .toString(BUFFER_ENCODING)
+      .split(JOURNAL_LINE_SEPARATOR);
+    // the last line is either empty, or the incomplete line of an interrupted append
+    lines.pop();
+    if (lines.length === 0) {
+      return { id: null, records: [] };
+    }
+    try {
+      return {
+        id: JSON.parse(lines[0]).journal,
+        records: lines.slice(1).map((l) => JSON.parse(l)),
+      };
+    } catch (error) {
+      throw new Error("Invalid journal file. Journal file is not readable.");
+    }
+  };
+
+  const formatJournalLines = function (lines) {
+    return lines.map((l) => `${l}${JOURNAL_LINE_SEPARATOR}`).join("");
+  };
+
+  const encryptJournalRecord = function (operation, withCryptor = cryptor) {
+    return JSON.stringify(withCryptor.encrypt(JSON.stringify(operation)));
+  };
+
+  const readJournalSync = function (filePath) {
+    if (!isFileSystemStorage()) {
+      return null;
+    }
+    const journalFilePath = getJournalFilePath(filePath);
+    if (!fs.existsSync(journalFilePath)) {
+      return null;
+    }
+    return parseJournal(fs.readFileSync(journalFilePath));
+  };
+
+  const readJournalAsync = async function (filePath) {
+    if (!isFileSystemStorage()) {
+      return null;
+    }
+    try {
+      return parseJournal(
+        await fsPromises.readFile(getJournalFilePath(filePath))
+      );
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  /**
+   * create and update operations replace the data object with the same identifier, or
+   * add it, so replaying operations which are already contained in the data is harmless
+   */
+  const applyJournalOperations = function (data, operations) {
+    return operations.reduce((result, { op, key, id, data: obj }) => {
+      if (op === "delete") {
+        return result.filter((item) => item[key] !== id);
+      }
+      const index =
+        id === undefined || id === null
+          ? -1
+          : result.findIndex((item) => item[key] === id);
+      if (index === -1) {
+        return [...result, obj];
+      }
+      return result.map((item, i) => (i === index ? obj : item));
+    }, data);
+  };
+
+  const replayJournal = function (fileBuffer, data, journal) {
+    if (
+      journal === null ||
+      journal.id === null ||
+      journal.id === FileFormat.decode(fileBuffer).header.journal
+    ) {
+      return data;
+    }
+    return applyJournalOperations(
+      data,
+      journal.records.map((r) => JSON.parse(cryptor.decrypt(r)))
+    );
+  };
+
+  /**
+   * The data file of a sharded entity holds its manifest instead of its records:
+   *    {
+   *    chunks: [{ id: "9f2c1a3b", count: 1000, hash: "3a7bd3e2..." }],
+   *    };
+   * Every chunk is encrypted and stored under its own key, eg. [categories.chunk-9f2c1a3b].
+   * Chunks are never overwritten: a changed chunk is written under a new id before the
+   * manifest, so that a save is committed once the manifest is written.
+   */
+  const isManifest = function (fileData) {
+    return (
+      fileData !== null &&
+      typeof fileData === "object" &&
+      !Array.isArray(fileData) &&
+      Array.isArray(fileData.chunks)
+    );
+  };
+
+  const getChunkKey = function (entity, chunkId) {
+    return `${entity}${CHUNK_KEY_SEPARATOR}${chunkId}`;
+  };
+
+  const listChunkKeys = function (entity) {
+    return (
+      storage
+        .list()
+        .filter((key) => key.startsWith(`${entity}${CHUNK_KEY_SEPARATOR}`))
+        // corrupt chunks kept by other storages, see recoverCorruptFile
+        .filter((key) => !key.endsWith(CORRUPT_FILE_SUFFIX))
+        // staged chunks of a secret rotation, see replaceStoredSync
+        .filter((key) => !key.endsWith(ROTATION_FILE_SUFFIX))
+    );
+  };
+
+  const getMissingChunkError = function (entity, chunkId) {
+    return new Error(`Chunk [${chunkId}] of entity [${entity}] is missing.`);
+  };
+
+  const rememberChunks = function (entity, chunkId, records) {
+    if (!sharding[entity]) {
+      return;
+    }
+    const { identifierKey } = sharding[entity];
+    if (!chunkAssignments[entity]) {
+      chunkAssignments[entity] = new Map();
+    }
+    records.forEach((record) => {
+      chunkAssignments[entity].set(record[identifierKey], chunkId);
+    });
+  };
+
+  const loadChunksSync = function (entity, manifest) {
+    delete chunkAssignments[entity];
+    return manifest.chunks.reduce((data, chunk) => {
+      const buffer = readStoredSync(getChunkKey(entity, chunk.id));
+      if (buffer === null) {
+        throw getMissingChunkError(entity, chunk.id);
+      }
+      const records = deserialize(entity, buffer);
+      rememberChunks(entity, chunk.id, records);
+      return data.concat(records);
+    }, []);
+  };
+
+  const loadChunksAsync = async function (entity, manifest) {
+    delete chunkAssignments[entity];
+    let data = [];
+    for (const chunk of manifest.chunks) {
+      const buffer = await readStoredAsync(getChunkKey(entity, chunk.id));
+      if (buffer === null) {
+        throw getMissingChunkError(entity, chunk.id);
+      }
+      const records = await deserializeAsync(entity, buffer);
+      rememberChunks(entity, chunk.id, records);
+      data = data.concat(records);
+    }
+    return data;
+  };
+
+  /**
+   * Splits the records of a sharded entity into chunks of at most [maxRecords] records
+   * and [maxBytes] bytes of JSON. Records stay in the chunk they were read from, new
+   * records fill up the last chunk, and chunks without records are dropped.
+   *
+   * @returns The chunks, with keys [id] (null for new chunks), [count], [hash] and [records].
+   */
+  const splitIntoChunks = function (entity, data, previousChunks) {
+    const { maxRecords, maxBytes, identifierKey } = sharding[entity];
+    const assignments = chunkAssignments[entity] || new Map();
+    const groups = new Map(
+      previousChunks.map((chunk) => [chunk.id, { chunk, records: [] }])
+    );
+    const newRecords = [];
+    data.forEach((record) => {
+      const group = groups.get(assignments.get(record[identifierKey]));
+      if (group) {
+        group.records.push(record);
+      } else {
+        newRecords.push(record);
+      }
+    });
+    const chunks = [];
+    const pack = (records, previousChunk) => {
+      let current = { previousChunk, jsons: [], bytes: 0, records: [] };
+      records.forEach((record) => {
+        const json = JSON.stringify(record);
+        const bytes = Buffer.byteLength(json, BUFFER_ENCODING);
+        const isFull =
+          (maxRecords !== null && current.records.length + 1 > maxRecords) ||
+          (maxBytes !== null && current.bytes + bytes > maxBytes);
+        if (current.records.length > 0 && isFull) {
+          chunks.push(current);
+          current = { previousChunk: null, jsons: [], bytes: 0, records: [] };
+        }
+        current.jsons.push(json);
+        current.bytes += bytes;
+        current.records.push(record);
+      });
+      if (current.records.length > 0) {
+        chunks.push(current);
+      }
+    };
+    groups.forEach(({ chunk, records }) => {
+      pack(records, chunk);
+    });
+    const lastChunk = chunks.pop();
+    pack(
+      lastChunk ? lastChunk.records.concat(newRecords) : newRecords,
+      lastChunk ? lastChunk.previousChunk : null
+    );
+    return chunks.map(({ previousChunk, jsons, records }) => {
+      const hash = getChecksum(Buffer.from(`[${jsons.join(",")}]`));
+      return {
+        id:
+          previousChunk && previousChunk.hash === hash
+            ? previousChunk.id
+            : null,
+        count: records.length,
+        hash,
+        records,
+      };
+    });
+  };
+
+  const readManifestSync = function (entity) {
+    const fileBuffer = readStoredSync(entity);
+    const fileData =
+      fileBuffer === null ? null : deserialize(entity, fileBuffer);
+    return isManifest(fileData) ? fileData : null;
+  };
+
+  const readManifestAsync = async function (entity) {
+    const fileBuffer = await readStoredAsync(entity);
+    const fileData =
+      fileBuffer === null ? null : await deserializeAsync(entity, fileBuffer);
+    return isManifest(fileData) ? fileData : null;
+  };
+
+  const createChunkId = function () {
+    return crypto.randomBytes(CHUNK_ID_LENGTH / 2).toString("hex");
+  };
+
+  const getManifest = function (chunks) {
+    return {
+      chunks: chunks.map(({ id, count, hash }) => ({ id, count, hash })),
+    };
+  };
+
+  /**
+   *
+   * @returns The keys of the chunks of the previous manifest which are not part of the new one.
+   */
+  const getObsoleteChunkKeys = function (entity, previousManifest, manifest) {
+    if (previousManifest === null) {
+      return [];
+    }
+    const chunkIds = manifest.chunks.map((c) => c.id);
+    return previousManifest.chunks
+      .filter((c) => !chunkIds.includes(c.id))
+      .map((c) => getChunkKey(entity, c.id));
+  };
+
+  /**
+   * Writes the changed chunks of a sharded entity
+   *
+   * @returns The new manifest, and the keys of the chunks to delete once it is written.
+   */
+  const storeChunksSync = function (entity, data) {
+    const previousManifest = readManifestSync(entity);
+    const chunks = splitIntoChunks(
+      entity,
+      data,
+      previousManifest ? previousManifest.chunks : []
+    );
+    delete chunkAssignments[entity];
+    chunks.forEach((chunk) => {
+      if (chunk.id === null) {
+        chunk.id = createChunkId();
+        storage.write(
+          getChunkKey(entity, chunk.id),
+          serialize(entity, chunk.records)
+        );
+      }
+      rememberChunks(entity, chunk.id, chunk.records);
+    });
+    const manifest = getManifest(chunks);
+    return {
+      manifest,
+      obsoleteChunkKeys: getObsoleteChunkKeys(
+        entity,
+        previousManifest,
+        manifest
+      ),
+    };
+  };
+
+  const storeChunksAsync = async function (entity, data) {
+    const previousManifest = await readManifestAsync(entity);
+    const chunks = splitIntoChunks(
+      entity,
+      data,
+      previousManifest ? previousManifest.chunks : []
+    );
+    delete chunkAssignments[entity];
+    for (const chunk of chunks) {
+      if (chunk.id === null) {
+        chunk.id = createChunkId();
+        await writeStoredAsync(
+          getChunkKey(entity, chunk.id),
+          await serializeAsync(entity, chunk.records)
+        );
+      }
+      rememberChunks(entity, chunk.id, chunk.records);
+    }
+    const manifest = getManifest(chunks);
+    return {
+      manifest,
+      obsoleteChunkKeys: getObsoleteChunkKeys(
+        entity,
+        previousManifest,
+        manifest
+      ),
+    };
+  };
+
+  /**
+   * Removes the chunks which are not listed by the manifest of a sharded entity, left
+   * behind by an interrupted save
+   */
+  const removeOrphanChunks = function (entity, filePath) {
+    if (listChunkKeys(entity).length === 0) {
+      return;
+    }
+    withLockSync(filePath, () => {
+      const manifest = readManifestSync(entity);
+      const chunkKeys = manifest
+        ? manifest.chunks.map((c) => getChunkKey(entity, c.id))
+        : [];
+      listChunkKeys(entity)
+        .filter((key) => !chunkKeys.includes(key))
+        .forEach((key) => {
+          storage.delete(key);
+        });
+    });
+  };
+
+  /**
+   * Resolves the [sharding] option, which holds the sharding options of the entities
+   * split into chunks
+   */
+  const resolveSharding = function (shardingOption) {
+    if (shardingOption === undefined || shardingOption === null) {
+      return {};
+    }
+    if (typeof shardingOption !== "object" || Array.isArray(shardingOption)) {
+      throw new Error(
+        "Option [sharding] must be an object with the sharding options of every sharded entity."
+      );
+    }
+    return Object.keys(shardingOption).reduce((prev, entity) => {
+      const { maxRecords, maxBytes, identifierKey } =
+        shardingOption[entity] || {};
+      const hasMaxRecords = maxRecords !== undefined && maxRecords !== null;
+      const hasMaxBytes = maxBytes !== undefined && maxBytes !== null;
+      if (
+        (!hasMaxRecords && !hasMaxBytes) ||
+        (hasMaxRecords && !(Number.isInteger(maxRecords) && maxRecords > 0)) ||
+        (hasMaxBytes && !(Number.isFinite(maxBytes) && maxBytes > 0))
+      ) {
+        throw new Error(
+          `Option [sharding] of entity [${entity}] must have a positive integer [maxRecords] or a positive number of bytes [maxBytes].`
+        );
+      }
+      return {
+        ...prev,
+        [entity]: {
+          maxRecords: hasMaxRecords ? maxRecords : null,
+          maxBytes: hasMaxBytes ? maxBytes : null,
+          identifierKey: stringHasValue(identifierKey) ? identifierKey : "id",
+        },
+      };
+    }, {});
+  };
+
+  /**
+   * Resolves the [durability], [durabilityWindow] and [entityDurability] options
+   */
+  const resolveDurability = function (options) {
+    const verifyDurability = (value, option) => {
+      if (!DURABILITIES.includes(value)) {
+        throw new Error(`${option} must be one of ${DURABILITIES.toString()}.`);
+      }
+      return value;
+    };
+    const entityDurabilityOption =
+      options.entityDurability === undefined ||
+      options.entityDurability === null
+        ? {}
+        : options.entityDurability;
+    if (
+      typeof entityDurabilityOption !== "object" ||
+      Array.isArray(entityDurabilityOption)
+    ) {
+      throw new Error(
+        "Option [entityDurability] must be an object with the durability of every entity."
+      );
+    }
+    const window =
+      options.durabilityWindow === undefined ||
+      options.durabilityWindow === null
+        ? DEFAULT_DURABILITY_WINDOW
+        : options.durabilityWindow;
+    if (!(Number.isFinite(window) && window >= 0)) {
+      throw new Error(
+        "Option [durabilityWindow] must be a non-negative number of milliseconds."
+      );
+    }
+    return {
+      durability: stringHasValue(options.durability)
+        ? verifyDurability(options.durability, "Option [durability]")
+        : DEFAULT_DURABILITY,
+      durabilityWindow: window,
+      entityDurability: Object.keys(entityDurabilityOption).reduce(
+        (prev, entity) => ({
+          ...prev,
+          [entity]: verifyDurability(
+            entityDurabilityOption[entity],
+            `Option [entityDurability] of entity [${entity}]`
+          ),
+        }),
+        {}
+      ),
+    };
+  };
+
+  // see fileVersions
+  const getFileVersion = function (buffer) {
+    return crypto.createHash(CHECKSUM_ALGORITHM).update(buffer).digest("hex");
+  };
+
+  const getJournalSize = function (filePath) {
+    const journalFilePath = getJournalFilePath(filePath);
+    return fs.existsSync(journalFilePath)
+      ? fs.statSync(journalFilePath).size
+      : 0;
+  };
+
+  const rememberFileVersion = function (entity, buffer) {
+    if (isFileSystemStorage()) {
+      fileVersions[entity] = {
+        hash: getFileVersion(buffer),
+        journalSize: getJournalSize(entityFilesMap[entity]),
+      };
+    }
+  };
+
+  /**
+   * The following read and write the data file of an entity together with its journal.
+   * Writing the data file folds the journal into it. Callers must hold the lock of the data file.
+   */
+  const getMissingDataError = function (entity) {
+    return new Error(`No data is stored for entity [${entity}].`);
+  };
+
+  const loadSync = function (entity, filePath) {
+    const fileBuffer = readStoredSync(entity);
+    if (fileBuffer === null) {
+      throw getMissingDataError(entity);
+    }
+    // only data read into memory, with readSync, is compared with later file versions
+    rememberFileVersion(entity, fileBuffer);
+    const fileData = deserialize(entity, fileBuffer);
+    return replayJournal(
+      fileBuffer,
+      isManifest(fileData) ? loadChunksSync(entity, fileData) : fileData,
+      readJournalSync(filePath)
+    );
+  };
+
+  const loadAsync = async function (entity, filePath) {
+    const fileBuffer = await readStoredAsync(entity);
+    if (fileBuffer === null) {
+      throw getMissingDataError(entity);
+    }
+    const fileData = await deserializeAsync(entity, fileBuffer);
+    return replayJournal(
+      fileBuffer,
+      isManifest(fileData) ? await loadChunksAsync(entity, fileData) : fileData,
+      await readJournalAsync(filePath)
+    );
+  };
+
+  const storeSync = function (entity, filePath, data) {
+    const journal = readJournalSync(filePath);
+    const journalId = journal === null ? null : journal.id;
+    const { manifest, obsoleteChunkKeys } = sharding[entity]
+      ? storeChunksSync(entity, data)
+      : { manifest: null, obsoleteChunkKeys: [] };
+    const fileBuffer = serialize(
+      entity,
+      manifest === null ? data : manifest,
+      cryptor,
+      journalId
+    );
+    storage.write(entity, fileBuffer);
+    obsoleteChunkKeys.forEach((key) => {
+      storage.delete(key);
+    });
+    if (journal !== null) {
+      fs.rmSync(getJournalFilePath(filePath), { force: true });
+    }
+    rememberFileVersion(entity, fileBuffer);
+  };
+
+  const storeAsync = async function (entity, filePath, data) {
+    const journal = await readJournalAsync(filePath);
+    const journalId = journal === null ? null : journal.id;
+    const { manifest, obsoleteChunkKeys } = sharding[entity]
+      ? await storeChunksAsync(entity, data)
+      : { manifest: null, obsoleteChunkKeys: [] };
+    const fileBuffer = await serializeAsync(
+      entity,
+      manifest === null ? data : manifest,
+      cryptor,
+      journalId
+    );
+    await writeStoredAsync(entity, fileBuffer);
+    obsoleteChunkKeys.forEach((key) => {
+      storage.delete(key);
+    });
+    if (journal !== null) {
+      await fsPromises.rm(getJournalFilePath(filePath), { force: true });
+    }
+    rememberFileVersion(entity, fileBuffer);
+  };
+
+  /**
+   * Removes the journal of a data file if it was already folded into it, and the
+   * incomplete last line of an interrupted append otherwise
+   */
+  const recoverJournal = function (filePath) {
+    if (!isFileSystemStorage()) {
+      return;
+    }
+    const journalFilePath = getJournalFilePath(filePath);
+    if (!fs.existsSync(journalFilePath)) {
+      return;
+    }
+    withLockSync(filePath, () => {
+      const buffer = fs.readFileSync(journalFilePath);
+      const { id } = parseJournal(buffer);
+      const { header } = FileFormat.decode(fs.readFileSync(filePath));
+      if (id === null || id === header.journal) {
+        fs.rmSync(journalFilePath, { force: true });
+        return;
+      }
+      const end = buffer.lastIndexOf(JOURNAL_LINE_SEPARATOR) + 1;
+      if (end < buffer.length) {
+        fs.truncateSync(journalFilePath, end);
+      }
+    });
+  };
+
+  const reencryptJournal = function (buffer, oldCryptor, newCryptor) {
+    const { id, records } = parseJournal(buffer);
+    return Buffer.from(
+      formatJournalLines([
+        JSON.stringify({ journal: id }),
+        ...records.map((r) =>
+          JSON.stringify(newCryptor.encrypt(oldCryptor.decrypt(r)))
+        ),
+      ]),
+      BUFFER_ENCODING
+    );
+  };
+
+  /**
+   * Re-encrypts a file for the new cryptor. For envelope encrypted files only the
+   * data key is re-wrapped, and the encrypted payload is kept as is.
+   */
+  const reencrypt = function (entity, buffer, oldCryptor, newCryptor) {
+    const { header, payload } = decodeFile(buffer, oldCryptor);
+    if (!isEnvelopeHeader(header)) {
+      return serialize(
+        entity,
+        deserialize(entity, buffer, oldCryptor),
+        newCryptor
+      );
+    }
+    const dataKey = unwrapDataKey(
+      entity,
+      oldCryptor.decrypt(header.dataKey.wrapped)
+    );
+    const wrappedDataKey = newCryptor.encrypt(dataKey.toString("hex"));
+    return encodeFile(
+      createFileHeader(newCryptor, header.flags, wrappedDataKey),
+      payload,
+      header.journal === undefined ? null : header.journal
+    );
+  };
+
+  /**
+   * A secret rotation (or snapshot restore) is committed once its rotation record is
+   * written. The record lists the replaced files and the new key derivation metadata:
+   *    {
+   *    metadata: { kdf: "scrypt", salt: "9a1e...", kdfParams: { ... } },
+   *    files: ["categories.json", "comments.json"],
+   *    checksums: ["5d41...", "7c21..."],
+   *    };
+   * Applying the record moves every staged file over its entity file, writes
+   * the new metadata, and finally removes the record. Callers must hold all locks.
+   */
+  const applyRotationRecord = function (directory) {
+    const recordPath = `${directory}/${ROTATION_RECORD_FILENAME}`;
+    const record = JSON.parse(
+      fs.readFileSync(recordPath, { encoding: BUFFER_ENCODING })
+    );
+    // staged files are only missing when an interrupted apply already moved them
+    const missingFile = record.files.find((f, i) => {
+      const filePath = `${directory}/${f}`;
+      return (
+        !fs.existsSync(`${filePath}${ROTATION_FILE_SUFFIX}`) &&
+        !(
+          Array.isArray(record.checksums) &&
+          fs.existsSync(filePath) &&
+          getFileVersion(fs.readFileSync(filePath)) === record.checksums[i]
+        )
+      );
+    });
+    if (missingFile !== undefined) {
+      throw new Error(
+        `Can not complete the interrupted secret rotation or snapshot restore, staged file [${missingFile}${ROTATION_FILE_SUFFIX}] is missing. Record [${ROTATION_RECORD_FILENAME}] is kept for manual recovery.`
+      );
+    }
+    record.files.forEach((f) => {
+      const stagedFilePath = `${directory}/${f}${ROTATION_FILE_SUFFIX}`;
+      if (fs.existsSync(stagedFilePath)) {
+        fs.renameSync(stagedFilePath, `${directory}/${f}`);
+      }
+    });
+    if (record.metadata) {
+      const filePath = `${directory}/${METADATA_FILENAME}`;
+      withLockSync(filePath, () => writeMetadata(filePath, record.metadata));
+    }
+    fs.unlinkSync(recordPath);
+  };
+
+  /**
+   * Completes a committed secret rotation that was interrupted, and discards
+   * the files of a rotation that was interrupted before being committed, so that
+   * every entity file is encrypted with the same key.
+   */
+  const recoverInterruptedRotation = function (directory) {
+    if (!fs.existsSync(directory)) {
+      return;
+    }
+    if (fs.existsSync(`${directory}/${ROTATION_RECORD_FILENAME}`)) {
+      applyRotationRecord(directory);
+    }
+    fs.readdirSync(directory)
+      .filter((f) => f.endsWith(ROTATION_FILE_SUFFIX))
+      .forEach((f) => {
+        fs.unlinkSync(`${directory}/${f}`);
+      });
+  };
+
+  /**
+   * Replaces several files at once, crash-safe. The new contents are staged next to
+   * the files, and committed by a rotation record, which is then applied.
+   */
+  const replaceFilesSync = function (replacements, metadata) {
+    const recordPath = `${dataDirectory}/${ROTATION_RECORD_FILENAME}`;
+    const stagedFilePaths = [];
+    try {
+      replacements.forEach(({ filePath, buffer }) => {
+        const stagedFilePath = `${filePath}${ROTATION_FILE_SUFFIX}`;
+        stagedFilePaths.push(stagedFilePath);
+        writeFileFlushedSync(stagedFilePath, buffer);
+      });
+      const record = {
+        metadata,
+        files: replacements.map(({ filePath }) => path.basename(filePath)),
+        checksums: replacements.map(({ buffer }) => getFileVersion(buffer)),
+      };
+      writeFileAtomicSync(
+        recordPath,
+        Buffer.from(JSON.stringify(record), BUFFER_ENCODING)
+      );
+    } catch (error) {
+      stagedFilePaths.forEach((f) => {
+        fs.rmSync(f, { force: true });
+      });
+      throw error;
+    }
+    applyRotationRecord(dataDirectory);
+  };
+
+  /**
+   * Storages other than "filesystem" stage a secret rotation under keys with the
+   * [.rotating] suffix, and commit it by writing a rotation record under its own key:
+   *    {
+   *    metadata: { kdf: "scrypt", salt: "9a1e...", kdfParams: { ... } },
+   *    keys: ["categories", "categories.chunk-1"],
+   *    checksums: ["5d41...", "7c21..."],
+   *    };
+   * Applying the record writes every staged payload over its key, writes the new
+   * metadata, and finally removes the record, as applyRotationRecord does with files.
+   */
+  const applyStoredRotationRecord = function () {
+    const record = JSON.parse(
+      readStoredSync(ROTATION_RECORD_STORAGE_KEY).toString(BUFFER_ENCODING)
+    );
+    const storedKeys = storage.list();
+    // staged keys are only missing when an interrupted apply already wrote them
+    const missingKey = record.keys.find((key, i) => {
+      if (storedKeys.includes(`${key}${ROTATION_FILE_SUFFIX}`)) {
+        return false;
+      }
+      const buffer = readStoredSync(key);
+      return buffer === null || getFileVersion(buffer) !== record.checksums[i];
+    });
+    if (missingKey !== undefined) {
+      throw new Error(
+        `Can not complete the interrupted secret rotation, staged key [${missingKey}${ROTATION_FILE_SUFFIX}] is missing. Record [${ROTATION_RECORD_STORAGE_KEY}] is kept for manual recovery.`
+      );
+    }
+    record.keys.forEach((key) => {
+      const stagedKey = `${key}${ROTATION_FILE_SUFFIX}`;
+      if (storedKeys.includes(stagedKey)) {
+        storage.write(key, readStoredSync(stagedKey));
+        storage.delete(stagedKey);
+      }
+    });
+    if (record.metadata) {
+      saveMetadata(record.metadata);
+    }
+    storage.delete(ROTATION_RECORD_STORAGE_KEY);
+  };
+
+  /**
+   * Completes a committed secret rotation of a storage other than "filesystem" that was
+   * interrupted, and discards the staged keys of one that was not committed.
+   */
+  const recoverInterruptedStoredRotation = function () {
+    if (storage.list().includes(ROTATION_RECORD_STORAGE_KEY)) {
+      applyStoredRotationRecord();
+    }
+    storage
+      .list()
+      .filter((key) => key.endsWith(ROTATION_FILE_SUFFIX))
+      .forEach((key) => {
+        storage.delete(key);
+      });
+  };
+
+  /**
+   * Replaces the payloads of several keys of a storage other than "filesystem" at once,
+   * crash-safe, like replaceFilesSync.
+   */
+  const replaceStoredSync = function (replacements, metadata) {
+    const stagedKeys = [];
+    try {
+      replacements.forEach(({ key, buffer }) => {
+        const stagedKey = `${key}${ROTATION_FILE_SUFFIX}`;
+        stagedKeys.push(stagedKey);
+        storage.write(stagedKey, buffer);
+      });
+      const record = {
+        metadata,
+        keys: replacements.map(({ key }) => key),
+        checksums: replacements.map(({ buffer }) => getFileVersion(buffer)),
+      };
+      storage.write(
+        ROTATION_RECORD_STORAGE_KEY,
+        Buffer.from(JSON.stringify(record), BUFFER_ENCODING)
+      );
+    } catch (error) {
+      stagedKeys.forEach((key) => {
+        storage.delete(key);
+      });
+      throw error;
+    }
+    applyStoredRotationRecord();
+  };
+
+  /**
+   * Snapshots are copies of the encrypted entity and journal files, in their own folder
+   * inside the [.snapshots] folder of the data directory. The manifest of a snapshot is
+   * written last, hence folders without a manifest are incomplete:
+   *    {
+   *    id: "20240102T030405678Z-9f2c1a",
+   *    label: "before-migration",
+   *    createdAt: "2024-01-02T03:04:05.678Z",
+   *    files: ["categories.json", "categories.journal", "comments.json"],
+   *    };
+   */
+  const getSnapshotsDirectory = function () {
+    return `${dataDirectory}/${SNAPSHOTS_DIRECTORY_NAME}`;
+  };
+
+  /**
+   *
+   * @returns The manifests of all complete snapshots, newest first.
+   */
+  const readSnapshotManifests = function () {
+    const directory = getSnapshotsDirectory();
+    if (!fs.existsSync(directory)) {
+      return [];
+    }
+    return fs
+      .readdirSync(directory)
+      .map((id) =>
+        readMetadata(`${directory}/${id}/${SNAPSHOT_MANIFEST_FILENAME}`)
+      )
+      .filter((manifest) => manifest !== null)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  };
+
+  /**
+   * Snapshots are taken and cleaned up under the lock of the snapshots folder, so that a
+   * snapshot which another process is still writing is not taken for an incomplete one.
+   */
+  const removeIncompleteSnapshots = function () {
+    const directory = getSnapshotsDirectory();
+    if (!fs.existsSync(directory)) {
+      return;
+    }
+    withLockSync(directory, () => {
+      fs.readdirSync(directory)
+        .filter(
+          (id) =>
+            !fs.existsSync(`${directory}/${id}/${SNAPSHOT_MANIFEST_FILENAME}`)
+        )
+        .forEach((id) => {
+          fs.rmSync(`${directory}/${id}`, { recursive: true, force: true });
+        });
+    });
+  };
+
+  const pruneSnapshots = function () {
+    const { keepLast, maxAgeDays } = snapshotRetention;
+    const now = Date.now();
+    readSnapshotManifests().forEach((manifest, i) => {
+      const isBeyondCount = keepLast !== null && i >= keepLast;
+      const isTooOld =
+        maxAgeDays !== null &&
+        now - Date.parse(manifest.createdAt) > maxAgeDays * DAY_IN_MILLISECONDS;
+      if (isBeyondCount || isTooOld) {
+        fs.rmSync(`${getSnapshotsDirectory()}/${manifest.id}`, {
+          recursive: true,
+          force: true,
+        });
+      }
+    });
+  };
+
+  const takeSnapshot = function (label) {
+    return withLockSync(getSnapshotsDirectory(), () => {
+      const [newest] = readSnapshotManifests();
+      // strictly increasing, so snapshots taken within a millisecond keep their order
+      const createdAt = new Date(
+        newest
+          ? Math.max(Date.now(), Date.parse(newest.createdAt) + 1)
+          : Date.now()
+      );
+      const id = `${createdAt.toISOString().replace(/[-:.]/g, "")}-${crypto
+        .randomBytes(3)
+        .toString("hex")}`;
+      const snapshotDirectory = `${getSnapshotsDirectory()}/${id}`;
+      fs.mkdirSync(snapshotDirectory, { recursive: true });
+      const files = [];
+      withAllLocksSync(() => {
+        Object.keys(entityFilesMap).forEach((e) => {
+          const filePath = entityFilesMap[e];
+          [
+            filePath,
+            getJournalFilePath(filePath),
+            ...listChunkKeys(e).map(
+              (key) => `${dataDirectory}/${key}${DATA_FILE_EXTENSION}`
+            ),
+          ]
+            .filter((f) => fs.existsSync(f))
+            .forEach((f) => {
+              writeFileFlushedSync(
+                `${snapshotDirectory}/${path.basename(f)}`,
+                fs.readFileSync(f)
+              );
+              files.push(path.basename(f));
+            });
+        });
+      });
+      const manifest = {
+        id,
+        label: stringHasValue(label) ? String(label) : null,
+        createdAt: createdAt.toISOString(),
+        files,
+      };
+      writeFileAtomicSync(
+        `${snapshotDirectory}/${SNAPSHOT_MANIFEST_FILENAME}`,
+        Buffer.from(JSON.stringify(manifest, null, 2), BUFFER_ENCODING)
+      );
+      pruneSnapshots();
+      return manifest;
+    });
+  };
+
+  const resolveSnapshotRetention = function (retention) {
+    if (retention === undefined || retention === null) {
+      return { keepLast: null, maxAgeDays: null };
+    }
+    const { keepLast = null, maxAgeDays = null } = retention;
+    if (keepLast !== null && !(Number.isInteger(keepLast) && keepLast > 0)) {
+      throw new Error(
+        "Option [snapshotRetention.keepLast] must be a positive integer."
+      );
+    }
+    if (
+      maxAgeDays !== null &&
+      !(Number.isFinite(maxAgeDays) && maxAgeDays > 0)
+    ) {
+      throw new Error(
+        "Option [snapshotRetention.maxAgeDays] must be a positive number."
+      );
+    }
+    return { keepLast, maxAgeDays };
+  };
+
+  const createFileIfNotExist = function (entity, filePath, data = []) {
+    if (storage.list().includes(entity)) {
+      return;
+    }
+    withLockSync(filePath, () => {
+      if (!storage.list().includes(entity)) {
+        storage.write(entity, serialize(entity, data));
+      }
+    });
+    return;
+  };
+
+  /**
+   *
+   * @returns The reason why a chunk of a sharded entity is corrupt or missing, or null.
+   */
+  const findChunkCorruption = function (entity) {
+    if (!sharding[entity] && listChunkKeys(entity).length === 0) {
+      return null;
+    }
+    const manifest = readManifestSync(entity);
+    if (manifest === null) {
+      return null;
+    }
+    for (const chunk of manifest.chunks) {
+      const reason = findCorruption(
+        readStoredSync(getChunkKey(entity, chunk.id))
+      );
+      if (reason !== null) {
+        return `Chunk [${chunk.id}]: ${reason}`;
+      }
+    }
+    return null;
+  };
+
+  /**
+   *
+   * @returns The reason why the journal of an entity is unreadable, or null.
+   */
+  const findJournalCorruption = function (filePath) {
+    try {
+      readJournalSync(filePath);
+      return null;
+    } catch (error) {
+      return `Journal: ${error.message || String(error)}`;
+    }
+  };
+
+  /**
+   *
+   * @returns The newest snapshot with a readable copy of the entity file, with the
+   *          copies of the entity file, its chunks and its journal, or null.
+   */
+  const findSnapshotCopy = function (entity, filePath) {
+    const fileName = path.basename(filePath);
+    const journalFileName = path.basename(getJournalFilePath(filePath));
+    for (const manifest of readSnapshotManifests()) {
+      if (!manifest.files.includes(fileName)) {
+        continue;
+      }
+      const snapshotDirectory = `${getSnapshotsDirectory()}/${manifest.id}`;
+      const buffer = fs.readFileSync(`${snapshotDirectory}/${fileName}`);
+      const chunkBuffers = manifest.files
+        .filter((f) => f.startsWith(`${entity}${CHUNK_KEY_SEPARATOR}`))
+        .map((f) => ({
+          key: path.basename(f, DATA_FILE_EXTENSION),
+          buffer: fs.readFileSync(`${snapshotDirectory}/${f}`),
+        }));
+      const journalBuffer = manifest.files.includes(journalFileName)
+        ? fs.readFileSync(`${snapshotDirectory}/${journalFileName}`)
+        : null;
+      try {
+        if (
+          [buffer, ...chunkBuffers.map((c) => c.buffer)].some(
+            (b) => findCorruption(b) !== null
+          )
+        ) {
+          continue;
+        }
+        deserialize(entity, buffer);
+        if (journalBuffer !== null) {
+          parseJournal(journalBuffer);
+        }
+      } catch (error) {
+        // eg. taken before the secrets were rotated
+        continue;
+      }
+      return { manifest, buffer, chunkBuffers, journalBuffer };
+    }
+    return null;
+  };
+
+  /**
+   * Checks the checksums of an entity file and its chunks, and whether its journal is
+   * readable, and recovers a corrupt entity as configured by corruptionRecovery. The
+   * corrupt files are moved aside, to the [.corrupt] suffix, and the recovered entity is
+   * listed in recoveredEntities.
+   */
+  const recoverCorruptFile = function (entity, filePath) {
+    withLockSync(filePath, () => {
+      const buffer = readStoredSync(entity);
+      let reason = findCorruption(buffer);
+      if (reason === null) {
+        reason = findChunkCorruption(entity);
+      }
+      if (reason === null) {
+        reason = findJournalCorruption(filePath);
+      }
+      if (reason === null) {
+        return;
+      }
+      if (corruptionRecovery === "fail") {
+        throw new Error(
+          `Data file of entity [${entity}] is corrupt. ${reason} Use option [onCorruption] to recover it.`
+        );
+      }
+      const snapshotCopy =
+        corruptionRecovery === "snapshot"
+          ? findSnapshotCopy(entity, filePath)
+          : null;
+      if (corruptionRecovery === "snapshot" && snapshotCopy === null) {
+        throw new Error(
+          `Data file of entity [${entity}] is corrupt, and no snapshot has a readable copy of it. ${reason}`
+        );
+      }
+      if (isFileSystemStorage()) {
+        [entity, ...listChunkKeys(entity)].forEach((key) => {
+          const keyFilePath = `${dataDirectory}/${key}${DATA_FILE_EXTENSION}`;
+          if (fs.existsSync(keyFilePath)) {
+            fs.renameSync(keyFilePath, `${keyFilePath}${CORRUPT_FILE_SUFFIX}`);
+          }
+        });
+        const journalFilePath = getJournalFilePath(filePath);
+        if (fs.existsSync(journalFilePath)) {
+          // the journal is based on the corrupt file
+          fs.renameSync(
+            journalFilePath,
+            `${journalFilePath}${CORRUPT_FILE_SUFFIX}`
+          );
+        }
+        if (snapshotCopy && snapshotCopy.journalBuffer) {
+          writeFileAtomicSync(journalFilePath, snapshotCopy.journalBuffer);
+        }
+      } else {
+        [entity, ...listChunkKeys(entity)].forEach((key) => {
+          const keyBuffer = key === entity ? buffer : readStoredSync(key);
+          if (keyBuffer !== null) {
+            storage.write(`${key}${CORRUPT_FILE_SUFFIX}`, keyBuffer);
+            storage.delete(key);
+          }
+        });
+      }
+      if (snapshotCopy) {
+        snapshotCopy.chunkBuffers.forEach((chunk) => {
+          storage.write(chunk.key, chunk.buffer);
+        });
+      }
+      storage.write(
+        entity,
+        snapshotCopy ? snapshotCopy.buffer : serialize(entity, [])
+      );
+      recoveredEntities.push({
+        entity,
+        recovery: corruptionRecovery,
+        snapshotId: snapshotCopy ? snapshotCopy.manifest.id : null,
+        reason,
+      });
     });
-    return;
   };
 
   return {
-    _resetAndDeleteAllData: function () {
-      this._dropAllSync();
+    _reset: function () {
       cryptor = null;
       entityFilesMap = null;
+      metadataFilePath = null;
+      dataDirectory = null;
+      storage = null;
+      storageName = "filesystem";
+      envelopeEncryption = false;
+      dataKeys = {};
+      fieldCryptor = null;
+      compression = null;
+      payloadEncoding = PAYLOAD_ENCODING;
+      lockTimeout = DEFAULT_LOCK_TIMEOUT;
+      staleLockTimeout = DEFAULT_STALE_LOCK_TIMEOUT;
+      heldLocks = {};
+      lockQueues = {};
+      journalEnabled = false;
+      journalMaxSize = DEFAULT_JOURNAL_MAX_SIZE;
+      snapshotRetention = { keepLast: null, maxAgeDays: null };
+      corruptionRecovery = "fail";
+      recoveredEntities = [];
+      fileVersions = {};
+      sharding = {};
+      chunkAssignments = {};
+      durability = DEFAULT_DURABILITY;
+      durabilityWindow = DEFAULT_DURABILITY_WINDOW;
+      entityDurability = {};
+      fsyncBatch = null;
+    },
+    _resetAndDeleteAllData: function () {
+      this._dropAllSync();
+      this._reset();
     },
     isInitialized: function () {
       return hasBeenInitialized();
@@ -89,53 +2650,538 @@ const moduleFn = (function () {
         env: "dev",
         isTestMode: false,
         dataImport: null,
+        algorithm: "aes-256-cbc",
+        migrateFromAlgorithm: null,
+        kdf: null,
+        kdfParams: null,
+        cryptor: undefined,
+        envelope: false,
+        compression: null,
+        encoding: "hex",
+        dataDir: null,
+        lockTimeout: 5000,
+        staleLockTimeout: 30000,
+        journal: false,
+        journalMaxSize: 1048576,
+        snapshotOnBuild: false,
+        snapshotRetention: null,
+        onCorruption: "fail",
+        storage: "filesystem",
+        sharding: null,
+        durability: "none",
+        durabilityWindow: 10,
+        entityDurability: null,
       }
     ) {
       if (!hasBeenInitialized()) {
         // console.log("Not yet initialised! Initializing now...");
+        const hasCustomCryptor = options.cryptor !== undefined;
         if (
-          !stringHasValue(cryptoSecret) ||
-          !stringHasValue(vectorSecret) ||
+          (!hasCustomCryptor &&
+            (!stringHasValue(cryptoSecret) || !stringHasValue(vectorSecret))) ||
           !arrayHasValue(entities)
         ) {
           throw new Error(
             "Initialization arguments [cryptoSecret], [vectorSecret], and [entities] must be provided."
           );
         }
-        cryptor = new Cryptor(cryptoSecret, vectorSecret);
-
         /**
          * Setup options
          */
-        const { env, isTestMode } = options;
+        const { env, isTestMode, envelope } = options;
+        envelopeEncryption = booleanHasValue(envelope) ? envelope : false;
+        if (
+          stringHasValue(options.compression) &&
+          !SUPPORTED_COMPRESSIONS.includes(options.compression)
+        ) {
+          throw new Error(
+            `Unsupported compression [${
+              options.compression
+            }]. Supported compressions are ${SUPPORTED_COMPRESSIONS.toString()}.`
+          );
+        }
+        compression = stringHasValue(options.compression)
+          ? options.compression
+          : null;
+        if (
+          stringHasValue(options.encoding) &&
+          !SUPPORTED_PAYLOAD_ENCODINGS.includes(options.encoding)
+        ) {
+          throw new Error(
+            `Unsupported encoding [${
+              options.encoding
+            }]. Supported encodings are ${SUPPORTED_PAYLOAD_ENCODINGS.toString()}.`
+          );
+        }
+        payloadEncoding = stringHasValue(options.encoding)
+          ? options.encoding
+          : PAYLOAD_ENCODING;
+        ["lockTimeout", "staleLockTimeout"].forEach((option) => {
+          const value = options[option];
+          if (
+            value !== undefined &&
+            value !== null &&
+            !(Number.isFinite(value) && value >= 0)
+          ) {
+            throw new Error(
+              `Option [${option}] must be a non-negative number of milliseconds.`
+            );
+          }
+        });
+        lockTimeout = Number.isFinite(options.lockTimeout)
+          ? options.lockTimeout
+          : DEFAULT_LOCK_TIMEOUT;
+        staleLockTimeout = Number.isFinite(options.staleLockTimeout)
+          ? options.staleLockTimeout
+          : DEFAULT_STALE_LOCK_TIMEOUT;
+        if (
+          options.journalMaxSize !== undefined &&
+          options.journalMaxSize !== null &&
+          !(
+            Number.isFinite(options.journalMaxSize) &&
+            options.journalMaxSize > 0
+          )
+        ) {
+          throw new Error(
+            "Option [journalMaxSize] must be a positive number of bytes."
+          );
+        }
+        journalEnabled = booleanHasValue(options.journal)
+          ? options.journal
+          : false;
+        journalMaxSize = Number.isFinite(options.journalMaxSize)
+          ? options.journalMaxSize
+          : DEFAULT_JOURNAL_MAX_SIZE;
+        snapshotRetention = resolveSnapshotRetention(options.snapshotRetention);
+        const onCorruption = stringHasValue(options.onCorruption)
+          ? options.onCorruption
+          : "fail";
+        if (!CORRUPTION_RECOVERIES.includes(onCorruption)) {
+          throw new Error(
+            `Option [onCorruption] must be one of ${CORRUPTION_RECOVERIES.toString()}.`
+          );
+        }
+        corruptionRecovery = onCorruption;
+        recoveredEntities = [];
+        sharding = resolveSharding(options.sharding);
+        chunkAssignments = {};
+        const resolvedDurability = resolveDurability(options);
+        durability = resolvedDurability.durability;
+        durabilityWindow = resolvedDurability.durabilityWindow;
+        entityDurability = resolvedDurability.entityDurability;
         testMode = booleanHasValue(isTestMode) ? isTestMode : false;
         environment = stringHasValue(env) ? env : "dev";
+        const resolvedStorage = resolveStorage(options.storage);
+        storageName = resolvedStorage.name;
+        if (!isFileSystemStorage()) {
+          if (journalEnabled) {
+            verifyFileSystemStorage("Option [journal]");
+          }
+          if (options.snapshotOnBuild === true) {
+            verifyFileSystemStorage("Option [snapshotOnBuild]");
+          }
+          if (corruptionRecovery === "snapshot") {
+            verifyFileSystemStorage('Option [onCorruption] "snapshot"');
+          }
+          if (options.dataDir !== undefined && options.dataDir !== null) {
+            verifyFileSystemStorage("Option [dataDir]");
+          }
+          storage = resolvedStorage.adapter;
+          recoverInterruptedStoredRotation();
+        } else if (options.dataDir !== undefined && options.dataDir !== null) {
+          if (
+            typeof options.dataDir !== "string" ||
+            !stringHasValue(options.dataDir)
+          ) {
+            throw new Error("Option [dataDir] must be a non-empty string.");
+          }
+          // relative paths are resolved against the current working directory
+          dataDirectory = `${path.resolve(options.dataDir)}/${environment}`;
+        } else {
+          dataDirectory = testMode
+            ? `${TEST_DATA_DIRECTORY}/${environment}`
+            : `${DEFAULT_DATA_DIRECTORY}/${environment}`;
+        }
+        if (isFileSystemStorage()) {
+          verifyDirectoryIsWritable(dataDirectory);
+          removeTemporaryFiles(dataDirectory);
+          // waits for a rotation or snapshot restore of another process
+          withAllLocksSync(
+            () => recoverInterruptedRotation(dataDirectory),
+            entities.map((e) => `${dataDirectory}/${e}${DATA_FILE_EXTENSION}`)
+          );
+          removeIncompleteSnapshots();
+          storage = createFileSystemStorage(dataDirectory);
+          metadataFilePath = `${dataDirectory}/${METADATA_FILENAME}`;
+        }
+
+        /**
+         * Setup key derivation and cryptor
+         */
+        if (hasCustomCryptor) {
+          cryptor = resolveCustomCryptor(options.cryptor);
+        } else {
+          // so that processes initializing at once agree on the salt
+          cryptor = withMetadataLockSync(() => {
+            const metadata = loadMetadata();
+            const storedKeys = storage.list();
+            const { kdf, salt, kdfParams } = resolveKeyDerivation(
+              metadata,
+              entities.some((e) => storedKeys.includes(e)),
+              options
+            );
+            const newCryptor = new Cryptor(cryptoSecret, vectorSecret, {
+              algorithm: options.algorithm,
+              migrateFromAlgorithm: options.migrateFromAlgorithm,
+              kdf,
+              salt,
+              kdfParams,
+            });
+            if (!metadata || !metadata.kdf) {
+              saveMetadata({
+                ...metadata,
+                ...newCryptor.getKeyDerivation(),
+              });
+            }
+            return newCryptor;
+          });
+        }
 
         /**
          * Build entity to file path map
          */
         entityFilesMap = entities.reduce((prev, curr) => {
-          const dataFilePath = testMode
-            ? `${__dirname}/tests/data/${environment}/${curr}.json`
-            : `${__dirname}/data/${environment}/${curr}.json`;
-          createDirectoryIfNotExist(dataFilePath);
+          // entities have no file with storages other than "filesystem"
+          const dataFilePath = isFileSystemStorage()
+            ? `${dataDirectory}/${curr}${DATA_FILE_EXTENSION}`
+            : null;
           const entityDataImport =
             options.dataImport && options.dataImport[curr]
               ? options.dataImport[curr]
               : [];
-          createFileIfNotExist(cryptor, dataFilePath, entityDataImport);
+          createFileIfNotExist(curr, dataFilePath, entityDataImport);
+          recoverCorruptFile(curr, dataFilePath);
+          recoverJournal(dataFilePath);
+          if (!recoveredEntities.some((r) => r.entity === curr)) {
+            // the chunks of a recovered entity are kept, they hold its last data
+            removeOrphanChunks(curr, dataFilePath);
+          }
           return {
             ...prev,
             [curr.toString()]: dataFilePath,
           };
         }, {});
+        if (options.snapshotOnBuild === true) {
+          takeSnapshot("build");
+        }
         return;
       }
       // console.log("Already initialised!");
     },
+    /**
+     *
+     * @returns The data file path of every entity, or null with storages other than "filesystem".
+     */
     getEntityFilesMap: function () {
       return entityFilesMap;
     },
+    /**
+     *
+     * @returns A list of the entities whose corrupt data file was recovered on initialization, with keys [entity], [recovery], [snapshotId] and [reason].
+     */
+    getRecoveredEntities: function () {
+      return recoveredEntities.map((r) => ({ ...r }));
+    },
+    isEncryptedFieldValue: function (value) {
+      return (
+        typeof value === "string" && value.startsWith(ENCRYPTED_FIELD_PREFIX)
+      );
+    },
+    encryptFieldValue: function (value) {
+      if (!hasBeenInitialized()) {
+        throw new Error(
+          `Data Store has not been initialized yet. Make sure to initialize the module before performing data-related operations.`
+        );
+      }
+      return `${ENCRYPTED_FIELD_PREFIX}${getFieldCryptor().encrypt(
+        JSON.stringify(value)
+      )}`;
+    },
+    decryptFieldValue: function (value) {
+      if (!hasBeenInitialized()) {
+        throw new Error(
+          `Data Store has not been initialized yet. Make sure to initialize the module before performing data-related operations.`
+        );
+      }
+      if (!this.isEncryptedFieldValue(value)) {
+        return value;
+      }
+      return JSON.parse(
+        getFieldCryptor().decrypt(
+          value.substring(ENCRYPTED_FIELD_PREFIX.length)
+        )
+      );
+    },
+    /**
+     * Re-encrypts every entity file with a key derived from the new secrets. All files
+     * are first re-encrypted into temporary files, or staged keys with storages other
+     * than "filesystem"; the rotation is then committed by
+     * writing a rotation record, which is applied here or, if the process is interrupted,
+     * during the next initialization.
+     */
+    rotateSecrets: function (
+      oldCryptoSecret,
+      oldVectorSecret,
+      newCryptoSecret,
+      newVectorSecret,
+      options = {
+        kdf: null,
+        kdfParams: null,
+      }
+    ) {
+      if (!hasBeenInitialized()) {
+        throw new Error(
+          `Data Store has not been initialized yet. Make sure to initialize the module before performing data-related operations.`
+        );
+      }
+      if (
+        !stringHasValue(oldCryptoSecret) ||
+        !stringHasValue(oldVectorSecret) ||
+        !stringHasValue(newCryptoSecret) ||
+        !stringHasValue(newVectorSecret)
+      ) {
+        throw new Error(
+          "Arguments [oldCryptoSecret], [oldVectorSecret], [newCryptoSecret] and [newVectorSecret] must be provided."
+        );
+      }
+      if (!isBuiltInCryptor(cryptor)) {
+        throw new Error(
+          "Secrets can not be rotated for databases built with option [cryptor]."
+        );
+      }
+      const { kdf, salt, kdfParams } = cryptor.getKeyDerivation();
+      // rotating completes a migration from another algorithm
+      const oldCryptor = new Cryptor(oldCryptoSecret, oldVectorSecret, {
+        algorithm: cryptor.getAlgorithm(),
+        migrateFromAlgorithm: cryptor.getMigrateFromAlgorithm(),
+        kdf,
+        salt,
+        kdfParams,
+      });
+      const newKdf = stringHasValue(options.kdf) ? options.kdf : kdf;
+      const newCryptor = new Cryptor(newCryptoSecret, newVectorSecret, {
+        algorithm: cryptor.getAlgorithm(),
+        kdf: newKdf,
+        salt: newKdf === "legacy" ? null : generateSalt(),
+        kdfParams: options.kdfParams
+          ? options.kdfParams
+          : newKdf === kdf
+          ? kdfParams
+          : null,
+      });
+      try {
+        withAllLocksSync(() => {
+          const replacements = [];
+          Object.keys(entityFilesMap).forEach((e) => {
+            const filePath = entityFilesMap[e];
+            replacements.push({
+              entity: e,
+              key: e,
+              filePath,
+              buffer: reencrypt(e, readStoredSync(e), oldCryptor, newCryptor),
+            });
+            listChunkKeys(e).forEach((key) => {
+              replacements.push({
+                key,
+                filePath: isFileSystemStorage()
+                  ? `${dataDirectory}/${key}${DATA_FILE_EXTENSION}`
+                  : null,
+                buffer: reencrypt(
+                  e,
+                  readStoredSync(key),
+                  oldCryptor,
+                  newCryptor
+                ),
+              });
+            });
+            if (!isFileSystemStorage()) {
+              return;
+            }
+            const journalFilePath = getJournalFilePath(filePath);
+            if (fs.existsSync(journalFilePath)) {
+              replacements.push({
+                filePath: journalFilePath,
+                buffer: reencryptJournal(
+                  fs.readFileSync(journalFilePath),
+                  oldCryptor,
+                  newCryptor
+                ),
+              });
+            }
+          });
+          withMetadataLockSync(() => {
+            const metadata = loadMetadata() || {};
+            const newMetadata = {
+              ...metadata,
+              ...newCryptor.getKeyDerivation(),
+              // the field key is only re-wrapped, so encrypted fields stay readable
+              ...(stringHasValue(metadata.fieldKey)
+                ? {
+                    fieldKey: newCryptor.encrypt(
+                      oldCryptor.decrypt(metadata.fieldKey)
+                    ),
+                  }
+                : {}),
+            };
+            if (isFileSystemStorage()) {
+              replaceFilesSync(replacements, newMetadata);
+            } else {
+              replaceStoredSync(replacements, newMetadata);
+            }
+          });
+          if (isFileSystemStorage()) {
+            replacements
+              .filter(({ entity }) => entity !== undefined)
+              .forEach(({ entity, buffer }) => {
+                rememberFileVersion(entity, buffer);
+              });
+          }
+          cryptor = newCryptor;
+        });
+      } catch (error) {
+        console.log("ERROR while rotateSecrets:");
+        console.error(error);
+        throw new Error(error.message || error);
+      }
+    },
+    /**
+     * Copies the files of every entity into a new snapshot, and removes the snapshots
+     * beyond the configured retention.
+     *
+     * @param {string} label - (optional) A label to recognize the snapshot by.
+     * @returns The manifest of the snapshot, with keys [id], [label], [createdAt] and [files].
+     */
+    snapshotSync: function (label = null) {
+      if (!hasBeenInitialized()) {
+        throw new Error(
+          `Data Store has not been initialized yet. Make sure to initialize the module before performing data-related operations.`
+        );
+      }
+      verifyFileSystemStorage("Snapshots");
+      try {
+        return takeSnapshot(label);
+      } catch (error) {
+        console.log("ERROR while snapshotSync:");
+        console.error(error);
+        throw new Error(error.message || error);
+      }
+    },
+    /**
+     *
+     * @returns The manifests of all snapshots, newest first.
+     */
+    listSnapshots: function () {
+      if (!hasBeenInitialized()) {
+        throw new Error(
+          `Data Store has not been initialized yet. Make sure to initialize the module before performing data-related operations.`
+        );
+      }
+      verifyFileSystemStorage("Snapshots");
+      return readSnapshotManifests();
+    },
+    /**
+     * Replaces the files of every entity with their copies in a snapshot. A snapshot of
+     * the replaced files is taken first, labelled "pre-restore". Entities which were
+     * registered after the snapshot was taken are emptied.
+     *
+     * @param {string} id - The id of the snapshot.
+     */
+    restoreSnapshotSync: function (id) {
+      if (!hasBeenInitialized()) {
+        throw new Error(
+          `Data Store has not been initialized yet. Make sure to initialize the module before performing data-related operations.`
+        );
+      }
+      verifyFileSystemStorage("Snapshots");
+      const manifest = readSnapshotManifests().find((m) => m.id === id);
+      if (!manifest) {
+        throw new Error(`Snapshot [${id}] does not exist.`);
+      }
+      const snapshotDirectory = `${getSnapshotsDirectory()}/${manifest.id}`;
+      try {
+        // the snapshots lock is taken before the locks of the entities, as by takeSnapshot
+        withLockSync(getSnapshotsDirectory(), () => {
+          withAllLocksSync(() => {
+            const replacements = [];
+            const removedJournalFilePaths = [];
+            const removedChunkFilePaths = [];
+            Object.keys(entityFilesMap).forEach((e) => {
+              const filePath = entityFilesMap[e];
+              const fileName = path.basename(filePath);
+              let buffer;
+              if (manifest.files.includes(fileName)) {
+                buffer = fs.readFileSync(`${snapshotDirectory}/${fileName}`);
+                // fails early if the snapshot can not be read with the current secrets
+                deserialize(e, buffer);
+              } else {
+                buffer = serialize(e, []);
+              }
+              replacements.push({ entity: e, filePath, buffer });
+              const chunkFileNames = manifest.files.filter((f) =>
+                f.startsWith(`${e}${CHUNK_KEY_SEPARATOR}`)
+              );
+              chunkFileNames.forEach((f) => {
+                replacements.push({
+                  filePath: `${dataDirectory}/${f}`,
+                  buffer: fs.readFileSync(`${snapshotDirectory}/${f}`),
+                });
+              });
+              listChunkKeys(e)
+                .map((key) => `${key}${DATA_FILE_EXTENSION}`)
+                .filter((f) => !chunkFileNames.includes(f))
+                .forEach((f) => {
+                  removedChunkFilePaths.push(`${dataDirectory}/${f}`);
+                });
+              const journalFilePath = getJournalFilePath(filePath);
+              const journalFileName = path.basename(journalFilePath);
+              if (manifest.files.includes(journalFileName)) {
+                replacements.push({
+                  filePath: journalFilePath,
+                  buffer: fs.readFileSync(
+                    `${snapshotDirectory}/${journalFileName}`
+                  ),
+                });
+              } else if (fs.existsSync(journalFilePath)) {
+                // empty journals are removed, also by the next initialization
+                replacements.push({
+                  filePath: journalFilePath,
+                  buffer: Buffer.alloc(0),
+                });
+                removedJournalFilePaths.push(journalFilePath);
+              }
+            });
+            takeSnapshot("pre-restore");
+            // the metadata is not replaced, it holds the sequences and keys of now
+            replaceFilesSync(replacements, null);
+            replacements
+              .filter(({ entity }) => entity !== undefined)
+              .forEach(({ entity, buffer }) => {
+                rememberFileVersion(entity, buffer);
+              });
+            [...removedJournalFilePaths, ...removedChunkFilePaths].forEach(
+              (f) => {
+                fs.rmSync(f, { force: true });
+              }
+            );
+            chunkAssignments = {};
+          });
+        });
+      } catch (error) {
+        console.log("ERROR while restoreSnapshotSync:");
+        console.error(error);
+        throw new Error(error.message || error);
+      }
+    },
     readSync: function (entity) {
       if (!hasBeenInitialized()) {
         throw new Error(
@@ -148,11 +3194,8 @@ const moduleFn = (function () {
         );
       }
       try {
-        const dataStr = fs.readFileSync(entityFilesMap[entity], {
-          encoding: BUFFER_ENCODING,
-        });
-        const decryptedData = cryptor.decrypt(dataStr);
-        return JSON.parse(decryptedData);
+        const filePath = entityFilesMap[entity];
+        return withLockSync(filePath, () => loadSync(entity, filePath));
       } catch (error) {
         console.log("ERROR while readSync:");
         console.error(error);
@@ -171,17 +3214,65 @@ const moduleFn = (function () {
         );
       }
       try {
-        const dataStr = await fsPromises.readFile(entityFilesMap[entity], {
-          encoding: BUFFER_ENCODING,
-        });
-        const decryptedData = cryptor.decrypt(dataStr);
-        return JSON.parse(decryptedData);
+        const filePath = entityFilesMap[entity];
+        return await withLockAsync(filePath, () => loadAsync(entity, filePath));
       } catch (error) {
         console.log("ERROR while readAsync:");
         console.error(error);
         throw new Error(error.message || error);
       }
     },
+    /**
+     * Reads the records of an entity chunk by chunk, so that only one chunk of a sharded
+     * entity is held in memory at a time. Entities which are not sharded, or have
+     * pending journal operations, are read at once.
+     *
+     * @param {string} entity - The entity name.
+     * @param {Function} callback - Called with the records of every chunk, in order. May return a promise.
+     */
+    readChunksAsync: async function (entity, callback) {
+      if (!hasBeenInitialized()) {
+        throw new Error(
+          `Data Store has not been initialized yet. Make sure to initialize the module before performing data-related operations.`
+        );
+      }
+      if (!entityIsValid(entity)) {
+        throw new Error(
+          `Invalid entity value [${entity}] provided for file READ.`
+        );
+      }
+      if (typeof callback !== "function") {
+        throw new Error(
+          "Argument [callback] must be a function for function [readChunksAsync]."
+        );
+      }
+      try {
+        const filePath = entityFilesMap[entity];
+        await withLockAsync(filePath, async () => {
+          const fileBuffer = await readStoredAsync(entity);
+          if (fileBuffer === null) {
+            throw getMissingDataError(entity);
+          }
+          const fileData = await deserializeAsync(entity, fileBuffer);
+          const journal = await readJournalAsync(filePath);
+          if (!isManifest(fileData) || journal !== null) {
+            await callback(await loadAsync(entity, filePath));
+            return;
+          }
+          for (const chunk of fileData.chunks) {
+            const buffer = await readStoredAsync(getChunkKey(entity, chunk.id));
+            if (buffer === null) {
+              throw getMissingChunkError(entity, chunk.id);
+            }
+            await callback(await deserializeAsync(entity, buffer));
+          }
+        });
+      } catch (error) {
+        console.log("ERROR while readChunksAsync:");
+        console.error(error);
+        throw new Error(error.message || error);
+      }
+    },
     saveSync: function (entity, data) {
       if (!hasBeenInitialized()) {
         throw new Error(
@@ -194,11 +3285,8 @@ const moduleFn = (function () {
         );
       }
       try {
-        const dataStr = JSON.stringify(data);
-        const encryptedData = cryptor.encrypt(dataStr);
-        fs.writeFileSync(entityFilesMap[entity], encryptedData, {
-          encoding: BUFFER_ENCODING,
-        });
+        const filePath = entityFilesMap[entity];
+        withLockSync(filePath, () => storeSync(entity, filePath, data));
         return data;
       } catch (error) {
         console.log("ERROR while saveSync:");
@@ -218,11 +3306,8 @@ const moduleFn = (function () {
         );
       }
       try {
-        const dataStr = JSON.stringify(data);
-        const encryptedData = cryptor.encrypt(dataStr);
-        await fsPromises.writeFile(entityFilesMap[entity], encryptedData, {
-          encoding: BUFFER_ENCODING,
-        });
+        const filePath = entityFilesMap[entity];
+        await withLockAsync(filePath, () => storeAsync(entity, filePath, data));
         return data;
       } catch (error) {
         console.log("ERROR while saveAsync:");
@@ -230,6 +3315,286 @@ const moduleFn = (function () {
         throw new Error(error.message || error);
       }
     },
+    /**
+     * Tells whether the data file or journal of an entity was changed by another process,
+     * eg. an admin tool, since this instance last read it with readSync or wrote it. Reads with
+     * readAsync and readChunksAsync, eg. force fetches, leave the data in memory unchanged
+     * and are not taken into account.
+     *
+     * @param {string} entity - The entity name.
+     * @returns false when the data file is unchanged or missing, or the storage is not "filesystem".
+     */
+    hasChangedExternally: function (entity) {
+      if (!hasBeenInitialized()) {
+        throw new Error(
+          `Data Store has not been initialized yet. Make sure to initialize the module before performing data-related operations.`
+        );
+      }
+      if (!entityIsValid(entity)) {
+        throw new Error(
+          `Invalid entity value [${entity}] provided for file READ.`
+        );
+      }
+      const filePath = entityFilesMap[entity];
+      if (!isFileSystemStorage() || !fs.existsSync(filePath)) {
+        return false;
+      }
+      const version = fileVersions[entity];
+      return (
+        version === undefined ||
+        getFileVersion(fs.readFileSync(filePath)) !== version.hash ||
+        getJournalSize(filePath) !== version.journalSize
+      );
+    },
+    /**
+     *
+     * @returns The journal file path of an entity, or null with storages other than "filesystem".
+     */
+    getJournalFilePath: function (entity) {
+      if (!isFileSystemStorage() || !entityFilesMap[entity]) {
+        return null;
+      }
+      return getJournalFilePath(entityFilesMap[entity]);
+    },
+    isJournalEnabled: function () {
+      return journalEnabled;
+    },
+    /**
+     * Appends operations to the journal of an entity, and folds the journal into the
+     * entity data file once it grows beyond the configured size.
+     *
+     * @param {string} entity - The entity name.
+     * @param {Object[]} operations - Operations with keys [op] ("create", "update" or "delete"), [key] (the identifier key), [id] and [data].
+     */
+    appendToJournalAsync: async function (entity, operations) {
+      if (!hasBeenInitialized()) {
+        throw new Error(
+          `Data Store has not been initialized yet. Make sure to initialize the module before performing data-related operations.`
+        );
+      }
+      if (!entityIsValid(entity)) {
+        throw new Error(
+          `Invalid entity value [${entity}] provided for file WRITE.`
+        );
+      }
+      if (!journalEnabled) {
+        throw new Error(
+          "Journal is not enabled. Initialize with option [journal] to append to journals."
+        );
+      }
+      try {
+        const filePath = entityFilesMap[entity];
+        const records = operations.map((o) => encryptJournalRecord(o));
+        await withLockAsync(filePath, async () => {
+          const journalFilePath = getJournalFilePath(filePath);
+          const lines = fs.existsSync(journalFilePath)
+            ? records
+            : [
+                JSON.stringify({
+                  journal: crypto.randomBytes(16).toString("hex"),
+                }),
+                ...records,
+              ];
+          await appendFileFlushedAsync(
+            journalFilePath,
+            formatJournalLines(lines),
+            getDurability(entity)
+          );
+          const { size } = await fsPromises.stat(journalFilePath);
+          if (fileVersions[entity] !== undefined) {
+            fileVersions[entity] = {
+              ...fileVersions[entity],
+              journalSize: size,
+            };
+          }
+          if (size > journalMaxSize) {
+            await storeAsync(
+              entity,
+              filePath,
+              await loadAsync(entity, filePath)
+            );
+          }
+        });
+      } catch (error) {
+        console.log("ERROR while appendToJournalAsync:");
+        console.error(error);
+        throw new Error(error.message || error);
+      }
+    },
+    /**
+     * Moves the data of an entity, its chunks and its journal to a new entity name. Chunks
+     * and journal are copied before the data file is moved, and removed after, so that an
+     * interrupted rename leaves the data readable under the old name.
+     *
+     * @param {string} entity - The current entity name.
+     * @param {string} newEntity - The new entity name, which must not have any stored data.
+     */
+    renameSync: function (entity, newEntity) {
+      if (!hasBeenInitialized()) {
+        throw new Error(
+          `Data Store has not been initialized yet. Make sure to initialize the module before performing data-related operations.`
+        );
+      }
+      if (!entityIsValid(entity)) {
+        throw new Error(
+          `Invalid entity value [${entity}] provided for file WRITE.`
+        );
+      }
+      if (
+        !stringHasValue(newEntity) ||
+        typeof newEntity !== "string" ||
+        newEntity.includes("/") ||
+        newEntity.includes(CHUNK_KEY_SEPARATOR)
+      ) {
+        throw new Error(
+          `Invalid entity value [${newEntity}] provided for file WRITE.`
+        );
+      }
+      if (
+        Object.keys(entityFilesMap).includes(newEntity) ||
+        storage.list().includes(newEntity)
+      ) {
+        throw new Error(`Data is already stored for entity [${newEntity}].`);
+      }
+      try {
+        const filePath = entityFilesMap[entity];
+        const newFilePath = isFileSystemStorage()
+          ? `${dataDirectory}/${newEntity}${DATA_FILE_EXTENSION}`
+          : null;
+        withLockSync(filePath, () => {
+          withLockSync(newFilePath, () => {
+            const chunkKeys = listChunkKeys(entity);
+            chunkKeys.forEach((key) => {
+              storage.write(
+                `${newEntity}${key.slice(entity.length)}`,
+                readStoredSync(key)
+              );
+            });
+            if (isFileSystemStorage()) {
+              const journalFilePath = getJournalFilePath(filePath);
+              const hasJournal = fs.existsSync(journalFilePath);
+              if (hasJournal) {
+                writeFileAtomicSync(
+                  getJournalFilePath(newFilePath),
+                  fs.readFileSync(journalFilePath)
+                );
+              }
+              fs.renameSync(filePath, newFilePath);
+              fsyncDirectorySync(dataDirectory);
+              if (hasJournal) {
+                fs.rmSync(journalFilePath, { force: true });
+              }
+            } else {
+              storage.write(newEntity, readStoredSync(entity));
+              storage.delete(entity);
+            }
+            chunkKeys.forEach((key) => {
+              storage.delete(key);
+            });
+          });
+        });
+        // keeps the entity order, which is the order of exports
+        entityFilesMap = Object.keys(entityFilesMap).reduce(
+          (prev, e) => ({
+            ...prev,
+            [e === entity ? newEntity : e]:
+              e === entity ? newFilePath : entityFilesMap[e],
+          }),
+          {}
+        );
+        [
+          dataKeys,
+          fileVersions,
+          chunkAssignments,
+          sharding,
+          entityDurability,
+        ].forEach((byEntity) => {
+          if (byEntity[entity] !== undefined) {
+            byEntity[newEntity] = byEntity[entity];
+            delete byEntity[entity];
+          }
+        });
+        withMetadataLockSync(() => {
+          const sequences = loadSequences();
+          if (sequences[entity] !== undefined) {
+            const { [entity]: sequence, ...otherSequences } = sequences;
+            saveSequences({ ...otherSequences, [newEntity]: sequence });
+          }
+        });
+      } catch (error) {
+        console.log("ERROR while renameSync:");
+        console.error(error);
+        throw new Error(error.message || error);
+      }
+    },
+    /**
+     *
+     * @param {string} entity - The entity name.
+     * @returns The last value of the autoincrement sequence of the entity, or null when it has none yet.
+     */
+    getSequenceSync: function (entity) {
+      if (!hasBeenInitialized()) {
+        throw new Error(
+          `Data Store has not been initialized yet. Make sure to initialize the module before performing data-related operations.`
+        );
+      }
+      if (!entityIsValid(entity)) {
+        throw new Error(
+          `Invalid entity value [${entity}] provided for file READ.`
+        );
+      }
+      const sequence = loadSequences()[entity];
+      return Number.isInteger(sequence) ? sequence : null;
+    },
+    /**
+     * Reserves the next values of the autoincrement sequence of an entity. The sequence is
+     * stored in the metadata, so that it survives restarts, and is read and moved forward
+     * under the metadata lock, so that processes never reserve the same values.
+     *
+     * @param {string} entity - The entity name.
+     * @param {number} count - The number of values to reserve.
+     * @param {number} [floor=0] - The value the sequence is moved to first, when it is behind.
+     * @returns The value before the reserved ones, ie. they are start + 1 to start + count.
+     */
+    reserveSequenceSync: function (entity, count, floor = 0) {
+      if (!hasBeenInitialized()) {
+        throw new Error(
+          `Data Store has not been initialized yet. Make sure to initialize the module before performing data-related operations.`
+        );
+      }
+      if (!entityIsValid(entity)) {
+        throw new Error(
+          `Invalid entity value [${entity}] provided for file WRITE.`
+        );
+      }
+      if (!Number.isInteger(count) || count < 0) {
+        throw new Error(
+          "Invalid parameter [count] provided for function [reserveSequenceSync]."
+        );
+      }
+      if (!Number.isInteger(floor) || floor < 0) {
+        throw new Error(
+          "Invalid parameter [floor] provided for function [reserveSequenceSync]."
+        );
+      }
+      try {
+        return withMetadataLockSync(() => {
+          const sequences = loadSequences();
+          const stored = Number.isInteger(sequences[entity])
+            ? sequences[entity]
+            : 0;
+          const start = Math.max(stored, floor);
+          if (count > 0 || start > stored) {
+            saveSequences({ ...sequences, [entity]: start + count });
+          }
+          return start;
+        });
+      } catch (error) {
+        console.log("ERROR while reserveSequenceSync:");
+        console.error(error);
+        throw new Error(error.message || error);
+      }
+    },
     dropSync: function (entity) {
       if (!hasBeenInitialized()) {
         throw new Error(
@@ -242,11 +3607,27 @@ const moduleFn = (function () {
         );
       }
       try {
-        const path = entityFilesMap[entity];
-        if (fs.existsSync(path)) {
-          fs.unlinkSync(path);
-        }
+        const filePath = entityFilesMap[entity];
+        withLockSync(filePath, () => {
+          listChunkKeys(entity).forEach((key) => {
+            storage.delete(key);
+          });
+          storage.delete(entity);
+          if (isFileSystemStorage()) {
+            fs.rmSync(getJournalFilePath(filePath), { force: true });
+          }
+        });
         delete entityFilesMap[entity];
+        delete dataKeys[entity];
+        delete fileVersions[entity];
+        delete chunkAssignments[entity];
+        withMetadataLockSync(() => {
+          const sequences = loadSequences();
+          if (sequences[entity] !== undefined) {
+            delete sequences[entity];
+            saveSequences(sequences);
+          }
+        });
       } catch (error) {
         console.log("ERROR while dropSync:");
         console.error(error);
@@ -255,15 +3636,44 @@ const moduleFn = (function () {
     },
     _dropAllSync: function () {
       try {
-        if (entityFilesMap) {
+        if (storage && !isFileSystemStorage()) {
+          storage.list().forEach((key) => {
+            storage.delete(key);
+          });
+        } else if (entityFilesMap) {
           Object.keys(entityFilesMap).forEach((e) => {
             const path = entityFilesMap[e];
             if (fs.existsSync(path)) {
               fs.unlinkSync(path);
             }
+            listChunkKeys(e).forEach((key) => {
+              storage.delete(key);
+            });
+            fs.rmSync(getJournalFilePath(path), { force: true });
+            fs.rmSync(`${path}${CORRUPT_FILE_SUFFIX}`, { force: true });
+            fs.rmSync(`${getJournalFilePath(path)}${CORRUPT_FILE_SUFFIX}`, {
+              force: true,
+            });
+            if (fs.existsSync(dataDirectory)) {
+              fs.readdirSync(dataDirectory)
+                .filter(
+                  (f) =>
+                    f.startsWith(`${e}${CHUNK_KEY_SEPARATOR}`) &&
+                    f.endsWith(CORRUPT_FILE_SUFFIX)
+                )
+                .forEach((f) => {
+                  fs.rmSync(`${dataDirectory}/${f}`, { force: true });
+                });
+            }
             delete entityFilesMap[e];
           });
         }
+        if (metadataFilePath && fs.existsSync(metadataFilePath)) {
+          fs.unlinkSync(metadataFilePath);
+        }
+        if (dataDirectory) {
+          fs.rmSync(getSnapshotsDirectory(), { recursive: true, force: true });
+        }
       } catch (error) {
         console.log("ERROR while dropAllSync:");
         console.error(error);
@@ -271,6 +3681,9 @@ const moduleFn = (function () {
       }
     },
   };
-})();
+};
+
+const moduleFn = createDataReadWriter();
 
 module.exports = moduleFn;
+module.exports.createDataReadWriter = createDataReadWriter;
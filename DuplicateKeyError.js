@@ -0,0 +1,25 @@
+/**
+ * DuplicateKeyError is thrown when a data object is created or updated with the same
+ * values of a unique key as another data object of its entity, eg. the same identifier.
+ */
+class DuplicateKeyError extends Error {
+  /**
+   *
+   * @param {string} entity - The name of the entity.
+   * @param {string[]} fields - The field paths of the unique key.
+   * @param {any[]} values - The values of the fields in the rejected data object.
+   */
+  constructor(entity, fields, values) {
+    super(
+      `Duplicate value for unique key [${fields.join(
+        ", "
+      )}] of entity [${entity}].`
+    );
+    this.name = "DuplicateKeyError";
+    this.entity = entity;
+    this.fields = [...fields];
+    this.values = [...values];
+  }
+}
+
+module.exports = DuplicateKeyError;
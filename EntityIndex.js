@@ -0,0 +1,217 @@
+const Query = require("./Query");
+
+const KEY_SEPARATOR = "\u0000";
+
+const toIndexName = (fields) => {
+  return fields.join(KEY_SEPARATOR);
+};
+
+const hasValue = (value) => {
+  return value !== null && value !== undefined;
+};
+
+const isIndexable = (value) => {
+  return (
+    value === null ||
+    value === undefined ||
+    ["string", "number", "boolean"].includes(typeof value) ||
+    value instanceof Date
+  );
+};
+
+// missing fields share the key of null, which also matches them
+const toKey = (value) => {
+  return value === undefined ? "null" : JSON.stringify(value);
+};
+
+/**
+ *
+ * @returns Every combination of one key per field, joined into compound keys.
+ */
+const combineKeys = (keysByField) => {
+  return keysByField.reduce(
+    (combinations, keys) =>
+      combinations.flatMap((c) =>
+        keys.map((k) => (c === null ? k : `${c}${KEY_SEPARATOR}${k}`))
+      ),
+    [null]
+  );
+};
+
+/**
+ *
+ * @returns The values a condition of a filter object requires a field to equal, or
+ *          null when the condition is not an equality on indexable values.
+ */
+const getEqualityValues = (condition) => {
+  if (isIndexable(condition) && condition !== undefined) {
+    return [condition];
+  }
+  if (!Query.isPlainObject(condition) || Object.keys(condition).length !== 1) {
+    return null;
+  }
+  if (condition.$eq !== undefined && isIndexable(condition.$eq)) {
+    return [condition.$eq];
+  }
+  if (Array.isArray(condition.$in) && condition.$in.every(isIndexable)) {
+    return condition.$in;
+  }
+  return null;
+};
+
+/**
+ * EntityIndex maps the values of the indexed fields of an entity to the positions of its
+ * data objects in the entity data list, so that lookups by identifier and filters on
+ * indexed fields do not test every data object. The identifier key is always indexed, and
+ * indexes also find data objects which duplicate the values of a unique key.
+ *
+ * An index is built for one data list. It is updated by add and replace, and has to be
+ * rebuilt once the data objects of the list move, eg. after a delete or a reload.
+ */
+class EntityIndex {
+  #indexes;
+  #data = null;
+
+  /**
+   *
+   * @param {string} identifierKey - The identifier key of the entity.
+   * @param {(string|string[])[]} indexes - The field paths of every secondary index, or a list of field paths for compound indexes.
+   */
+  constructor(identifierKey, indexes = []) {
+    this.#indexes = [[identifierKey], ...indexes]
+      .map((fields) => [].concat(fields))
+      .filter(
+        (fields, i, all) =>
+          all.findIndex((f) => toIndexName(f) === toIndexName(fields)) === i
+      )
+      .map((fields) => ({
+        fields,
+        entries: new Map(),
+      }));
+  }
+
+  #getKeys(index, obj) {
+    return combineKeys(
+      index.fields.map((field) => [
+        ...new Set(
+          Query.getFieldValues(obj, field).filter(isIndexable).map(toKey)
+        ),
+      ])
+    );
+  }
+
+  #addEntries(obj, position) {
+    this.#indexes.forEach((index) => {
+      this.#getKeys(index, obj).forEach((key) => {
+        if (!index.entries.has(key)) {
+          index.entries.set(key, new Set());
+        }
+        index.entries.get(key).add(position);
+      });
+    });
+  }
+
+  #removeEntries(obj, position) {
+    this.#indexes.forEach((index) => {
+      this.#getKeys(index, obj).forEach((key) => {
+        const positions = index.entries.get(key);
+        if (positions) {
+          positions.delete(position);
+          if (positions.size === 0) {
+            index.entries.delete(key);
+          }
+        }
+      });
+    });
+  }
+
+  isBuiltFor(data) {
+    return this.#data === data;
+  }
+
+  build(data) {
+    this.#indexes.forEach((index) => index.entries.clear());
+    data.forEach((obj, position) => this.#addEntries(obj, position));
+    this.#data = data;
+  }
+
+  /**
+   * Indexes a data object added to the data list, which may be replaced by a copy.
+   */
+  add(obj, position, data) {
+    this.#addEntries(obj, position);
+    this.#data = data;
+  }
+
+  /**
+   * Re-indexes a data object replaced in the data list, which may be replaced by a copy.
+   */
+  replace(oldObj, newObj, position, data) {
+    this.#removeEntries(oldObj, position);
+    this.#addEntries(newObj, position);
+    this.#data = data;
+  }
+
+  /**
+   *
+   * @param {Object} obj - A data object, which may not be in the data list.
+   * @param {(string|string[])} fields - The field path, or field paths, of an index.
+   * @param {number} [position] - (optional) The position of the data object in the data list, which is not a duplicate of itself.
+   * @returns The position of another data object with the same values of the fields, or -1. Data objects without a value for every field have no duplicates.
+   */
+  findDuplicate(obj, fields, position = -1) {
+    const indexFields = [].concat(fields);
+    const index = this.#indexes.find(
+      (i) => toIndexName(i.fields) === toIndexName(indexFields)
+    );
+    if (!index) {
+      throw new Error(`No index for fields [${indexFields.join(", ")}].`);
+    }
+    const duplicate = combineKeys(
+      index.fields.map((field) => [
+        ...new Set(
+          Query.getFieldValues(obj, field)
+            .filter((v) => hasValue(v) && isIndexable(v))
+            .map(toKey)
+        ),
+      ])
+    )
+      .flatMap((key) => [...(index.entries.get(key) || [])])
+      .find((p) => p !== position);
+    return duplicate === undefined ? -1 : duplicate;
+  }
+
+  /**
+   *
+   * @param {Object} filter - A filter object.
+   * @returns The ascending positions of the data objects which may match the equality conditions of the filter on an indexed field or fields, or null when no index can be used. The filter still has to be tested on them.
+   */
+  findPositions(filter) {
+    if (!Query.isPlainObject(filter)) {
+      return null;
+    }
+    const valuesByField = Object.keys(filter)
+      .filter((field) => !field.startsWith("$"))
+      .reduce((acc, field) => {
+        const values = getEqualityValues(filter[field]);
+        return values === null ? acc : { ...acc, [field]: values };
+      }, {});
+    // compound indexes narrow down the most, the identifier index is used first otherwise
+    const index = [...this.#indexes]
+      .filter((i) => i.fields.every((f) => valuesByField[f] !== undefined))
+      .sort((a, b) => b.fields.length - a.fields.length)
+      .shift();
+    if (!index) {
+      return null;
+    }
+    const positions = new Set();
+    combineKeys(index.fields.map((f) => valuesByField[f].map(toKey))).forEach(
+      (key) => {
+        (index.entries.get(key) || []).forEach((p) => positions.add(p));
+      }
+    );
+    return [...positions].sort((a, b) => a - b);
+  }
+}
+
+module.exports = EntityIndex;
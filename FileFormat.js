@@ -0,0 +1,98 @@
+/**
+ * Every data file starts with a self-describing header:
+ *
+ *    | magic "JCDB" (4 bytes) | format version (1 byte) | header length (4 bytes, uint32 BE) | header (JSON) | payload |
+ *
+ * eg. header:
+ *    {
+ *    cipher: "aes-256-gcm",
+ *    kdf: { name: "scrypt", salt: "5f0c...", params: { N: 16384, r: 8, p: 1 } },
+ *    flags: { encoding: "hex", authenticatedHeader: true },
+ *    checksum: "3a7bd3e2...",
+ *    }
+ *
+ * Files written before the header was introduced are a bare hex string of aes-256-cbc
+ * encrypted data, and are decoded as format version 0.
+ */
+const MAGIC_BYTES = Buffer.from("JCDB", "utf-8");
+const FORMAT_VERSION = 1;
+const LEGACY_FORMAT_VERSION = 0;
+const PREAMBLE_LENGTH = MAGIC_BYTES.length + 1 + 4;
+
+const hasHeader = (buffer) => {
+  return (
+    Buffer.isBuffer(buffer) &&
+    buffer.length >= PREAMBLE_LENGTH &&
+    buffer.subarray(0, MAGIC_BYTES.length).equals(MAGIC_BYTES)
+  );
+};
+
+/**
+ *
+ * @param {Object} header - The header object, containing keys [cipher], [kdf], [flags] and [checksum].
+ * @param {Buffer|string} payload - The encrypted data.
+ * @returns A buffer of the file contents.
+ */
+const encode = (header, payload) => {
+  const headerBuffer = Buffer.from(JSON.stringify(header), "utf-8");
+  const preamble = Buffer.alloc(PREAMBLE_LENGTH);
+  MAGIC_BYTES.copy(preamble, 0);
+  preamble.writeUInt8(FORMAT_VERSION, MAGIC_BYTES.length);
+  preamble.writeUInt32BE(headerBuffer.length, MAGIC_BYTES.length + 1);
+  const payloadBuffer = Buffer.isBuffer(payload)
+    ? payload
+    : Buffer.from(payload, "utf-8");
+  return Buffer.concat([preamble, headerBuffer, payloadBuffer]);
+};
+
+/**
+ *
+ * @param {Buffer} buffer - The file contents.
+ * @returns An object with keys [version], [header] and [payload] (Buffer).
+ */
+const decode = (buffer) => {
+  if (!hasHeader(buffer)) {
+    return {
+      version: LEGACY_FORMAT_VERSION,
+      header: {
+        cipher: "aes-256-cbc",
+        kdf: null,
+        flags: { encoding: "hex" },
+      },
+      payload: buffer,
+    };
+  }
+  const version = buffer.readUInt8(MAGIC_BYTES.length);
+  if (version > FORMAT_VERSION) {
+    throw new Error(
+      `Unsupported data file format version [${version}]. The file was written by a newer version of this library.`
+    );
+  }
+  const headerLength = buffer.readUInt32BE(MAGIC_BYTES.length + 1);
+  if (PREAMBLE_LENGTH + headerLength > buffer.length) {
+    throw new Error("Invalid data file. File header is truncated.");
+  }
+  let header;
+  try {
+    header = JSON.parse(
+      buffer
+        .subarray(PREAMBLE_LENGTH, PREAMBLE_LENGTH + headerLength)
+        .toString("utf-8")
+    );
+  } catch (error) {
+    throw new Error("Invalid data file. File header is not readable.");
+  }
+  return {
+    version,
+    header,
+    payload: buffer.subarray(PREAMBLE_LENGTH + headerLength),
+  };
+};
+
+module.exports = {
+  FORMAT_VERSION,
+  LEGACY_FORMAT_VERSION,
+  hasHeader,
+  encode,
+  decode,
+};
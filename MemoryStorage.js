@@ -0,0 +1,27 @@
+/**
+ * MemoryStorage keeps the encrypted bytes of every entity in memory. It implements the
+ * storage interface, and is meant for tests and short-lived databases. Data is lost when
+ * the process exits.
+ */
+class MemoryStorage {
+  #items = new Map();
+
+  read(key) {
+    return this.#items.has(key) ? Buffer.from(this.#items.get(key)) : null;
+  }
+
+  write(key, bytes) {
+    // copied, so that later changes to the given buffer are not stored
+    this.#items.set(key, Buffer.from(bytes));
+  }
+
+  delete(key) {
+    this.#items.delete(key);
+  }
+
+  list() {
+    return [...this.#items.keys()];
+  }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,27 @@
+/**
+ * NoneCryptor stores data as plain text. It implements the same interface as Cryptor,
+ * and is meant for local debugging only. Never use it for real data.
+ */
+class NoneCryptor {
+  getAlgorithm() {
+    return "none";
+  }
+
+  encrypt(dataStr) {
+    return dataStr;
+  }
+
+  decrypt(dataStr) {
+    return String(dataStr);
+  }
+
+  async encryptAsync(dataStr) {
+    return this.encrypt(dataStr);
+  }
+
+  async decryptAsync(dataStr) {
+    return this.decrypt(dataStr);
+  }
+}
+
+module.exports = NoneCryptor;
@@ -0,0 +1,562 @@
+/**
+ * Query compiles Mongo-style filter objects into functions which test data objects:
+ *
+ *    {
+ *    "author.name": "John",
+ *    rating: { $gte: 3, $lt: 5 },
+ *    $or: [{ status: "published" }, { tags: { $in: ["draft", "review"] } }],
+ *    }
+ *
+ * Fields are addressed by dot-paths. A path through a list of objects resolves to the
+ * field of every object, eg. "comments.author", and numeric parts are list indexes,
+ * eg. "tags.0". A condition on a list matches when the list, or any of its elements, matches.
+ */
+const FIELD_OPERATORS = [
+  "$eq",
+  "$ne",
+  "$gt",
+  "$gte",
+  "$lt",
+  "$lte",
+  "$in",
+  "$nin",
+  "$exists",
+  "$regex",
+  "$options",
+  "$not",
+];
+const LOGICAL_OPERATORS = ["$and", "$or", "$not"];
+
+const isPlainObject = (value) => {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    !(value instanceof RegExp)
+  );
+};
+
+const isOperatorExpression = (value) => {
+  if (!isPlainObject(value) || Object.keys(value).length === 0) {
+    return false;
+  }
+  const keys = Object.keys(value);
+  const operatorKeys = keys.filter((k) => k.startsWith("$"));
+  if (operatorKeys.length > 0 && operatorKeys.length !== keys.length) {
+    throw new Error(
+      `Invalid query condition. Operators [${operatorKeys.toString()}] can not be mixed with field names.`
+    );
+  }
+  return operatorKeys.length > 0;
+};
+
+const isEqual = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    return (
+      a instanceof Date && b instanceof Date && a.getTime() === b.getTime()
+    );
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return (
+      Array.isArray(a) &&
+      Array.isArray(b) &&
+      a.length === b.length &&
+      a.every((v, i) => isEqual(v, b[i]))
+    );
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((k) => Object.keys(b).includes(k) && isEqual(a[k], b[k]))
+    );
+  }
+  return a === b;
+};
+
+/**
+ *
+ * @returns Every value the path resolves to, or [undefined] when it resolves to none.
+ */
+const resolvePath = (obj, pathParts) => {
+  if (pathParts.length === 0) {
+    return [obj];
+  }
+  if (obj === null || typeof obj !== "object") {
+    return [undefined];
+  }
+  const [part, ...rest] = pathParts;
+  if (Array.isArray(obj) && !/^\d+$/.test(part)) {
+    const values = obj
+      .filter((element) => element !== null && typeof element === "object")
+      .flatMap((element) => resolvePath(element, pathParts))
+      .filter((v) => v !== undefined);
+    return values.length > 0 ? values : [undefined];
+  }
+  return resolvePath(obj[part], rest);
+};
+
+/**
+ * Dates are compared with Dates and ISO date strings (eg. dates read from data files),
+ * numbers with numbers and strings with strings.
+ */
+const compare = (value, operand) => {
+  const toTime = (v) =>
+    v instanceof Date
+      ? v.getTime()
+      : typeof v === "string"
+      ? Date.parse(v)
+      : NaN;
+  let a = value;
+  let b = operand;
+  if (a instanceof Date || b instanceof Date) {
+    a = toTime(a);
+    b = toTime(b);
+  }
+  if (
+    (typeof a !== "number" || typeof b !== "number") &&
+    (typeof a !== "string" || typeof b !== "string")
+  ) {
+    return null;
+  }
+  if (Number.isNaN(a) || Number.isNaN(b)) {
+    return null;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+/**
+ *
+ * @returns The value and, for lists, its elements, which a condition is tested against.
+ */
+const getCandidates = (value) => {
+  return Array.isArray(value) ? [value, ...value] : [value];
+};
+
+// null also matches missing fields
+const equals = (value, operand) => {
+  return isEqual(value, operand) || (operand === null && value === undefined);
+};
+
+const anyCandidate = (values, test) => {
+  return values.some((value) => getCandidates(value).some(test));
+};
+
+const compileRegex = (pattern, options) => {
+  if (options !== undefined && typeof options !== "string") {
+    throw new Error("Query operator [$options] requires a string.");
+  }
+  if (pattern instanceof RegExp) {
+    return options === undefined
+      ? pattern
+      : new RegExp(pattern.source, options);
+  }
+  if (typeof pattern !== "string") {
+    throw new Error(
+      "Query operator [$regex] requires a string or a regular expression."
+    );
+  }
+  return new RegExp(pattern, options);
+};
+
+const compileOperator = (operator, operand, expression) => {
+  switch (operator) {
+    case "$eq":
+      return (values) => anyCandidate(values, (v) => equals(v, operand));
+    case "$ne":
+      return (values) => !anyCandidate(values, (v) => equals(v, operand));
+    case "$gt":
+    case "$gte":
+    case "$lt":
+    case "$lte": {
+      const accepts = {
+        $gt: (c) => c > 0,
+        $gte: (c) => c >= 0,
+        $lt: (c) => c < 0,
+        $lte: (c) => c <= 0,
+      }[operator];
+      return (values) =>
+        anyCandidate(values, (v) => {
+          const comparison = compare(v, operand);
+          return comparison !== null && accepts(comparison);
+        });
+    }
+    case "$in":
+    case "$nin": {
+      if (!Array.isArray(operand)) {
+        throw new Error(`Query operator [${operator}] requires a list.`);
+      }
+      const matchesAny = (values) =>
+        anyCandidate(values, (v) => operand.some((o) => equals(v, o)));
+      return operator === "$in" ? matchesAny : (values) => !matchesAny(values);
+    }
+    case "$exists":
+      if (typeof operand !== "boolean") {
+        throw new Error("Query operator [$exists] requires true or false.");
+      }
+      return (values) => values.some((v) => v !== undefined) === operand;
+    case "$regex": {
+      const regex = compileRegex(operand, expression.$options);
+      return (values) =>
+        anyCandidate(values, (v) => {
+          // a global regex keeps its position between tests
+          regex.lastIndex = 0;
+          return typeof v === "string" && regex.test(v);
+        });
+    }
+    case "$options":
+      if (expression.$regex === undefined) {
+        throw new Error("Query operator [$options] requires [$regex].");
+      }
+      return () => true;
+    case "$not": {
+      if (!isOperatorExpression(operand) && !(operand instanceof RegExp)) {
+        throw new Error(
+          "Query operator [$not] of a field requires an operator expression or a regular expression."
+        );
+      }
+      const test = compileCondition(operand);
+      return (values) => !test(values);
+    }
+    default:
+      throw new Error(
+        `Unknown query operator [${operator}]. Supported field operators are ${FIELD_OPERATORS.toString()}.`
+      );
+  }
+};
+
+/**
+ * Compiles the condition on a field: an operator expression, a regular expression,
+ * or a value the field must equal.
+ */
+const compileCondition = (condition) => {
+  if (condition instanceof RegExp) {
+    return compileOperator("$regex", condition, {});
+  }
+  if (!isOperatorExpression(condition)) {
+    return compileOperator("$eq", condition, {});
+  }
+  const tests = Object.keys(condition).map((operator) =>
+    compileOperator(operator, condition[operator], condition)
+  );
+  return (values) => tests.every((test) => test(values));
+};
+
+const getPathParts = (fieldPath) => {
+  const pathParts = fieldPath.split(".");
+  if (pathParts.some((p) => p === "")) {
+    throw new Error(`Invalid query field path [${fieldPath}].`);
+  }
+  return pathParts;
+};
+
+const compileFilters = (operator, operand) => {
+  if (!Array.isArray(operand) || operand.length === 0) {
+    throw new Error(
+      `Query operator [${operator}] requires a non-empty list of filters.`
+    );
+  }
+  return operand.map((filter) => compileFilter(filter));
+};
+
+/**
+ *
+ * @param {Object} filter - A filter object, eg. { rating: { $gte: 3 } }.
+ * @returns A function which returns true for data objects matching the filter.
+ */
+const compileFilter = (filter) => {
+  if (!isPlainObject(filter)) {
+    throw new Error("Invalid query filter. A filter must be an object.");
+  }
+  const tests = Object.keys(filter).map((key) => {
+    const operand = filter[key];
+    if (key === "$and") {
+      const matchers = compileFilters(key, operand);
+      return (obj) => matchers.every((matches) => matches(obj));
+    }
+    if (key === "$or") {
+      const matchers = compileFilters(key, operand);
+      return (obj) => matchers.some((matches) => matches(obj));
+    }
+    if (key === "$not") {
+      const matches = compileFilter(operand);
+      return (obj) => !matches(obj);
+    }
+    if (key.startsWith("$")) {
+      throw new Error(
+        `Unknown query operator [${key}]. Supported logical operators are ${LOGICAL_OPERATORS.toString()}.`
+      );
+    }
+    const pathParts = getPathParts(key);
+    const test = compileCondition(operand);
+    return (obj) => test(resolvePath(obj, pathParts));
+  });
+  return (obj) => tests.every((test) => test(obj));
+};
+
+/**
+ *
+ * @param {Object} obj - A data object.
+ * @param {Object} filter - A filter object.
+ * @returns true if the data object matches the filter.
+ */
+const matches = (obj, filter) => {
+  return compileFilter(filter)(obj);
+};
+
+/**
+ * Values of different types are sorted like Mongo does: missing and null values first,
+ * then numbers, strings, objects, lists and booleans. Dates are sorted as ISO date
+ * strings, so that dates in memory and dates read from data files sort alike.
+ */
+const SORT_TYPE_ORDER = [
+  "null",
+  "number",
+  "string",
+  "object",
+  "array",
+  "boolean",
+];
+
+const getSortType = (value) => {
+  if (value === null || value === undefined) {
+    return "null";
+  }
+  return Array.isArray(value) ? "array" : typeof value;
+};
+
+const compareForSort = (a, b) => {
+  const x = a instanceof Date ? a.toISOString() : a;
+  const y = b instanceof Date ? b.toISOString() : b;
+  const typeComparison =
+    SORT_TYPE_ORDER.indexOf(getSortType(x)) -
+    SORT_TYPE_ORDER.indexOf(getSortType(y));
+  if (typeComparison !== 0) {
+    return typeComparison;
+  }
+  if (["null", "object", "array"].includes(getSortType(x))) {
+    const xJson = JSON.stringify(x === undefined ? null : x);
+    const yJson = JSON.stringify(y === undefined ? null : y);
+    return xJson < yJson ? -1 : xJson > yJson ? 1 : 0;
+  }
+  return x < y ? -1 : x > y ? 1 : 0;
+};
+
+const SORT_DIRECTIONS = { 1: 1, "-1": -1, asc: 1, desc: -1 };
+
+/**
+ *
+ * @param {Object} sort - Field paths with their direction, 1 or "asc", -1 or "desc", eg. { rating: -1, name: 1 }. Fields are sorted by in the order of the keys.
+ * @returns A compare function for Array.prototype.sort.
+ */
+const compileSort = (sort) => {
+  if (!isPlainObject(sort) || Object.keys(sort).length === 0) {
+    throw new Error(
+      'Option [sort] must be an object of field paths with their direction: 1, -1, "asc" or "desc".'
+    );
+  }
+  const keys = Object.keys(sort).map((fieldPath) => {
+    const direction = SORT_DIRECTIONS[sort[fieldPath]];
+    if (direction === undefined) {
+      throw new Error(
+        `Invalid sort direction [${sort[fieldPath]}] for field [${fieldPath}]. Directions are 1, -1, "asc" or "desc".`
+      );
+    }
+    return { pathParts: getPathParts(fieldPath), direction };
+  });
+  return (a, b) => {
+    for (const { pathParts, direction } of keys) {
+      const comparison = compareForSort(
+        resolvePath(a, pathParts)[0],
+        resolvePath(b, pathParts)[0]
+      );
+      if (comparison !== 0) {
+        return comparison * direction;
+      }
+    }
+    return 0;
+  };
+};
+
+const pickPath = (target, source, pathParts) => {
+  const [part, ...rest] = pathParts;
+  if (!isPlainObject(source) || !Object.keys(source).includes(part)) {
+    return;
+  }
+  if (rest.length === 0) {
+    target[part] = source[part];
+    return;
+  }
+  if (isPlainObject(source[part])) {
+    target[part] = isPlainObject(target[part]) ? target[part] : {};
+    pickPath(target[part], source[part], rest);
+  }
+};
+
+const omitPath = (source, pathParts) => {
+  const [part, ...rest] = pathParts;
+  if (!isPlainObject(source) || !Object.keys(source).includes(part)) {
+    return source;
+  }
+  if (rest.length === 0) {
+    const { [part]: omitted, ...result } = source;
+    return result;
+  }
+  return { ...source, [part]: omitPath(source[part], rest) };
+};
+
+/**
+ *
+ * @param {(Object|string[])} fields - Field paths to include, eg. { name: 1 } or ["name"], or to exclude, eg. { password: 0 }. The identifier is included unless it is excluded.
+ * @param {string} identifierKey - The identifier key of the data objects.
+ * @returns A function which returns a projected copy of a data object.
+ */
+const compileProjection = (fields, identifierKey) => {
+  const projection = Array.isArray(fields)
+    ? fields.reduce((acc, f) => ({ ...acc, [f]: 1 }), {})
+    : fields;
+  if (
+    !isPlainObject(projection) ||
+    Object.keys(projection).length === 0 ||
+    Object.values(projection).some((v) => ![0, 1, true, false].includes(v))
+  ) {
+    throw new Error(
+      "Option [fields] must be a list of field paths, or an object of field paths with 1 to include or 0 to exclude them."
+    );
+  }
+  const isIncluded = (fieldPath) => [1, true].includes(projection[fieldPath]);
+  const included = Object.keys(projection).filter(isIncluded);
+  const excluded = Object.keys(projection).filter((f) => !isIncluded(f));
+  if (
+    included.length > 0 &&
+    excluded.some((fieldPath) => fieldPath !== identifierKey)
+  ) {
+    throw new Error(
+      "Option [fields] can not both include and exclude fields, except for excluding the identifier."
+    );
+  }
+  if (included.length === 0) {
+    const pathParts = excluded.map(getPathParts);
+    return (obj) => pathParts.reduce((acc, parts) => omitPath(acc, parts), obj);
+  }
+  const pathParts = (
+    excluded.includes(identifierKey) || included.includes(identifierKey)
+      ? included
+      : [identifierKey, ...included]
+  ).map(getPathParts);
+  return (obj) => {
+    const result = {};
+    pathParts.forEach((parts) => pickPath(result, obj, parts));
+    return result;
+  };
+};
+
+const verifyCount = (value, option) => {
+  if (
+    value !== undefined &&
+    value !== null &&
+    !(Number.isInteger(value) && value >= 0)
+  ) {
+    throw new Error(`Option [${option}] must be a non-negative integer.`);
+  }
+};
+
+/**
+ *
+ * @returns The position in the sorted data objects to continue at. A cursor which is not
+ *          among them continues at its sort position: after the data objects with the same
+ *          sort fields which come before it in the unfiltered data, or before all of them
+ *          when it has been changed or deleted, so that none are skipped.
+ */
+const findCursorPosition = (sorted, after, identifierKey, compare, allData) => {
+  const isCursorObject = isPlainObject(after);
+  const cursorId = isCursorObject ? after[identifierKey] : after;
+  const index = sorted.findIndex((obj) => obj[identifierKey] === cursorId);
+  if (
+    index > -1 &&
+    (!isCursorObject || !compare || compare(sorted[index], after) === 0)
+  ) {
+    return index + 1;
+  }
+  const current = allData.find((obj) => obj[identifierKey] === cursorId);
+  const cursor = isCursorObject ? after : current;
+  if (cursor === undefined) {
+    throw new Error(
+      `Option [after] must be the identifier of a data object. No data object has identifier [${after}]. Pass the last data object of the previous page instead, to continue after a deleted data object.`
+    );
+  }
+  const isUnchanged =
+    current !== undefined && (!compare || compare(current, cursor) === 0);
+  if (!compare && !isUnchanged) {
+    throw new Error(
+      `Option [after] can only continue after a deleted data object with option [sort]. No data object has identifier [${cursorId}].`
+    );
+  }
+  const dataPositions = new Map(allData.map((obj, i) => [obj, i]));
+  const cursorPosition = isUnchanged ? dataPositions.get(current) : -1;
+  const position = sorted.findIndex((obj) => {
+    if (obj[identifierKey] === cursorId) {
+      return false;
+    }
+    const comparison = compare ? compare(obj, cursor) : 0;
+    return (
+      comparison > 0 ||
+      (comparison === 0 && dataPositions.get(obj) > cursorPosition)
+    );
+  });
+  return position === -1 ? sorted.length : position;
+};
+
+/**
+ * Sorts, paginates and projects a list of data objects. Data objects are sorted
+ * stably, so those with equal sort fields keep their order.
+ *
+ * @param {Object[]} data - Data objects, eg. already filtered.
+ * @param {Object} options - Options with keys [sort], [after] (the identifier of the data object to continue after, or that data object with its sort fields), [skip], [limit] and [fields].
+ * @param {string} identifierKey - The identifier key of the data objects.
+ * @param {Object[]} [allData] - (optional) The unfiltered data objects, which the data objects are a part of, in the same order. The cursor of [after] is looked up in them when it is not among the data objects.
+ * @returns A new list of data objects.
+ */
+const applyOptions = (data, options, identifierKey, allData = data) => {
+  const { sort, after, skip, limit, fields } = options;
+  verifyCount(skip, "skip");
+  verifyCount(limit, "limit");
+  const compare =
+    sort === undefined || sort === null ? null : compileSort(sort);
+  const projectFields =
+    fields === undefined || fields === null
+      ? null
+      : compileProjection(fields, identifierKey);
+  let result = compare ? [...data].sort(compare) : [...data];
+  if (after !== undefined && after !== null) {
+    result = result.slice(
+      findCursorPosition(result, after, identifierKey, compare, allData)
+    );
+  }
+  const start = skip ? skip : 0;
+  result = result.slice(
+    start,
+    limit === undefined || limit === null ? undefined : start + limit
+  );
+  return projectFields ? result.map(projectFields) : result;
+};
+
+/**
+ *
+ * @returns The values a field path resolves to, and the elements of lists among them,
+ *          which conditions on the field are tested against.
+ */
+const getFieldValues = (obj, fieldPath) => {
+  return resolvePath(obj, getPathParts(fieldPath)).flatMap(getCandidates);
+};
+
+module.exports = {
+  compileFilter,
+  matches,
+  getFieldValues,
+  isPlainObject,
+  compileSort,
+  compileProjection,
+  applyOptions,
+};
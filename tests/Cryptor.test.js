@@ -106,3 +106,300 @@ describe("Cryptor: Decryption", () => {
     assert.deepStrictEqual(result, sampleData);
   });
 });
+
+describe("Cryptor: Authenticated Encryption", () => {
+  const sampleData = {
+    name: "John",
+    age: 23,
+  };
+  const stringifiedSampleData = JSON.stringify(sampleData);
+
+  it("should throw error when an unsupported algorithm is given", () => {
+    assert.throws(() => {
+      new Cryptor(SAMPLE_SECRET, SAMPLE_VECTOR, { algorithm: "des" });
+    });
+  });
+
+  it("should encrypt and decrypt data successfully", () => {
+    let error = null;
+    let result;
+    try {
+      const cryptor = new Cryptor(SAMPLE_SECRET, SAMPLE_VECTOR, {
+        algorithm: "aes-256-gcm",
+      });
+      const encryptedData = cryptor.encrypt(stringifiedSampleData);
+      result = JSON.parse(cryptor.decrypt(encryptedData));
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.equal(error, null);
+    assert.deepStrictEqual(result, sampleData);
+  });
+
+  it("should produce different encrypted data for the same input", () => {
+    const cryptor = new Cryptor(SAMPLE_SECRET, SAMPLE_VECTOR, {
+      algorithm: "aes-256-gcm",
+    });
+    const first = cryptor.encrypt(stringifiedSampleData);
+    const second = cryptor.encrypt(stringifiedSampleData);
+    assert.notStrictEqual(first, second);
+  });
+
+  it("should throw integrity error when encrypted data has been modified", () => {
+    const cryptor = new Cryptor(SAMPLE_SECRET, SAMPLE_VECTOR, {
+      algorithm: "aes-256-gcm",
+    });
+    const encryptedData = cryptor.encrypt(stringifiedSampleData);
+    const lastChar = encryptedData[encryptedData.length - 1];
+    const tamperedData =
+      encryptedData.slice(0, -1) + (lastChar === "0" ? "1" : "0");
+    assert.throws(() => {
+      cryptor.decrypt(tamperedData);
+    }, /integrity/);
+  });
+
+  it("should throw integrity error when additional data has been modified", () => {
+    const cryptor = new Cryptor(SAMPLE_SECRET, SAMPLE_VECTOR, {
+      algorithm: "aes-256-gcm",
+    });
+    const additionalData = Buffer.from('{"encoding":"hex"}', "utf-8");
+    const encryptedData = cryptor.encrypt(
+      stringifiedSampleData,
+      additionalData
+    );
+    assert.equal(
+      cryptor.decrypt(encryptedData, additionalData),
+      stringifiedSampleData
+    );
+    assert.throws(() => {
+      cryptor.decrypt(encryptedData, Buffer.from('{"encoding":"utf-8"}'));
+    }, /integrity/);
+    assert.throws(() => {
+      cryptor.decrypt(encryptedData);
+    }, /integrity/);
+    const encryptedBuffer = cryptor.encryptBuffer(
+      Buffer.from(stringifiedSampleData),
+      additionalData
+    );
+    assert.throws(() => {
+      cryptor.decryptBuffer(encryptedBuffer);
+    }, /integrity/);
+  });
+
+  it("should throw integrity error when decrypting with different secrets", () => {
+    const cryptor = new Cryptor(SAMPLE_SECRET, SAMPLE_VECTOR, {
+      algorithm: "aes-256-gcm",
+    });
+    const otherCryptor = new Cryptor("otherSecret", SAMPLE_VECTOR, {
+      algorithm: "aes-256-gcm",
+    });
+    const encryptedData = cryptor.encrypt(stringifiedSampleData);
+    assert.throws(() => {
+      otherCryptor.decrypt(encryptedData);
+    }, /integrity/);
+  });
+
+  it("should only decrypt aes-256-cbc data when migrating from it", () => {
+    const legacyCryptor = new Cryptor(SAMPLE_SECRET, SAMPLE_VECTOR);
+    const encryptedData = legacyCryptor.encrypt(stringifiedSampleData);
+    assert.throws(() => {
+      new Cryptor(SAMPLE_SECRET, SAMPLE_VECTOR, {
+        algorithm: "aes-256-gcm",
+      }).decrypt(encryptedData);
+    }, /Use option \[migrateFromAlgorithm\]/);
+    const cryptor = new Cryptor(SAMPLE_SECRET, SAMPLE_VECTOR, {
+      algorithm: "aes-256-gcm",
+      migrateFromAlgorithm: "aes-256-cbc",
+    });
+    const result = JSON.parse(cryptor.decrypt(encryptedData));
+    assert.deepStrictEqual(result, sampleData);
+    assert.throws(() => {
+      legacyCryptor.decrypt(cryptor.encrypt(stringifiedSampleData));
+    }, /algorithm \[aes-256-gcm\]/);
+  });
+
+  it("should throw error when an unsupported algorithm is migrated from", () => {
+    assert.throws(() => {
+      new Cryptor(SAMPLE_SECRET, SAMPLE_VECTOR, {
+        algorithm: "aes-256-gcm",
+        migrateFromAlgorithm: "des",
+      });
+    }, /option \[migrateFromAlgorithm\]/);
+  });
+});
+
+describe("Cryptor: Key Derivation", () => {
+  const SAMPLE_SALT = "0123456789abcdef0123456789abcdef";
+  const stringifiedSampleData = JSON.stringify({ name: "John", age: 23 });
+
+  it("should use legacy key derivation by default", () => {
+    const cryptor = new Cryptor(SAMPLE_SECRET, SAMPLE_VECTOR);
+    const legacyCryptor = new Cryptor(SAMPLE_SECRET, SAMPLE_VECTOR, {
+      kdf: "legacy",
+    });
+    assert.equal(cryptor.getKeyDerivation().kdf, "legacy");
+    assert.equal(
+      cryptor.encrypt(stringifiedSampleData),
+      legacyCryptor.encrypt(stringifiedSampleData)
+    );
+  });
+
+  it("should throw error when an unsupported key derivation function is given", () => {
+    assert.throws(() => {
+      new Cryptor(SAMPLE_SECRET, SAMPLE_VECTOR, {
+        kdf: "md5",
+        salt: SAMPLE_SALT,
+      });
+    });
+  });
+
+  it("should throw error when salt is missing for scrypt and pbkdf2", () => {
+    assert.throws(() => {
+      new Cryptor(SAMPLE_SECRET, SAMPLE_VECTOR, { kdf: "scrypt" });
+    });
+    assert.throws(() => {
+      new Cryptor(SAMPLE_SECRET, SAMPLE_VECTOR, { kdf: "pbkdf2" });
+    });
+  });
+
+  it("should encrypt and decrypt data with scrypt and pbkdf2 derived keys", () => {
+    let error = null;
+    let results = [];
+    try {
+      results = [
+        { kdf: "scrypt", salt: SAMPLE_SALT },
+        {
+          kdf: "pbkdf2",
+          salt: SAMPLE_SALT,
+          kdfParams: { iterations: 1000 },
+        },
+      ].map((options) => {
+        const cryptor = new Cryptor(SAMPLE_SECRET, SAMPLE_VECTOR, options);
+        return cryptor.decrypt(cryptor.encrypt(stringifiedSampleData));
+      });
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.equal(error, null);
+    results.forEach((r) => {
+      assert.equal(r, stringifiedSampleData);
+    });
+  });
+
+  it("should derive different keys for different salts", () => {
+    const cryptor = new Cryptor(SAMPLE_SECRET, SAMPLE_VECTOR, {
+      kdf: "scrypt",
+      salt: SAMPLE_SALT,
+    });
+    const otherCryptor = new Cryptor(SAMPLE_SECRET, SAMPLE_VECTOR, {
+      kdf: "scrypt",
+      salt: "fedcba9876543210fedcba9876543210",
+    });
+    assert.notEqual(
+      cryptor.encrypt(stringifiedSampleData),
+      otherCryptor.encrypt(stringifiedSampleData)
+    );
+  });
+
+  it("should return the resolved key derivation parameters", () => {
+    const cryptor = new Cryptor(SAMPLE_SECRET, SAMPLE_VECTOR, {
+      kdf: "pbkdf2",
+      salt: SAMPLE_SALT,
+      kdfParams: { iterations: 1000 },
+    });
+    assert.deepStrictEqual(cryptor.getKeyDerivation(), {
+      kdf: "pbkdf2",
+      salt: SAMPLE_SALT,
+      kdfParams: { iterations: 1000, digest: "sha512" },
+    });
+  });
+});
+
+describe("Cryptor: Asynchronous Encryption and Decryption", () => {
+  it("should encrypt and decrypt data asynchronously", async () => {
+    const stringifiedSampleData = JSON.stringify({ name: "John", age: 23 });
+    const cryptor = new Cryptor(SAMPLE_SECRET, SAMPLE_VECTOR, {
+      algorithm: "aes-256-gcm",
+    });
+    const encryptedData = await cryptor.encryptAsync(stringifiedSampleData);
+    const decryptedData = await cryptor.decryptAsync(encryptedData);
+    assert.notEqual(encryptedData, stringifiedSampleData);
+    assert.equal(decryptedData, stringifiedSampleData);
+  });
+});
+
+describe("Cryptor: Generated Keys", () => {
+  const stringifiedSampleData = JSON.stringify({ name: "John", age: 23 });
+
+  it("should encrypt and decrypt data with a generated key", () => {
+    const key = Cryptor.generateKey();
+    const cryptor = new Cryptor(null, null, {
+      algorithm: "aes-256-gcm",
+      key,
+    });
+    const otherCryptor = new Cryptor(null, null, {
+      algorithm: "aes-256-gcm",
+      key,
+    });
+    const encryptedData = cryptor.encrypt(stringifiedSampleData);
+    assert.equal(otherCryptor.decrypt(encryptedData), stringifiedSampleData);
+  });
+
+  it("should throw error when key is invalid or algorithm is not aes-256-gcm", () => {
+    assert.throws(() => {
+      new Cryptor(null, null, {
+        algorithm: "aes-256-gcm",
+        key: Buffer.from("tooShort"),
+      });
+    });
+    assert.throws(() => {
+      new Cryptor(null, null, {
+        algorithm: "aes-256-cbc",
+        key: Cryptor.generateKey(),
+      });
+    });
+  });
+});
+
+describe("Cryptor: Buffer Encryption", () => {
+  const sampleBuffer = Buffer.from(JSON.stringify({ name: "John", age: 23 }));
+
+  it("should encrypt and decrypt buffers with both algorithms", () => {
+    Cryptor.SUPPORTED_ALGORITHMS.forEach((algorithm) => {
+      const cryptor = new Cryptor(SAMPLE_SECRET, SAMPLE_VECTOR, { algorithm });
+      const encryptedData = cryptor.encryptBuffer(sampleBuffer);
+      assert.ok(Buffer.isBuffer(encryptedData));
+      assert.notDeepEqual(encryptedData, sampleBuffer);
+      assert.deepEqual(cryptor.decryptBuffer(encryptedData), sampleBuffer);
+    });
+  });
+
+  it("should decrypt buffers with the given algorithm", () => {
+    const gcmCryptor = new Cryptor(SAMPLE_SECRET, SAMPLE_VECTOR, {
+      algorithm: "aes-256-gcm",
+      migrateFromAlgorithm: "aes-256-cbc",
+    });
+    const cbcCryptor = new Cryptor(SAMPLE_SECRET, SAMPLE_VECTOR);
+    const encryptedData = cbcCryptor.encryptBuffer(sampleBuffer);
+    assert.throws(() => {
+      cbcCryptor.decryptBuffer(sampleBuffer, "aes-256-gcm");
+    }, /Use option \[migrateFromAlgorithm\]/);
+    assert.deepEqual(
+      gcmCryptor.decryptBuffer(encryptedData, "aes-256-cbc"),
+      sampleBuffer
+    );
+  });
+
+  it("should throw error when an authenticated buffer has been modified", () => {
+    const cryptor = new Cryptor(SAMPLE_SECRET, SAMPLE_VECTOR, {
+      algorithm: "aes-256-gcm",
+    });
+    const encryptedData = cryptor.encryptBuffer(sampleBuffer);
+    encryptedData[encryptedData.length - 1] ^= 1;
+    assert.throws(() => {
+      cryptor.decryptBuffer(encryptedData);
+    }, /Data integrity check failed/);
+  });
+});
@@ -2,6 +2,8 @@ const assert = require("assert");
 const fs = require("fs");
 const path = require("path");
 const DB = require("../DB");
+const DataReadWriter = require("../DataReadWriter");
+const MemoryStorage = require("../MemoryStorage");
 
 const BUFFER_ENCODING = "utf-8";
 const SAMPLE_SECRET = "sampleSecret";
@@ -1338,9 +1340,1299 @@ describe("DB: Exporting", () => {
   });
 });
 
+describe("DB: Rotating secrets", () => {
+  const NEW_SECRET = "newSampleSecret";
+  const NEW_VECTOR = "newSampleVector";
+
+  beforeEach(() => {
+    DB._resetDBAndDeleteAllData();
+  });
+
+  after(() => {
+    DB._resetDBAndDeleteAllData();
+  });
+
+  it("should throw error if trying to rotate secrets before building", () => {
+    DB.registerEntity(SAMPLE_ENTITIES.categories);
+    assert.throws(() => {
+      DB.rotateSecrets(SAMPLE_SECRET, SAMPLE_VECTOR, NEW_SECRET, NEW_VECTOR);
+    });
+  });
+
+  it("should rotate secrets and keep saved and unsaved data", async () => {
+    let error = null;
+    let forceFetchedData;
+    DB.registerEntity(SAMPLE_ENTITIES.categories);
+    DB.registerEntity(SAMPLE_ENTITIES.comments);
+    DB.build(SAMPLE_SECRET, SAMPLE_VECTOR, { env: "test", isTestMode: true });
+    try {
+      await DB.createNewFor(
+        DB.getEntities().categories,
+        SAMPLE_CATEGORIES_DATA[0]
+      );
+      await DB.saveFor(DB.getEntities().categories);
+      await DB.createNewFor(
+        DB.getEntities().categories,
+        SAMPLE_CATEGORIES_DATA[1]
+      );
+      DB.rotateSecrets(SAMPLE_SECRET, SAMPLE_VECTOR, NEW_SECRET, NEW_VECTOR);
+      await DB.saveFor(DB.getEntities().categories);
+      forceFetchedData = await DB.findFor(
+        DB.getEntities().categories,
+        null,
+        true
+      );
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.equal(error, null);
+    assert.deepStrictEqual(
+      transformDataArrayWithMockDates(forceFetchedData),
+      transformDataArrayWithMockDates(SAMPLE_CATEGORIES_DATA.slice(0, 2))
+    );
+  });
+
+  it("should keep autoincrement sequences when rotating secrets", async () => {
+    DB.registerEntity("invoices", { idStrategy: "autoincrement" });
+    DB.build(SAMPLE_SECRET, SAMPLE_VECTOR, { env: "test", isTestMode: true });
+    await DB.createManyNewFor("invoices", [{ total: 1 }, { total: 2 }]);
+    await DB.saveAll();
+    DB.rotateSecrets(SAMPLE_SECRET, SAMPLE_VECTOR, NEW_SECRET, NEW_VECTOR);
+    await DB.deleteFor("invoices", 2);
+    const invoices = await DB.createNewFor("invoices", { total: 3 });
+    // deleted identifiers are not reused
+    assert.equal(invoices[invoices.length - 1].id, 3);
+  });
+});
+
+describe("DB: Custom cryptors", () => {
+  beforeEach(() => {
+    DB._resetDBAndDeleteAllData();
+  });
+
+  after(() => {
+    DB._resetDBAndDeleteAllData();
+  });
+
+  it("should build without secrets and save data with the none cryptor", async () => {
+    let error = null;
+    let forceFetchedData;
+    DB.registerEntity(SAMPLE_ENTITIES.categories);
+    try {
+      DB.build(null, null, {
+        env: "test",
+        isTestMode: true,
+        cryptor: "none",
+      });
+      await DB.createNewFor(
+        DB.getEntities().categories,
+        SAMPLE_CATEGORIES_DATA[0]
+      );
+      await DB.saveFor(DB.getEntities().categories);
+      forceFetchedData = await DB.findFor(
+        DB.getEntities().categories,
+        null,
+        true
+      );
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.equal(error, null);
+    assert.deepStrictEqual(
+      transformDataArrayWithMockDates(forceFetchedData),
+      transformDataArrayWithMockDates([SAMPLE_CATEGORIES_DATA[0]])
+    );
+  });
+
+  it("should throw error if trying to build without secrets or cryptor", () => {
+    DB.registerEntity(SAMPLE_ENTITIES.categories);
+    assert.throws(() => {
+      DB.build(null, null, { env: "test", isTestMode: true });
+    });
+  });
+});
+
+describe("DB: Encrypted fields", () => {
+  const SAMPLE_USERS = [
+    { id: "1", name: "John", email: "john@mail.com" },
+    { id: "2", name: "Ali", email: "ali@mail.com" },
+  ];
+  const testExportDir = "tests/data/encryptedFieldsExport";
+
+  beforeEach(() => {
+    DB._resetDBAndDeleteAllData();
+    DB.registerEntity("users", {
+      encryptedFields: ["email"],
+      validateOnCreate: (dataObj) => {
+        return dataObj.email.includes("@");
+      },
+    });
+    DB.build(SAMPLE_SECRET, SAMPLE_VECTOR, { env: "test", isTestMode: true });
+  });
+
+  after(() => {
+    DB._resetDBAndDeleteAllData();
+    fs.rmSync(testExportDir, { recursive: true, force: true });
+  });
+
+  it("should throw error if identifier key is an encrypted field", () => {
+    DB._resetDBAndDeleteAllData();
+    assert.throws(() => {
+      DB.registerEntity("users", { encryptedFields: ["id"] });
+    });
+  });
+
+  it("should keep encrypted fields encrypted in memory unless decryption is requested", async () => {
+    let error = null;
+    let data;
+    try {
+      data = await DB.createManyNewFor("users", SAMPLE_USERS);
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.equal(error, null);
+    data.forEach((obj, i) => {
+      assert.equal(obj.name, SAMPLE_USERS[i].name);
+      assert.notEqual(obj.email, SAMPLE_USERS[i].email);
+      assert.equal(obj.email.includes(SAMPLE_USERS[i].email), false);
+    });
+    assert.deepStrictEqual(
+      transformDataArrayWithMockDates(DB.decryptFieldsFor("users", data)),
+      transformDataArrayWithMockDates(SAMPLE_USERS)
+    );
+    assert.deepStrictEqual(
+      transformDataArrayWithMockDates(
+        DB.getEntireDatabase({ decryptFields: true }).users
+      ),
+      transformDataArrayWithMockDates(SAMPLE_USERS)
+    );
+    assert.notDeepStrictEqual(
+      transformDataArrayWithMockDates(DB.getEntireDatabase().users),
+      transformDataArrayWithMockDates(SAMPLE_USERS)
+    );
+  });
+
+  it("should pass decrypted values to hooks and keep fields encrypted on update", async () => {
+    await DB.createNewFor("users", SAMPLE_USERS[0]);
+    let error = null;
+    let data;
+    try {
+      data = await DB.updateFor("users", "1", { name: "Johnny" });
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.equal(error, null);
+    assert.equal(data[0].name, "Johnny");
+    assert.equal(DB.decryptFieldsFor("users", data[0]).email, "john@mail.com");
+    assert.equal(data[0].email.includes("john@mail.com"), false);
+  });
+
+  it("should store encrypted fields encrypted in data files", async () => {
+    await DB.createNewFor("users", SAMPLE_USERS[0]);
+    await DB.saveFor("users");
+    const forceFetchedData = await DB.findFor("users", null, true);
+    assert.notEqual(forceFetchedData[0].email, SAMPLE_USERS[0].email);
+    assert.equal(
+      DB.decryptFieldsFor("users", forceFetchedData[0]).email,
+      SAMPLE_USERS[0].email
+    );
+  });
+
+  it("should export encrypted fields encrypted unless decryption is requested", async () => {
+    await DB.createManyNewFor("users", SAMPLE_USERS);
+    DB.exportDataToJSONForEntity("users", testExportDir, "encrypted.json");
+    DB.exportDataToJSONForEntity("users", testExportDir, "decrypted.json", {
+      decryptFields: true,
+    });
+    const encryptedExport = JSON.parse(
+      fs.readFileSync(`${testExportDir}/encrypted.json`, BUFFER_ENCODING)
+    );
+    const decryptedExport = JSON.parse(
+      fs.readFileSync(`${testExportDir}/decrypted.json`, BUFFER_ENCODING)
+    );
+    assert.equal(
+      encryptedExport.some((obj) => obj.email === SAMPLE_USERS[0].email),
+      false
+    );
+    assert.deepStrictEqual(
+      decryptedExport.map((obj) => obj.email),
+      SAMPLE_USERS.map((obj) => obj.email)
+    );
+  });
+
+  it("should encrypt imported field values during build", async () => {
+    DB._resetDBAndDeleteAllData();
+    DB.registerEntity("users", { encryptedFields: ["password"] });
+    DB.importDataFromJSONFileForEntity(
+      "users",
+      "tests/sampleImportData/users.json"
+    );
+    DB.build(SAMPLE_SECRET, SAMPLE_VECTOR, { env: "test", isTestMode: true });
+    const importedData = JSON.parse(
+      fs.readFileSync("tests/sampleImportData/users.json", BUFFER_ENCODING)
+    );
+    const data = await DB.findFor("users");
+    data.forEach((obj, i) => {
+      assert.notEqual(obj.password, importedData[i].password);
+    });
+    assert.deepStrictEqual(DB.decryptFieldsFor("users", data), importedData);
+  });
+});
+
+describe("DB: Journal", () => {
+  const directory = "tests/data/test";
+  const filePath = `${directory}/categories.json`;
+  const journalFilePath = `${directory}/categories.journal`;
+
+  beforeEach(() => {
+    DB._resetDBAndDeleteAllData();
+  });
+
+  after(() => {
+    DB._resetDBAndDeleteAllData();
+  });
+
+  it("should persist changes in the journal without rewriting the entity file", async () => {
+    let error = null;
+    let forceFetchedData;
+    DB.registerEntity(SAMPLE_ENTITIES.categories);
+    DB.build(SAMPLE_SECRET, SAMPLE_VECTOR, {
+      env: "test",
+      isTestMode: true,
+      journal: true,
+    });
+    const entityFile = fs.readFileSync(filePath);
+    try {
+      await DB.createManyNewFor(
+        DB.getEntities().categories,
+        SAMPLE_CATEGORIES_DATA
+      );
+      await DB.updateFor(DB.getEntities().categories, "456", {
+        name: "updated category 2",
+      });
+      await DB.deleteFor(DB.getEntities().categories, "789");
+      await DB.saveAll();
+      forceFetchedData = await DB.findFor(
+        DB.getEntities().categories,
+        null,
+        true
+      );
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.equal(error, null);
+    assert.deepEqual(fs.readFileSync(filePath), entityFile);
+    assert.ok(fs.existsSync(journalFilePath));
+    assert.deepStrictEqual(
+      transformDataArrayWithMockDates(forceFetchedData),
+      transformDataArrayWithMockDates([
+        SAMPLE_CATEGORIES_DATA[0],
+        { ...SAMPLE_CATEGORIES_DATA[1], name: "updated category 2" },
+      ])
+    );
+  });
+
+  it("should fold the journal into the entity file once it passes the size threshold", async () => {
+    DB.registerEntity(SAMPLE_ENTITIES.categories);
+    DB.build(SAMPLE_SECRET, SAMPLE_VECTOR, {
+      env: "test",
+      isTestMode: true,
+      journal: true,
+      journalMaxSize: 1000,
+    });
+    for (const obj of SAMPLE_CATEGORIES_DATA) {
+      await DB.createNewFor(DB.getEntities().categories, obj);
+    }
+    assert.equal(fs.existsSync(journalFilePath), false);
+    assert.deepStrictEqual(
+      transformDataArrayWithMockDates(
+        await DB.findFor(DB.getEntities().categories, null, true)
+      ),
+      transformDataArrayWithMockDates(SAMPLE_CATEGORIES_DATA)
+    );
+  });
+});
+
+describe("DB: Snapshots", () => {
+  beforeEach(() => {
+    DB._resetDBAndDeleteAllData();
+    DB.registerEntity(SAMPLE_ENTITIES.categories);
+  });
+
+  after(() => {
+    DB._resetDBAndDeleteAllData();
+  });
+
+  it("should throw error when taking a snapshot before the DB is built", () => {
+    assert.throws(() => DB.snapshot(), /once DB is built/);
+    assert.throws(() => DB.listSnapshots(), /once DB is built/);
+    assert.throws(() => DB.restoreSnapshot("unknown"), /once DB is built/);
+  });
+
+  it("should restore a snapshot and reload the data in memory", async () => {
+    let error = null;
+    let snapshot;
+    DB.build(SAMPLE_SECRET, SAMPLE_VECTOR, { env: "test", isTestMode: true });
+    try {
+      await DB.createManyNewFor(
+        DB.getEntities().categories,
+        SAMPLE_CATEGORIES_DATA
+      );
+      await DB.saveAll();
+      snapshot = DB.snapshot("before-delete");
+      await DB.deleteFor(DB.getEntities().categories, "789");
+      await DB.saveAll();
+      DB.restoreSnapshot(snapshot.id);
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.equal(error, null);
+    assert.equal(DB.listSnapshots()[1].label, "before-delete");
+    const identifiers = SAMPLE_CATEGORIES_DATA.map((c) => c.id);
+    assert.deepEqual(
+      (await DB.findFor(DB.getEntities().categories)).map((c) => c.id),
+      identifiers
+    );
+    assert.deepEqual(
+      (await DB.findFor(DB.getEntities().categories, null, true)).map(
+        (c) => c.id
+      ),
+      identifiers
+    );
+  });
+});
+
+describe("DB: Corruption recovery", () => {
+  const filePath = "tests/data/test/categories.json";
+
+  beforeEach(() => {
+    DB._resetDBAndDeleteAllData();
+    DB.registerEntity(SAMPLE_ENTITIES.categories);
+  });
+
+  after(() => {
+    DB._resetDBAndDeleteAllData();
+  });
+
+  it("should list no recovered entities when building an intact DB", () => {
+    const result = DB.build(SAMPLE_SECRET, SAMPLE_VECTOR, {
+      env: "test",
+      isTestMode: true,
+    });
+    assert.deepEqual(result, { recoveredEntities: [] });
+  });
+
+  it("should list the recovered entities in the build result", async () => {
+    let error = null;
+    let result;
+    DB.build(SAMPLE_SECRET, SAMPLE_VECTOR, { env: "test", isTestMode: true });
+    await DB.createManyNewFor(
+      DB.getEntities().categories,
+      SAMPLE_CATEGORIES_DATA
+    );
+    await DB.saveAll();
+    DB.snapshot();
+    fs.writeFileSync(filePath, fs.readFileSync(filePath).subarray(0, 40));
+    // rebuild from the data files
+    DataReadWriter._reset();
+    try {
+      result = DB.build(SAMPLE_SECRET, SAMPLE_VECTOR, {
+        env: "test",
+        isTestMode: true,
+        onCorruption: "snapshot",
+      });
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.equal(error, null);
+    assert.equal(result.recoveredEntities.length, 1);
+    assert.equal(
+      result.recoveredEntities[0].entity,
+      DB.getEntities().categories
+    );
+    assert.equal(
+      (await DB.findFor(DB.getEntities().categories)).length,
+      SAMPLE_CATEGORIES_DATA.length
+    );
+  });
+});
+
+describe("DB: Multiple databases", () => {
+  const tenantDB = DB.createDatabase({ env: "tenant", isTestMode: true });
+
+  beforeEach(() => {
+    DB._resetDBAndDeleteAllData();
+    tenantDB._resetDBAndDeleteAllData();
+  });
+
+  after(() => {
+    DB._resetDBAndDeleteAllData();
+    tenantDB._resetDBAndDeleteAllData();
+  });
+
+  it("should create databases with isolated entities and data", async () => {
+    let error = null;
+    DB.registerEntity(SAMPLE_ENTITIES.categories);
+    tenantDB.registerEntity(SAMPLE_ENTITIES.comments);
+    try {
+      DB.build(SAMPLE_SECRET, SAMPLE_VECTOR, { env: "test", isTestMode: true });
+      assert.equal(tenantDB.isUp(), false);
+      tenantDB.build("tenantSecret", "tenantVector");
+      await DB.createNewFor(
+        DB.getEntities().categories,
+        SAMPLE_CATEGORIES_DATA[0]
+      );
+      await DB.saveAll();
+      await tenantDB.saveAll();
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.equal(error, null);
+    assert.deepEqual(Object.keys(tenantDB.getEntities()), [
+      SAMPLE_ENTITIES.comments,
+    ]);
+    assert.deepEqual(tenantDB.getEntireDatabase(), { comments: [] });
+    assert.equal((await DB.findFor(DB.getEntities().categories)).length, 1);
+    assert.ok(fs.existsSync("tests/data/tenant/comments.json"));
+    assert.equal(fs.existsSync("tests/data/tenant/categories.json"), false);
+  });
+
+  it("should let build options override the options of createDatabase", () => {
+    tenantDB.registerEntity(SAMPLE_ENTITIES.comments);
+    tenantDB.build("tenantSecret", "tenantVector", { env: "tenant-b" });
+    assert.ok(fs.existsSync("tests/data/tenant-b/comments.json"));
+  });
+});
+
+describe("DB: Storage", () => {
+  beforeEach(() => {
+    DB._resetDBAndDeleteAllData();
+  });
+
+  after(() => {
+    DB._resetDBAndDeleteAllData();
+  });
+
+  it("should build and persist data with the [memory] storage", async () => {
+    let error = null;
+    DB.registerEntity(SAMPLE_ENTITIES.categories);
+    try {
+      DB.build(SAMPLE_SECRET, SAMPLE_VECTOR, {
+        env: "memory",
+        isTestMode: true,
+        storage: "memory",
+      });
+      await DB.createManyNewFor(
+        DB.getEntities().categories,
+        SAMPLE_CATEGORIES_DATA
+      );
+      await DB.saveAll();
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.equal(error, null);
+    assert.equal(
+      (await DB.findFor(DB.getEntities().categories, null, true)).length,
+      SAMPLE_CATEGORIES_DATA.length
+    );
+    assert.equal(fs.existsSync("tests/data/memory"), false);
+  });
+
+  it("should throw the cause of a failed save", async () => {
+    const storage = new MemoryStorage();
+    let failWrites = false;
+    DB.registerEntity(SAMPLE_ENTITIES.categories);
+    DB.build(SAMPLE_SECRET, SAMPLE_VECTOR, {
+      storage: {
+        read: (key) => storage.read(key),
+        write: (key, bytes) => {
+          if (failWrites) {
+            throw new Error("Storage is full.");
+          }
+          storage.write(key, bytes);
+        },
+        delete: (key) => storage.delete(key),
+        list: () => storage.list(),
+      },
+    });
+    await DB.createNewFor(
+      DB.getEntities().categories,
+      SAMPLE_CATEGORIES_DATA[0]
+    );
+    failWrites = true;
+    let error = null;
+    try {
+      await DB.saveFor(DB.getEntities().categories);
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.notEqual(error, null);
+    assert.match(error.message, /Storage is full/);
+  });
+});
+
+describe("DB: Watching data files", () => {
+  const categoriesEntity = SAMPLE_ENTITIES.categories;
+  const otherDataReadWriter = DataReadWriter.createDataReadWriter();
+  const externalData = [{ id: "external", name: "external category" }];
+
+  const build = (options = {}) => {
+    DB.registerEntity(categoriesEntity);
+    DB.build(SAMPLE_SECRET, SAMPLE_VECTOR, {
+      env: "test",
+      isTestMode: true,
+      watch: true,
+      watchDebounce: 20,
+      ...options,
+    });
+    otherDataReadWriter.initialize(
+      SAMPLE_SECRET,
+      SAMPLE_VECTOR,
+      [categoriesEntity],
+      { env: "test", isTestMode: true, journal: options.journal === true }
+    );
+  };
+
+  const waitFor = (event) => {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(
+        () => reject(new Error(`No [${event}] event.`)),
+        1500
+      );
+      DB.on(event, (arg) => {
+        clearTimeout(timer);
+        resolve(arg);
+      });
+    });
+  };
+
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  beforeEach(() => {
+    DB._resetDBAndDeleteAllData();
+    otherDataReadWriter._reset();
+  });
+
+  after(() => {
+    DB._resetDBAndDeleteAllData();
+    otherDataReadWriter._reset();
+  });
+
+  it("should reload an entity changed by another process", async () => {
+    build();
+    const reloaded = waitFor("reload");
+    otherDataReadWriter.saveSync(categoriesEntity, externalData);
+    assert.equal(await reloaded, categoriesEntity);
+    assert.deepEqual(await DB.findFor(categoriesEntity), externalData);
+  });
+
+  it("should reload an entity which was force fetched after the change", async () => {
+    build({ watchDebounce: 100 });
+    const reloaded = waitFor("reload");
+    otherDataReadWriter.saveSync(categoriesEntity, externalData);
+    await DB.findFor(categoriesEntity, null, { forceFetch: true });
+    await reloaded;
+    assert.deepEqual(await DB.findFor(categoriesEntity), externalData);
+  });
+
+  it("should not reload after its own saves", async () => {
+    let reloads = 0;
+    build();
+    DB.on("reload", () => reloads++);
+    await DB.createNewFor(categoriesEntity, SAMPLE_CATEGORIES_DATA[0]);
+    await DB.saveAll();
+    await wait(200);
+    assert.equal(reloads, 0);
+  });
+
+  it("should reload an entity whose journal was changed by another process", async () => {
+    build({ journal: true });
+    const reloaded = waitFor("reload");
+    await otherDataReadWriter.appendToJournalAsync(categoriesEntity, [
+      { op: "create", key: "id", id: "external", data: externalData[0] },
+    ]);
+    assert.equal(await reloaded, categoriesEntity);
+    assert.deepEqual(await DB.findFor(categoriesEntity), externalData);
+  });
+
+  it("should not reload after its own journal appends", async () => {
+    let reloads = 0;
+    build({ journal: true });
+    DB.on("reload", () => reloads++);
+    await DB.createNewFor(categoriesEntity, SAMPLE_CATEGORIES_DATA[0]);
+    await wait(200);
+    assert.equal(reloads, 0);
+  });
+
+  it("should keep unsaved changes with conflict policy [reject]", async () => {
+    build();
+    await DB.createNewFor(categoriesEntity, SAMPLE_CATEGORIES_DATA[0]);
+    const rejected = waitFor("reject");
+    otherDataReadWriter.saveSync(categoriesEntity, externalData);
+    assert.equal(await rejected, categoriesEntity);
+    assert.equal((await DB.findFor(categoriesEntity))[0].id, "123");
+  });
+
+  it("should discard unsaved changes with conflict policy [overwrite]", async () => {
+    build({ onWatchConflict: "overwrite" });
+    await DB.createNewFor(categoriesEntity, SAMPLE_CATEGORIES_DATA[0]);
+    const reloaded = waitFor("reload");
+    otherDataReadWriter.saveSync(categoriesEntity, externalData);
+    await reloaded;
+    assert.deepEqual(await DB.findFor(categoriesEntity), externalData);
+  });
+
+  it("should emit a conflict event with conflict policy [emit]", async () => {
+    build({ onWatchConflict: "emit" });
+    await DB.createNewFor(categoriesEntity, SAMPLE_CATEGORIES_DATA[0]);
+    const conflict = waitFor("conflict");
+    otherDataReadWriter.saveSync(categoriesEntity, externalData);
+    const { entity, reload } = await conflict;
+    assert.equal(entity, categoriesEntity);
+    assert.equal((await DB.findFor(categoriesEntity))[0].id, "123");
+    reload();
+    assert.deepEqual(await DB.findFor(categoriesEntity), externalData);
+  });
+
+  it("should throw error for invalid watch options", () => {
+    DB.registerEntity(categoriesEntity);
+    assert.throws(() => {
+      DB.build(SAMPLE_SECRET, SAMPLE_VECTOR, { watchDebounce: -1 });
+    }, /Option \[watchDebounce\]/);
+    assert.throws(() => {
+      DB.build(SAMPLE_SECRET, SAMPLE_VECTOR, { onWatchConflict: "merge" });
+    }, /Option \[onWatchConflict\] must be one of/);
+  });
+});
+
+describe("DB: Sharded entities", () => {
+  const categoriesEntity = SAMPLE_ENTITIES.categories;
+
+  beforeEach(() => {
+    DB._resetDBAndDeleteAllData();
+  });
+
+  after(() => {
+    DB._resetDBAndDeleteAllData();
+  });
+
+  it("should store a sharded entity in chunks and find across them", async () => {
+    let error = null;
+    try {
+      DB.registerEntity(categoriesEntity, { sharding: { maxRecords: 1 } });
+      DB.build(SAMPLE_SECRET, SAMPLE_VECTOR, {
+        env: "test",
+        isTestMode: true,
+      });
+      await DB.createManyNewFor(categoriesEntity, SAMPLE_CATEGORIES_DATA);
+      await DB.saveFor(categoriesEntity);
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.equal(error, null);
+    const chunkFiles = fs
+      .readdirSync("tests/data/test")
+      .filter((f) => f.startsWith(`${categoriesEntity}.chunk-`));
+    assert.equal(chunkFiles.length, SAMPLE_CATEGORIES_DATA.length);
+    const found = await DB.findFor(
+      categoriesEntity,
+      (c) => c.id === SAMPLE_CATEGORIES_DATA[1].id,
+      true
+    );
+    assert.deepEqual(
+      found.map((c) => c.id),
+      [SAMPLE_CATEGORIES_DATA[1].id]
+    );
+  });
+
+  it("should throw error for an invalid [sharding] option", () => {
+    let error = null;
+    try {
+      DB.registerEntity(categoriesEntity, { sharding: { maxRecords: 1.5 } });
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.notEqual(error, null);
+  });
+});
+
+describe("DB: Durability", () => {
+  const categoriesEntity = SAMPLE_ENTITIES.categories;
+
+  beforeEach(() => {
+    DB._resetDBAndDeleteAllData();
+  });
+
+  after(() => {
+    DB._resetDBAndDeleteAllData();
+  });
+
+  it("should save every entity with the [batched] durability", async () => {
+    let error = null;
+    try {
+      DB.registerEntity(categoriesEntity);
+      DB.registerEntity(SAMPLE_ENTITIES.comments, { durability: "none" });
+      DB.build(SAMPLE_SECRET, SAMPLE_VECTOR, {
+        env: "test",
+        isTestMode: true,
+        durability: "batched",
+      });
+      await DB.createManyNewFor(categoriesEntity, SAMPLE_CATEGORIES_DATA);
+      await DB.saveAll();
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.equal(error, null);
+    assert.equal(
+      (await DB.findFor(categoriesEntity, null, true)).length,
+      SAMPLE_CATEGORIES_DATA.length
+    );
+  });
+
+  it("should throw error for an unsupported [durability] option", () => {
+    let error = null;
+    try {
+      DB.registerEntity(categoriesEntity, { durability: "sometimes" });
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.notEqual(error, null);
+  });
+});
+
+describe("DB: Renaming entities", () => {
+  const commentsEntity = SAMPLE_ENTITIES.comments;
+  const newEntity = "reviews";
+
+  beforeEach(() => {
+    DB._resetDBAndDeleteAllData();
+  });
+
+  after(() => {
+    DB._resetDBAndDeleteAllData();
+  });
+
+  it("should rename an entity of a built DB and keep its data and hooks", async () => {
+    let error = null;
+    let validatedCount = 0;
+    try {
+      DB.registerEntity(SAMPLE_ENTITIES.categories);
+      DB.registerEntity(commentsEntity, {
+        validateOnCreate: () => {
+          validatedCount++;
+          return true;
+        },
+      });
+      DB.build(SAMPLE_SECRET, SAMPLE_VECTOR, {
+        env: "test",
+        isTestMode: true,
+      });
+      await DB.createNewFor(commentsEntity, { id: "1", text: "saved" });
+      await DB.saveFor(commentsEntity);
+      await DB.createNewFor(commentsEntity, { id: "2", text: "unsaved" });
+      DB.renameEntity(commentsEntity, newEntity);
+      await DB.createNewFor(newEntity, { id: "3", text: "renamed" });
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.equal(error, null);
+    assert.equal(validatedCount, 3);
+    assert.deepEqual(DB.getEntities(), {
+      categories: SAMPLE_ENTITIES.categories,
+      reviews: newEntity,
+    });
+    assert.deepEqual(
+      (await DB.findFor(newEntity)).map((c) => c.id),
+      ["1", "2", "3"]
+    );
+    assert.deepEqual(
+      (await DB.findFor(newEntity, null, true)).map((c) => c.id),
+      ["1"]
+    );
+    assert.equal(
+      fs.existsSync(`tests/data/test/${commentsEntity}.json`),
+      false
+    );
+  });
+
+  it("should throw error when renaming to a registered entity", () => {
+    let error = null;
+    DB.registerEntity(SAMPLE_ENTITIES.categories);
+    DB.registerEntity(commentsEntity);
+    DB.build(SAMPLE_SECRET, SAMPLE_VECTOR, { env: "test", isTestMode: true });
+    try {
+      DB.renameEntity(commentsEntity, SAMPLE_ENTITIES.categories);
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.notEqual(error, null);
+  });
+});
+
+describe("DB: Filter objects", () => {
+  const categoriesEntity = SAMPLE_ENTITIES.categories;
+
+  before(async () => {
+    DB._resetDBAndDeleteAllData();
+    DB.registerEntity(categoriesEntity);
+    DB.build(SAMPLE_SECRET, SAMPLE_VECTOR, { env: "test", isTestMode: true });
+    await DB.createManyNewFor(categoriesEntity, SAMPLE_CATEGORIES_DATA);
+    await DB.saveFor(categoriesEntity);
+  });
+
+  after(() => {
+    DB._resetDBAndDeleteAllData();
+  });
+
+  it("should find data objects matching a filter object", async () => {
+    const ids = [SAMPLE_CATEGORIES_DATA[0].id, SAMPLE_CATEGORIES_DATA[2].id];
+    const found = await DB.findFor(categoriesEntity, { id: { $in: ids } });
+    assert.deepEqual(
+      found.map((c) => c.id),
+      ids
+    );
+    const fetched = await DB.findFor(
+      categoriesEntity,
+      { id: { $in: ids } },
+      true
+    );
+    assert.deepEqual(
+      fetched.map((c) => c.id),
+      ids
+    );
+  });
+
+  it("should find the first data object matching a filter", async () => {
+    const found = await DB.findOneFor(categoriesEntity, {
+      name: SAMPLE_CATEGORIES_DATA[1].name,
+    });
+    assert.equal(found.id, SAMPLE_CATEGORIES_DATA[1].id);
+    assert.equal(
+      await DB.findOneFor(categoriesEntity, (c) => c.id === "unknown"),
+      null
+    );
+  });
+
+  it("should throw error for unknown query operators", async () => {
+    let error = null;
+    try {
+      await DB.findFor(categoriesEntity, { name: { $like: "category" } });
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.notEqual(error, null);
+  });
+});
+
+describe("DB: Find options", () => {
+  const categoriesEntity = SAMPLE_ENTITIES.categories;
+
+  before(async () => {
+    DB._resetDBAndDeleteAllData();
+    DB.registerEntity(categoriesEntity);
+    DB.build(SAMPLE_SECRET, SAMPLE_VECTOR, { env: "test", isTestMode: true });
+    await DB.createManyNewFor(categoriesEntity, SAMPLE_CATEGORIES_DATA);
+    await DB.saveFor(categoriesEntity);
+  });
+
+  after(() => {
+    DB._resetDBAndDeleteAllData();
+  });
+
+  it("should sort, paginate and project data objects", async () => {
+    const sortedIds = SAMPLE_CATEGORIES_DATA.map((c) => c.id)
+      .sort()
+      .reverse();
+    const firstPage = await DB.findFor(categoriesEntity, null, {
+      sort: { id: "desc" },
+      limit: 2,
+      fields: ["name"],
+    });
+    assert.deepEqual(
+      firstPage.map((c) => c.id),
+      sortedIds.slice(0, 2)
+    );
+    assert.deepEqual(Object.keys(firstPage[0]), ["id", "name"]);
+    const secondPage = await DB.findFor(categoriesEntity, null, {
+      sort: { id: "desc" },
+      after: firstPage[1].id,
+      forceFetch: true,
+    });
+    assert.deepEqual(
+      secondPage.map((c) => c.id),
+      sortedIds.slice(2)
+    );
+  });
+
+  it("should count data objects matching a filter", async () => {
+    assert.equal(
+      await DB.countFor(categoriesEntity),
+      SAMPLE_CATEGORIES_DATA.length
+    );
+    assert.equal(
+      await DB.countFor(categoriesEntity, {
+        id: SAMPLE_CATEGORIES_DATA[0].id,
+      }),
+      1
+    );
+  });
+
+  it("should find the first data object in sort order", async () => {
+    const found = await DB.findOneFor(categoriesEntity, null, {
+      sort: { id: -1 },
+    });
+    assert.equal(
+      found.id,
+      SAMPLE_CATEGORIES_DATA.map((c) => c.id)
+        .sort()
+        .reverse()[0]
+    );
+  });
+
+  it("should continue after a cursor which has been changed or deleted", async () => {
+    const sortedIds = SAMPLE_CATEGORIES_DATA.map((c) => c.id).sort();
+    const [firstCursor] = await DB.findFor(categoriesEntity, null, {
+      sort: { id: 1 },
+      limit: 1,
+    });
+    await DB.updateFor(categoriesEntity, firstCursor.id, { name: "renamed" });
+    const secondPage = await DB.findFor(
+      categoriesEntity,
+      { name: { $ne: "renamed" } },
+      { sort: { id: 1 }, after: firstCursor.id, limit: 1 }
+    );
+    assert.deepEqual(
+      secondPage.map((c) => c.id),
+      sortedIds.slice(1, 2)
+    );
+    await DB.deleteFor(categoriesEntity, secondPage[0].id);
+    const thirdPage = await DB.findFor(categoriesEntity, null, {
+      sort: { id: 1 },
+      after: secondPage[0],
+    });
+    assert.deepEqual(
+      thirdPage.map((c) => c.id),
+      sortedIds.slice(2)
+    );
+  });
+});
+
+describe("DB: Indexes", () => {
+  const booksEntity = "books";
+
+  before(async () => {
+    DB._resetDBAndDeleteAllData();
+    DB.registerEntity(booksEntity, {
+      identifierKey: "isbn",
+      indexes: ["author", ["author", "year"]],
+    });
+    DB.build(SAMPLE_SECRET, SAMPLE_VECTOR, { env: "test", isTestMode: true });
+    await DB.createManyNewFor(booksEntity, [
+      { isbn: "1", author: "Jane", year: 2020 },
+      { isbn: "2", author: "John", year: 2021 },
+    ]);
+    await DB.createNewFor(booksEntity, {
+      isbn: "3",
+      author: "Jane",
+      year: 2021,
+    });
+  });
+
+  after(() => {
+    DB._resetDBAndDeleteAllData();
+  });
+
+  it("should find data objects by identifier and indexed fields", async () => {
+    const found = await DB.findByIdentifierFor(booksEntity, "3");
+    assert.equal(found.author, "Jane");
+    const byAuthor = await DB.findFor(booksEntity, { author: "Jane" });
+    assert.deepEqual(
+      byAuthor.map((b) => b.isbn),
+      ["1", "3"]
+    );
+    const byAuthorAndYear = await DB.findFor(booksEntity, {
+      author: "Jane",
+      year: 2021,
+    });
+    assert.deepEqual(
+      byAuthorAndYear.map((b) => b.isbn),
+      ["3"]
+    );
+  });
+
+  it("should keep indexes up to date on update and delete", async () => {
+    await DB.updateFor(booksEntity, "1", { author: "Joe" });
+    assert.deepEqual(
+      (await DB.findFor(booksEntity, { author: "Jane" })).map((b) => b.isbn),
+      ["3"]
+    );
+    assert.equal(
+      (await DB.findOneFor(booksEntity, { author: "Joe" })).isbn,
+      "1"
+    );
+    await DB.deleteFor(booksEntity, "2");
+    assert.equal(await DB.countFor(booksEntity, { author: "John" }), 0);
+    const found = await DB.findByIdentifierFor(booksEntity, "3");
+    assert.equal(found.year, 2021);
+    let error = null;
+    try {
+      await DB.findByIdentifierFor(booksEntity, "2");
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.notEqual(error, null);
+  });
+
+  it("should not change indexed data when returned data objects change", async () => {
+    const [book] = await DB.findFor(booksEntity, { author: "Jane" });
+    book.author = "Joe";
+    book.isbn = "4";
+    (await DB.findByIdentifierFor(booksEntity, "3")).author = "Joe";
+    assert.deepEqual(
+      (await DB.findFor(booksEntity, { author: "Jane" })).map((b) => b.isbn),
+      (await DB.findFor(booksEntity, (b) => b.author === "Jane")).map(
+        (b) => b.isbn
+      )
+    );
+    assert.equal((await DB.findByIdentifierFor(booksEntity, "3")).isbn, "3");
+  });
+
+  it("should reject invalid indexes", () => {
+    DB._resetDBAndDeleteAllData();
+    let error = null;
+    try {
+      DB.registerEntity(booksEntity, { indexes: ["author", []] });
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.notEqual(error, null);
+    error = null;
+    try {
+      DB.registerEntity(booksEntity, {
+        encryptedFields: ["author"],
+        indexes: ["author"],
+      });
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.notEqual(error, null);
+    assert.equal(Object.keys(DB.getEntities()).includes(booksEntity), false);
+  });
+});
+
+describe("DB: Unique keys", () => {
+  const usersEntity = "users";
+
+  beforeEach(async () => {
+    DB._resetDBAndDeleteAllData();
+    DB.registerEntity(usersEntity, {
+      unique: ["email", ["firstName", "lastName"]],
+    });
+    DB.build(SAMPLE_SECRET, SAMPLE_VECTOR, { env: "test", isTestMode: true });
+    await DB.createManyNewFor(usersEntity, [
+      {
+        id: "1",
+        email: "jane@example.com",
+        firstName: "Jane",
+        lastName: "Doe",
+      },
+      {
+        id: "2",
+        email: "john@example.com",
+        firstName: "John",
+        lastName: "Doe",
+      },
+    ]);
+  });
+
+  after(() => {
+    DB._resetDBAndDeleteAllData();
+  });
+
+  it("should reject data objects with a duplicate identifier or unique key", async () => {
+    let error = null;
+    try {
+      await DB.createNewFor(usersEntity, { id: "1", email: "joe@example.com" });
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.equal(error instanceof DB.DuplicateKeyError, true);
+    assert.deepEqual(error.fields, ["id"]);
+    assert.deepEqual(error.values, ["1"]);
+    error = null;
+    try {
+      await DB.createNewFor(usersEntity, {
+        id: "3",
+        firstName: "Jane",
+        lastName: "Doe",
+      });
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.equal(error instanceof DB.DuplicateKeyError, true);
+    assert.deepEqual(error.fields, ["firstName", "lastName"]);
+    assert.equal((await DB.findFor(usersEntity)).length, 2);
+    // unique keys without a value are not compared
+    await DB.createNewFor(usersEntity, { id: "3", firstName: "Jane" });
+    await DB.createNewFor(usersEntity, { id: "4", firstName: "Jane" });
+    assert.equal((await DB.findFor(usersEntity)).length, 4);
+  });
+
+  it("should reject the whole batch of createManyNewFor", async () => {
+    let error = null;
+    try {
+      await DB.createManyNewFor(usersEntity, [
+        { id: "3", email: "joe@example.com" },
+        { id: "4", email: "joe@example.com" },
+      ]);
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.equal(error instanceof DB.DuplicateKeyError, true);
+    assert.deepEqual(error.fields, ["email"]);
+    assert.equal((await DB.findFor(usersEntity)).length, 2);
+    assert.equal(await DB.countFor(usersEntity, { id: "3" }), 0);
+  });
+
+  it("should reject updates to a duplicate unique key", async () => {
+    let error = null;
+    try {
+      await DB.updateFor(usersEntity, "2", { email: "jane@example.com" });
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.equal(error instanceof DB.DuplicateKeyError, true);
+    const found = await DB.findByIdentifierFor(usersEntity, "2");
+    assert.equal(found.email, "john@example.com");
+    await DB.updateFor(usersEntity, "2", { email: "john@example.org" });
+    assert.equal(
+      await DB.countFor(usersEntity, { email: "john@example.org" }),
+      1
+    );
+  });
+
+  it("should reject invalid unique keys", () => {
+    DB._resetDBAndDeleteAllData();
+    let error = null;
+    try {
+      DB.registerEntity(usersEntity, { unique: "email" });
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.notEqual(error, null);
+    error = null;
+    try {
+      DB.registerEntity(usersEntity, {
+        encryptedFields: ["email"],
+        unique: ["email"],
+      });
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.notEqual(error, null);
+  });
+});
+
+describe("DB: Identifier strategies", () => {
+  const restartedDB = DB.createDatabase({ env: "test", isTestMode: true });
+
+  beforeEach(() => {
+    DB._resetDBAndDeleteAllData();
+    restartedDB._resetDBAndDeleteAllData();
+  });
+
+  after(() => {
+    DB._resetDBAndDeleteAllData();
+    restartedDB._resetDBAndDeleteAllData();
+  });
+
+  it("should generate uuid, nanoid and custom identifiers when missing", async () => {
+    DB.registerEntity("users", { idStrategy: "uuid" });
+    DB.registerEntity("links", { identifierKey: "slug", idStrategy: "nanoid" });
+    DB.registerEntity("orders", {
+      idStrategy: (order) => `${order.customer}-1`,
+    });
+    DB.build(SAMPLE_SECRET, SAMPLE_VECTOR, { env: "test", isTestMode: true });
+    const [user] = await DB.createNewFor("users", { name: "Jane" });
+    assert.match(
+      user.id,
+      /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[0-9a-f]{4}-[0-9a-f]{12}$/
+    );
+    const links = await DB.createManyNewFor("links", [
+      { url: "a" },
+      { url: "b", slug: "custom" },
+    ]);
+    assert.match(links[0].slug, /^[A-Za-z0-9_-]{21}$/);
+    assert.equal(links[1].slug, "custom");
+    const [order] = await DB.createNewFor("orders", { customer: "jane" });
+    assert.equal(order.id, "jane-1");
+  });
+
+  it("should generate autoincrement identifiers which survive restarts", async () => {
+    DB.registerEntity("invoices", { idStrategy: "autoincrement" });
+    DB.build(SAMPLE_SECRET, SAMPLE_VECTOR, { env: "test", isTestMode: true });
+    await DB.createManyNewFor("invoices", [
+      { id: 10, total: 1 },
+      { total: 2 },
+      { total: 3 },
+    ]);
+    await DB.deleteFor("invoices", 12);
+    await DB.saveAll();
+    assert.deepEqual(
+      (await DB.findFor("invoices")).map((i) => i.id),
+      [10, 11]
+    );
+    restartedDB.registerEntity("invoices", { idStrategy: "autoincrement" });
+    restartedDB.build(SAMPLE_SECRET, SAMPLE_VECTOR);
+    const invoices = await restartedDB.createNewFor("invoices", { total: 4 });
+    // deleted identifiers are not reused
+    assert.equal(invoices[invoices.length - 1].id, 13);
+  });
+
+  it("should reject invalid id strategies", () => {
+    let error = null;
+    try {
+      DB.registerEntity("users", { idStrategy: "random" });
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.notEqual(error, null);
+  });
+});
+
 after(() => {
   DB._resetDBAndDeleteAllData();
   fs.rmSync("tests/data/dev", { recursive: true, force: true });
   fs.rmSync("tests/data/prod", { recursive: true, force: true });
   fs.rmSync("tests/data/test", { recursive: true, force: true });
+  fs.rmSync("tests/data/tenant", { recursive: true, force: true });
+  fs.rmSync("tests/data/tenant-b", { recursive: true, force: true });
+  fs.rmSync("tests/data/other", { recursive: true, force: true });
 });
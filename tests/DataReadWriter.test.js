@@ -1,11 +1,22 @@
 const assert = require("assert");
 const fs = require("fs");
+const os = require("os");
+const childProcess = require("child_process");
+const path = require("path");
+const crypto = require("crypto");
 const DataReadWriter = require("../DataReadWriter");
+const Cryptor = require("../Cryptor");
+const FileFormat = require("../FileFormat");
+const MemoryStorage = require("../MemoryStorage");
 
 const SAMPLE_SECRET = "sampleSecret";
 const SAMPLE_VECTOR = "sampleVector";
 const SAMPLE_ENTITIES = ["categories", "comments"];
 
+const getChecksum = (content) => {
+  return crypto.createHash("sha256").update(content).digest("hex");
+};
+
 const getEntitiesMap = (entities, env = "dev") => {
   return entities.reduce((prev, curr) => {
     const dataFilePath = `${__dirname}/data/${env}/${curr}.json`;
@@ -502,3 +513,2471 @@ describe("Data Read Writer: Reading and writing in different environments", () =
     fs.unlinkSync(filePath);
   });
 });
+
+describe("Data Read Writer: Authenticated encryption", () => {
+  after(() => {
+    DataReadWriter._resetAndDeleteAllData();
+  });
+
+  it("should reject data written with another algorithm", () => {
+    const categoryEntity = SAMPLE_ENTITIES[0];
+    DataReadWriter._resetAndDeleteAllData();
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+    });
+    DataReadWriter.saveSync(categoryEntity, [{ name: "sampleCategory" }]);
+    DataReadWriter._reset();
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+      algorithm: "aes-256-gcm",
+    });
+    assert.throws(
+      () => DataReadWriter.readSync(categoryEntity),
+      /written with cipher \[aes-256-cbc\]/
+    );
+  });
+
+  it("should complete a migration to aes-256-gcm by rotating secrets", async () => {
+    const categoryEntity = SAMPLE_ENTITIES[0];
+    const sampleCategoryData = [
+      { id: "1", name: "sampleCategory1" },
+      { id: "2", name: "sampleCategory2" },
+    ];
+    DataReadWriter._resetAndDeleteAllData();
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+      journal: true,
+    });
+    DataReadWriter.saveSync(categoryEntity, [sampleCategoryData[0]]);
+    await DataReadWriter.appendToJournalAsync(categoryEntity, [
+      { op: "create", key: "id", id: "2", data: sampleCategoryData[1] },
+    ]);
+    DataReadWriter._reset();
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+      journal: true,
+      algorithm: "aes-256-gcm",
+      migrateFromAlgorithm: "aes-256-cbc",
+    });
+    DataReadWriter.rotateSecrets(
+      SAMPLE_SECRET,
+      SAMPLE_VECTOR,
+      SAMPLE_SECRET,
+      SAMPLE_VECTOR
+    );
+    DataReadWriter._reset();
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+      journal: true,
+      algorithm: "aes-256-gcm",
+    });
+    SAMPLE_ENTITIES.forEach((e) => {
+      assert.deepEqual(
+        DataReadWriter.readSync(e),
+        e === categoryEntity ? sampleCategoryData : []
+      );
+    });
+  });
+
+  it("should read data written with aes-256-cbc and rewrite it with aes-256-gcm", () => {
+    const categoryEntity = SAMPLE_ENTITIES[0];
+    const filePath = `tests/data/dev/${categoryEntity}.json`;
+    const sampleCategoryData = [{ name: "sampleCategory" }];
+
+    DataReadWriter._resetAndDeleteAllData();
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+    });
+    DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    const legacyFileContent = fs.readFileSync(filePath, "utf-8");
+
+    let error = null;
+    let readData;
+    try {
+      // re-initialize without deleting data files
+      DataReadWriter._reset();
+      DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+        isTestMode: true,
+        algorithm: "aes-256-gcm",
+        migrateFromAlgorithm: "aes-256-cbc",
+      });
+      readData = DataReadWriter.readSync(categoryEntity);
+      DataReadWriter.saveSync(categoryEntity, readData);
+    } catch (e) {
+      console.log(`ERROR: ${e.message || e}`);
+      error = e;
+    }
+    assert.equal(error, null);
+    assert.deepStrictEqual(readData, sampleCategoryData);
+    const fileContent = fs.readFileSync(filePath, "utf-8");
+    assert.notStrictEqual(fileContent, legacyFileContent);
+    assert.deepStrictEqual(
+      DataReadWriter.readSync(categoryEntity),
+      sampleCategoryData
+    );
+  });
+});
+
+describe("Data Read Writer: Key derivation metadata", () => {
+  const metadataFilePath = `tests/data/dev/.jsoncrypt-meta.json`;
+
+  beforeEach(() => {
+    DataReadWriter._resetAndDeleteAllData();
+  });
+
+  after(() => {
+    DataReadWriter._resetAndDeleteAllData();
+  });
+
+  it("should create metadata file with scrypt and a random salt for new databases", () => {
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+    });
+    const metadata = JSON.parse(fs.readFileSync(metadataFilePath, "utf-8"));
+    assert.equal(metadata.kdf, "scrypt");
+    assert.equal(metadata.salt.length, 32);
+    assert.deepStrictEqual(metadata.kdfParams, { N: 16384, r: 8, p: 1 });
+  });
+
+  it("should read data with the salt stored in the metadata file after re-initializing", () => {
+    const categoryEntity = SAMPLE_ENTITIES[0];
+    const sampleCategoryData = [{ name: "sampleCategory" }];
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+      kdf: "pbkdf2",
+      kdfParams: { iterations: 1000 },
+    });
+    DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+
+    let error = null;
+    let readData;
+    try {
+      DataReadWriter._reset();
+      DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+        isTestMode: true,
+      });
+      readData = DataReadWriter.readSync(categoryEntity);
+    } catch (e) {
+      console.log(`ERROR: ${e.message || e}`);
+      error = e;
+    }
+    assert.equal(error, null);
+    assert.deepStrictEqual(readData, sampleCategoryData);
+  });
+
+  it("should throw error when a different kdf is provided for an existing database", () => {
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+    });
+    DataReadWriter._reset();
+    assert.throws(() => {
+      DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+        isTestMode: true,
+        kdf: "legacy",
+      });
+    });
+  });
+
+  it("should use legacy key derivation for existing data without metadata file", () => {
+    const categoryEntity = SAMPLE_ENTITIES[0];
+    const sampleCategoryData = [{ name: "sampleCategory" }];
+    // data written by a version without key derivation metadata
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+      kdf: "legacy",
+    });
+    DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    DataReadWriter._reset();
+    fs.unlinkSync(metadataFilePath);
+
+    let error = null;
+    let readData;
+    try {
+      DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+        isTestMode: true,
+      });
+      readData = DataReadWriter.readSync(categoryEntity);
+    } catch (e) {
+      console.log(`ERROR: ${e.message || e}`);
+      error = e;
+    }
+    assert.equal(error, null);
+    assert.deepStrictEqual(readData, sampleCategoryData);
+    const metadata = JSON.parse(fs.readFileSync(metadataFilePath, "utf-8"));
+    assert.equal(metadata.kdf, "legacy");
+  });
+});
+
+describe("Data Read Writer: File format", () => {
+  const categoryEntity = SAMPLE_ENTITIES[0];
+  const filePath = `tests/data/dev/${categoryEntity}.json`;
+  const sampleCategoryData = [{ name: "sampleCategory" }];
+
+  beforeEach(() => {
+    DataReadWriter._resetAndDeleteAllData();
+  });
+
+  after(() => {
+    DataReadWriter._resetAndDeleteAllData();
+  });
+
+  it("should write files with a header describing cipher and key derivation", () => {
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+      algorithm: "aes-256-gcm",
+    });
+    DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    const { version, header } = FileFormat.decode(fs.readFileSync(filePath));
+    assert.equal(version, FileFormat.FORMAT_VERSION);
+    assert.equal(header.cipher, "aes-256-gcm");
+    assert.equal(header.kdf.name, "scrypt");
+    assert.deepStrictEqual(header.flags, {
+      encoding: "hex",
+      authenticatedHeader: true,
+    });
+  });
+
+  it("should throw integrity error when the header of an aes-256-gcm file is modified", () => {
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+      algorithm: "aes-256-gcm",
+      encoding: "binary",
+    });
+    DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    const { header, payload } = FileFormat.decode(fs.readFileSync(filePath));
+    // the checksum only covers the payload
+    fs.writeFileSync(
+      filePath,
+      FileFormat.encode(
+        { ...header, kdf: { ...header.kdf, params: { N: 1, r: 1, p: 1 } } },
+        payload
+      )
+    );
+    assert.throws(() => {
+      DataReadWriter.readSync(categoryEntity);
+    }, /integrity/);
+    const { authenticatedHeader, ...flags } = header.flags;
+    fs.writeFileSync(
+      filePath,
+      FileFormat.encode({ ...header, flags }, payload)
+    );
+    assert.throws(() => {
+      DataReadWriter.readSync(categoryEntity);
+    }, /integrity/);
+  });
+
+  it("should read legacy files without a header", () => {
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+      kdf: "legacy",
+    });
+    const legacyCryptor = new Cryptor(SAMPLE_SECRET, SAMPLE_VECTOR);
+    fs.writeFileSync(
+      filePath,
+      legacyCryptor.encrypt(JSON.stringify(sampleCategoryData)),
+      { encoding: "utf-8" }
+    );
+    let error = null;
+    let readData;
+    try {
+      readData = DataReadWriter.readSync(categoryEntity);
+    } catch (e) {
+      console.log(`ERROR: ${e.message || e}`);
+      error = e;
+    }
+    assert.equal(error, null);
+    assert.deepStrictEqual(readData, sampleCategoryData);
+  });
+
+  it("should throw error when file header has a different key derivation", () => {
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+    });
+    DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    const { header, payload } = FileFormat.decode(fs.readFileSync(filePath));
+    fs.writeFileSync(
+      filePath,
+      FileFormat.encode(
+        { ...header, kdf: { ...header.kdf, salt: "0000" } },
+        payload
+      )
+    );
+    assert.throws(() => {
+      DataReadWriter.readSync(categoryEntity);
+    }, /key derivation/);
+  });
+});
+
+describe("Data Read Writer: Rotating secrets", () => {
+  const NEW_SECRET = "newSampleSecret";
+  const NEW_VECTOR = "newSampleVector";
+  const directory = `tests/data/dev`;
+  const sampleCategoryData = [{ name: "sampleCategory" }];
+  const sampleCommentData = [{ comment: "sampleComment" }];
+
+  const initializeWithData = (secret, vector) => {
+    DataReadWriter.initialize(secret, vector, SAMPLE_ENTITIES, {
+      isTestMode: true,
+    });
+    DataReadWriter.saveSync(SAMPLE_ENTITIES[0], sampleCategoryData);
+    DataReadWriter.saveSync(SAMPLE_ENTITIES[1], sampleCommentData);
+  };
+
+  const reinitialize = (secret, vector) => {
+    DataReadWriter._reset();
+    DataReadWriter.initialize(secret, vector, SAMPLE_ENTITIES, {
+      isTestMode: true,
+    });
+  };
+
+  beforeEach(() => {
+    DataReadWriter._resetAndDeleteAllData();
+  });
+
+  after(() => {
+    DataReadWriter._resetAndDeleteAllData();
+  });
+
+  it("should re-encrypt all entity files with the new secrets", () => {
+    initializeWithData(SAMPLE_SECRET, SAMPLE_VECTOR);
+    let error = null;
+    try {
+      DataReadWriter.rotateSecrets(
+        SAMPLE_SECRET,
+        SAMPLE_VECTOR,
+        NEW_SECRET,
+        NEW_VECTOR
+      );
+      reinitialize(NEW_SECRET, NEW_VECTOR);
+    } catch (e) {
+      console.log(`ERROR: ${e.message || e}`);
+      error = e;
+    }
+    assert.equal(error, null);
+    assert.deepStrictEqual(
+      DataReadWriter.readSync(SAMPLE_ENTITIES[0]),
+      sampleCategoryData
+    );
+    assert.deepStrictEqual(
+      DataReadWriter.readSync(SAMPLE_ENTITIES[1]),
+      sampleCommentData
+    );
+    assert.equal(fs.existsSync(`${directory}/.jsoncrypt-rotation.json`), false);
+
+    reinitialize(SAMPLE_SECRET, SAMPLE_VECTOR);
+    assert.throws(() => {
+      DataReadWriter.readSync(SAMPLE_ENTITIES[0]);
+    });
+  });
+
+  it("should not create lock files when rotating secrets of other storages", () => {
+    const storage = new MemoryStorage();
+    const lockFiles = [];
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      storage: {
+        read: (key) => storage.read(key),
+        write: (key, bytes) => {
+          lockFiles.push(
+            ...fs.readdirSync(process.cwd()).filter((f) => f.endsWith(".lock"))
+          );
+          storage.write(key, bytes);
+        },
+        delete: (key) => storage.delete(key),
+        list: () => storage.list(),
+      },
+    });
+    DataReadWriter.saveSync(SAMPLE_ENTITIES[0], sampleCategoryData);
+    DataReadWriter.rotateSecrets(
+      SAMPLE_SECRET,
+      SAMPLE_VECTOR,
+      NEW_SECRET,
+      NEW_VECTOR
+    );
+    assert.deepEqual(lockFiles, []);
+    assert.deepStrictEqual(
+      DataReadWriter.readSync(SAMPLE_ENTITIES[0]),
+      sampleCategoryData
+    );
+  });
+
+  it("should migrate key derivation function when rotating secrets", () => {
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+      kdf: "legacy",
+    });
+    DataReadWriter.saveSync(SAMPLE_ENTITIES[0], sampleCategoryData);
+    DataReadWriter.rotateSecrets(
+      SAMPLE_SECRET,
+      SAMPLE_VECTOR,
+      NEW_SECRET,
+      NEW_VECTOR,
+      { kdf: "scrypt" }
+    );
+    reinitialize(NEW_SECRET, NEW_VECTOR);
+    const metadata = JSON.parse(
+      fs.readFileSync(`${directory}/.jsoncrypt-meta.json`, "utf-8")
+    );
+    assert.equal(metadata.kdf, "scrypt");
+    assert.deepStrictEqual(
+      DataReadWriter.readSync(SAMPLE_ENTITIES[0]),
+      sampleCategoryData
+    );
+  });
+
+  it("should throw error and keep existing files when old secrets are invalid", () => {
+    initializeWithData(SAMPLE_SECRET, SAMPLE_VECTOR);
+    const fileContent = fs.readFileSync(`${directory}/categories.json`);
+    assert.throws(() => {
+      DataReadWriter.rotateSecrets(
+        "invalidSecret",
+        SAMPLE_VECTOR,
+        NEW_SECRET,
+        NEW_VECTOR
+      );
+    });
+    assert.deepStrictEqual(
+      fs.readFileSync(`${directory}/categories.json`),
+      fileContent
+    );
+    assert.deepStrictEqual(
+      fs.readdirSync(directory).filter((f) => f.endsWith(".rotating")),
+      []
+    );
+    assert.deepStrictEqual(
+      DataReadWriter.readSync(SAMPLE_ENTITIES[0]),
+      sampleCategoryData
+    );
+  });
+
+  it("should complete a committed rotation that was interrupted on the next initialization", () => {
+    initializeWithData(SAMPLE_SECRET, SAMPLE_VECTOR);
+    const oldCommentsFile = fs.readFileSync(`${directory}/comments.json`);
+    const oldMetadata = fs.readFileSync(`${directory}/.jsoncrypt-meta.json`);
+    DataReadWriter.rotateSecrets(
+      SAMPLE_SECRET,
+      SAMPLE_VECTOR,
+      NEW_SECRET,
+      NEW_VECTOR
+    );
+    const newMetadata = JSON.parse(
+      fs.readFileSync(`${directory}/.jsoncrypt-meta.json`, "utf-8")
+    );
+    const newCategoriesFile = fs.readFileSync(`${directory}/categories.json`);
+    // simulate an interruption after categories.json was moved
+    fs.renameSync(
+      `${directory}/comments.json`,
+      `${directory}/comments.json.rotating`
+    );
+    fs.writeFileSync(`${directory}/comments.json`, oldCommentsFile);
+    fs.writeFileSync(`${directory}/.jsoncrypt-meta.json`, oldMetadata);
+    fs.writeFileSync(
+      `${directory}/.jsoncrypt-rotation.json`,
+      JSON.stringify({
+        metadata: newMetadata,
+        files: ["categories.json", "comments.json"],
+        checksums: [
+          getChecksum(newCategoriesFile),
+          getChecksum(fs.readFileSync(`${directory}/comments.json.rotating`)),
+        ],
+      })
+    );
+
+    let error = null;
+    try {
+      reinitialize(NEW_SECRET, NEW_VECTOR);
+    } catch (e) {
+      console.log(`ERROR: ${e.message || e}`);
+      error = e;
+    }
+    assert.equal(error, null);
+    assert.deepStrictEqual(
+      DataReadWriter.readSync(SAMPLE_ENTITIES[0]),
+      sampleCategoryData
+    );
+    assert.deepStrictEqual(
+      DataReadWriter.readSync(SAMPLE_ENTITIES[1]),
+      sampleCommentData
+    );
+    assert.equal(fs.existsSync(`${directory}/.jsoncrypt-rotation.json`), false);
+  });
+
+  it("should not complete an interrupted rotation with a missing staged file", () => {
+    initializeWithData(SAMPLE_SECRET, SAMPLE_VECTOR);
+    const oldMetadata = fs.readFileSync(`${directory}/.jsoncrypt-meta.json`);
+    fs.writeFileSync(`${directory}/comments.json.rotating`, "staged");
+    // categories.json.rotating was removed, eg. by another process
+    fs.writeFileSync(
+      `${directory}/.jsoncrypt-rotation.json`,
+      JSON.stringify({
+        metadata: { kdf: "scrypt", salt: "00", kdfParams: null },
+        files: ["categories.json", "comments.json"],
+        checksums: [getChecksum("staged"), getChecksum("staged")],
+      })
+    );
+    DataReadWriter._reset();
+    assert.throws(() => {
+      DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+        isTestMode: true,
+      });
+    }, /staged file \[categories.json.rotating\] is missing/);
+    assert.deepEqual(
+      fs.readFileSync(`${directory}/.jsoncrypt-meta.json`),
+      oldMetadata
+    );
+    assert.ok(fs.existsSync(`${directory}/comments.json.rotating`));
+    fs.rmSync(`${directory}/.jsoncrypt-rotation.json`);
+    reinitialize(SAMPLE_SECRET, SAMPLE_VECTOR);
+    assert.deepStrictEqual(
+      DataReadWriter.readSync(SAMPLE_ENTITIES[0]),
+      sampleCategoryData
+    );
+  });
+
+  it("should discard an uncommitted rotation on the next initialization", () => {
+    initializeWithData(SAMPLE_SECRET, SAMPLE_VECTOR);
+    fs.writeFileSync(`${directory}/categories.json.rotating`, "partial");
+
+    reinitialize(SAMPLE_SECRET, SAMPLE_VECTOR);
+    assert.equal(fs.existsSync(`${directory}/categories.json.rotating`), false);
+    assert.deepStrictEqual(
+      DataReadWriter.readSync(SAMPLE_ENTITIES[0]),
+      sampleCategoryData
+    );
+  });
+});
+
+describe("Data Read Writer: Custom cryptors", () => {
+  const categoryEntity = SAMPLE_ENTITIES[0];
+  const filePath = `tests/data/dev/${categoryEntity}.json`;
+  const sampleCategoryData = [{ name: "sampleCategory" }];
+
+  const createBase64Cryptor = (calls) => {
+    return {
+      getAlgorithm: () => "base64",
+      encrypt: (dataStr) => {
+        calls.push("encrypt");
+        return Buffer.from(dataStr).toString("base64");
+      },
+      decrypt: (dataStr) => {
+        calls.push("decrypt");
+        return Buffer.from(dataStr, "base64").toString("utf-8");
+      },
+      encryptAsync: async (dataStr) => {
+        calls.push("encryptAsync");
+        return Buffer.from(dataStr).toString("base64");
+      },
+      decryptAsync: async (dataStr) => {
+        calls.push("decryptAsync");
+        return Buffer.from(dataStr, "base64").toString("utf-8");
+      },
+    };
+  };
+
+  beforeEach(() => {
+    DataReadWriter._resetAndDeleteAllData();
+  });
+
+  after(() => {
+    DataReadWriter._resetAndDeleteAllData();
+  });
+
+  it("should read and write data with a custom cryptor without secrets", async () => {
+    const calls = [];
+    let error = null;
+    let syncReadData;
+    let asyncReadData;
+    try {
+      DataReadWriter.initialize(null, null, SAMPLE_ENTITIES, {
+        isTestMode: true,
+        cryptor: createBase64Cryptor(calls),
+      });
+      DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+      syncReadData = DataReadWriter.readSync(categoryEntity);
+      await DataReadWriter.saveAsync(categoryEntity, sampleCategoryData);
+      asyncReadData = await DataReadWriter.readAsync(categoryEntity);
+    } catch (e) {
+      console.log(`ERROR: ${e.message || e}`);
+      error = e;
+    }
+    assert.equal(error, null);
+    assert.deepStrictEqual(syncReadData, sampleCategoryData);
+    assert.deepStrictEqual(asyncReadData, sampleCategoryData);
+    assert.equal(calls.includes("encryptAsync"), true);
+    assert.equal(calls.includes("decryptAsync"), true);
+    const { header } = FileFormat.decode(fs.readFileSync(filePath));
+    assert.equal(header.cipher, "base64");
+  });
+
+  it("should store data unencrypted with the none cryptor", () => {
+    DataReadWriter.initialize(null, null, SAMPLE_ENTITIES, {
+      isTestMode: true,
+      cryptor: "none",
+    });
+    DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    const { payload } = FileFormat.decode(fs.readFileSync(filePath));
+    assert.deepStrictEqual(
+      JSON.parse(payload.toString("utf-8")),
+      sampleCategoryData
+    );
+    assert.deepStrictEqual(
+      DataReadWriter.readSync(categoryEntity),
+      sampleCategoryData
+    );
+  });
+
+  it("should throw error when an invalid cryptor is given", () => {
+    assert.throws(() => {
+      DataReadWriter.initialize(null, null, SAMPLE_ENTITIES, {
+        isTestMode: true,
+        cryptor: { encrypt: (dataStr) => dataStr },
+      });
+    });
+  });
+
+  it("should throw error when reading data written with a different cryptor", () => {
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+    });
+    DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    DataReadWriter._reset();
+    DataReadWriter.initialize(null, null, SAMPLE_ENTITIES, {
+      isTestMode: true,
+      cryptor: "none",
+    });
+    assert.throws(() => {
+      DataReadWriter.readSync(categoryEntity);
+    }, /cipher/);
+  });
+});
+
+describe("Data Read Writer: Envelope encryption", () => {
+  const NEW_SECRET = "newSampleSecret";
+  const NEW_VECTOR = "newSampleVector";
+  const directory = `tests/data/dev`;
+  const sampleCategoryData = [{ name: "sampleCategory" }];
+  const sampleCommentData = [{ comment: "sampleComment" }];
+
+  const initialize = (secret, vector) => {
+    DataReadWriter.initialize(secret, vector, SAMPLE_ENTITIES, {
+      isTestMode: true,
+      envelope: true,
+    });
+  };
+
+  beforeEach(() => {
+    DataReadWriter._resetAndDeleteAllData();
+  });
+
+  after(() => {
+    DataReadWriter._resetAndDeleteAllData();
+  });
+
+  it("should encrypt every entity with its own wrapped data key", () => {
+    let error = null;
+    let readData;
+    try {
+      initialize(SAMPLE_SECRET, SAMPLE_VECTOR);
+      DataReadWriter.saveSync(SAMPLE_ENTITIES[0], sampleCategoryData);
+      DataReadWriter.saveSync(SAMPLE_ENTITIES[1], sampleCommentData);
+      DataReadWriter._reset();
+      initialize(SAMPLE_SECRET, SAMPLE_VECTOR);
+      readData = DataReadWriter.readSync(SAMPLE_ENTITIES[0]);
+    } catch (e) {
+      console.log(`ERROR: ${e.message || e}`);
+      error = e;
+    }
+    assert.equal(error, null);
+    assert.deepStrictEqual(readData, sampleCategoryData);
+
+    const categoriesHeader = FileFormat.decode(
+      fs.readFileSync(`${directory}/categories.json`)
+    ).header;
+    const commentsHeader = FileFormat.decode(
+      fs.readFileSync(`${directory}/comments.json`)
+    ).header;
+    assert.equal(categoriesHeader.flags.envelope, true);
+    assert.equal(categoriesHeader.cipher, "aes-256-gcm");
+    assert.equal(categoriesHeader.dataKey.cipher, "aes-256-cbc");
+    assert.notEqual(
+      categoriesHeader.dataKey.wrapped,
+      commentsHeader.dataKey.wrapped
+    );
+  });
+
+  it("should keep the data key of an entity between writes", async () => {
+    initialize(SAMPLE_SECRET, SAMPLE_VECTOR);
+    DataReadWriter.saveSync(SAMPLE_ENTITIES[0], sampleCategoryData);
+    const firstHeader = FileFormat.decode(
+      fs.readFileSync(`${directory}/categories.json`)
+    ).header;
+    await DataReadWriter.saveAsync(SAMPLE_ENTITIES[0], sampleCategoryData);
+    const secondHeader = FileFormat.decode(
+      fs.readFileSync(`${directory}/categories.json`)
+    ).header;
+    assert.equal(firstHeader.dataKey.wrapped, secondHeader.dataKey.wrapped);
+    assert.deepStrictEqual(
+      await DataReadWriter.readAsync(SAMPLE_ENTITIES[0]),
+      sampleCategoryData
+    );
+  });
+
+  it("should only re-wrap data keys when rotating secrets", () => {
+    initialize(SAMPLE_SECRET, SAMPLE_VECTOR);
+    DataReadWriter.saveSync(SAMPLE_ENTITIES[0], sampleCategoryData);
+    const before = FileFormat.decode(
+      fs.readFileSync(`${directory}/categories.json`)
+    );
+    DataReadWriter.rotateSecrets(
+      SAMPLE_SECRET,
+      SAMPLE_VECTOR,
+      NEW_SECRET,
+      NEW_VECTOR
+    );
+    const after = FileFormat.decode(
+      fs.readFileSync(`${directory}/categories.json`)
+    );
+    assert.deepStrictEqual(after.payload, before.payload);
+    assert.notEqual(
+      after.header.dataKey.wrapped,
+      before.header.dataKey.wrapped
+    );
+
+    DataReadWriter._reset();
+    initialize(NEW_SECRET, NEW_VECTOR);
+    assert.deepStrictEqual(
+      DataReadWriter.readSync(SAMPLE_ENTITIES[0]),
+      sampleCategoryData
+    );
+  });
+
+  it("should read files written without envelope encryption", () => {
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+    });
+    DataReadWriter.saveSync(SAMPLE_ENTITIES[0], sampleCategoryData);
+    DataReadWriter._reset();
+    initialize(SAMPLE_SECRET, SAMPLE_VECTOR);
+    const readData = DataReadWriter.readSync(SAMPLE_ENTITIES[0]);
+    DataReadWriter.saveSync(SAMPLE_ENTITIES[0], readData);
+    const { header } = FileFormat.decode(
+      fs.readFileSync(`${directory}/categories.json`)
+    );
+    assert.deepStrictEqual(readData, sampleCategoryData);
+    assert.equal(header.flags.envelope, true);
+  });
+});
+
+describe("Data Read Writer: Encrypted field values", () => {
+  beforeEach(() => {
+    DataReadWriter._resetAndDeleteAllData();
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+    });
+  });
+
+  after(() => {
+    DataReadWriter._resetAndDeleteAllData();
+  });
+
+  it("should encrypt and decrypt field values of any type", () => {
+    ["john@mail.com", 1234, { nested: true }].forEach((value) => {
+      const encryptedValue = DataReadWriter.encryptFieldValue(value);
+      assert.equal(DataReadWriter.isEncryptedFieldValue(encryptedValue), true);
+      assert.deepStrictEqual(
+        DataReadWriter.decryptFieldValue(encryptedValue),
+        value
+      );
+    });
+    assert.equal(DataReadWriter.isEncryptedFieldValue("plain"), false);
+    assert.equal(DataReadWriter.decryptFieldValue("plain"), "plain");
+  });
+
+  it("should keep field values readable after re-initializing and rotating secrets", () => {
+    const encryptedValue = DataReadWriter.encryptFieldValue("john@mail.com");
+    DataReadWriter.rotateSecrets(
+      SAMPLE_SECRET,
+      SAMPLE_VECTOR,
+      "newSampleSecret",
+      "newSampleVector"
+    );
+    DataReadWriter._reset();
+    DataReadWriter.initialize(
+      "newSampleSecret",
+      "newSampleVector",
+      SAMPLE_ENTITIES,
+      {
+        isTestMode: true,
+      }
+    );
+    assert.equal(
+      DataReadWriter.decryptFieldValue(encryptedValue),
+      "john@mail.com"
+    );
+  });
+});
+
+describe("Data Read Writer: Compression and payload encoding", () => {
+  const categoryEntity = SAMPLE_ENTITIES[0];
+  const filePath = `tests/data/dev/${categoryEntity}.json`;
+  const sampleCategoryData = Array.from({ length: 50 }, (_, i) => ({
+    name: `sampleCategory${i}`,
+    description: "A repetitive description which compresses well.",
+  }));
+
+  const initialize = (options) => {
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+      ...options,
+    });
+  };
+
+  beforeEach(() => {
+    DataReadWriter._resetAndDeleteAllData();
+  });
+
+  after(() => {
+    DataReadWriter._resetAndDeleteAllData();
+  });
+
+  it("should read and write compressed data in every encoding", async () => {
+    const combinations = [
+      { compression: "gzip", encoding: "binary" },
+      { compression: "brotli", encoding: "base64" },
+      { compression: "gzip", encoding: "hex" },
+      { compression: "brotli", encoding: "binary", algorithm: "aes-256-gcm" },
+      { compression: "gzip", encoding: "base64", envelope: true },
+    ];
+    for (const options of combinations) {
+      DataReadWriter._resetAndDeleteAllData();
+      let error = null;
+      let syncReadData;
+      let asyncReadData;
+      try {
+        initialize(options);
+        DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+        syncReadData = DataReadWriter.readSync(categoryEntity);
+        await DataReadWriter.saveAsync(categoryEntity, sampleCategoryData);
+        asyncReadData = await DataReadWriter.readAsync(categoryEntity);
+      } catch (e) {
+        console.log(`ERROR: ${e.message || e}`);
+        error = e;
+      }
+      assert.equal(error, null);
+      assert.deepEqual(syncReadData, sampleCategoryData);
+      assert.deepEqual(asyncReadData, sampleCategoryData);
+      const { header } = FileFormat.decode(fs.readFileSync(filePath));
+      assert.equal(header.flags.compression, options.compression);
+      assert.equal(header.flags.encoding, options.encoding);
+    }
+  });
+
+  it("should write smaller files when compressed and binary encoded", () => {
+    initialize({});
+    DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    const uncompressedSize = fs.statSync(filePath).size;
+    DataReadWriter._reset();
+    initialize({ compression: "gzip", encoding: "binary" });
+    DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    assert.ok(fs.statSync(filePath).size < uncompressedSize / 4);
+  });
+
+  it("should read existing uncompressed files after compression is enabled", () => {
+    initialize({});
+    DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    DataReadWriter._reset();
+    let error = null;
+    let readData;
+    try {
+      initialize({ compression: "brotli", encoding: "base64" });
+      readData = DataReadWriter.readSync(categoryEntity);
+    } catch (e) {
+      console.log(`ERROR: ${e.message || e}`);
+      error = e;
+    }
+    assert.equal(error, null);
+    assert.deepEqual(readData, sampleCategoryData);
+    const { header } = FileFormat.decode(fs.readFileSync(filePath));
+    assert.deepEqual(header.flags, { encoding: "hex" });
+  });
+
+  it("should compress data for custom cryptors", async () => {
+    DataReadWriter.initialize(null, null, SAMPLE_ENTITIES, {
+      isTestMode: true,
+      cryptor: "none",
+      compression: "gzip",
+      encoding: "binary",
+    });
+    DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    const { header } = FileFormat.decode(fs.readFileSync(filePath));
+    assert.deepEqual(header.flags, { encoding: "utf-8", compression: "gzip" });
+    assert.deepEqual(
+      DataReadWriter.readSync(categoryEntity),
+      sampleCategoryData
+    );
+    assert.deepEqual(
+      await DataReadWriter.readAsync(categoryEntity),
+      sampleCategoryData
+    );
+  });
+
+  it("should throw error when compression or encoding is not supported", () => {
+    assert.throws(() => {
+      initialize({ compression: "zip" });
+    }, /Unsupported compression/);
+    DataReadWriter._reset();
+    assert.throws(() => {
+      initialize({ encoding: "utf-16" });
+    }, /Unsupported encoding/);
+  });
+});
+
+describe("Data Read Writer: Data directory", () => {
+  const categoryEntity = SAMPLE_ENTITIES[0];
+  const sampleCategoryData = [{ name: "sampleCategory" }];
+  const absoluteDataDir = `${os.tmpdir()}/jsoncrypt-db-test-${process.pid}`;
+  const relativeDataDir = "tests/data/custom";
+
+  beforeEach(() => {
+    DataReadWriter._resetAndDeleteAllData();
+  });
+
+  after(() => {
+    DataReadWriter._resetAndDeleteAllData();
+    fs.rmSync(absoluteDataDir, { recursive: true, force: true });
+    fs.rmSync(relativeDataDir, { recursive: true, force: true });
+  });
+
+  it("should store data in the env subfolder of an absolute data directory", () => {
+    let error = null;
+    try {
+      DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+        env: "prod",
+        dataDir: absoluteDataDir,
+      });
+      DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    } catch (e) {
+      console.log(`ERROR: ${e.message || e}`);
+      error = e;
+    }
+    assert.equal(error, null);
+    assert.equal(
+      DataReadWriter.getEntityFilesMap()[categoryEntity],
+      `${absoluteDataDir}/prod/${categoryEntity}.json`
+    );
+    assert.ok(fs.existsSync(`${absoluteDataDir}/prod/${categoryEntity}.json`));
+    assert.deepEqual(
+      DataReadWriter.readSync(categoryEntity),
+      sampleCategoryData
+    );
+  });
+
+  it("should resolve a relative data directory against the working directory", () => {
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+      dataDir: relativeDataDir,
+    });
+    assert.equal(
+      DataReadWriter.getEntityFilesMap()[categoryEntity],
+      `${path.resolve(relativeDataDir)}/dev/${categoryEntity}.json`
+    );
+  });
+
+  it("should throw error when the data directory is not writable", () => {
+    const filePath = `${os.tmpdir()}/jsoncrypt-db-test-file-${process.pid}`;
+    fs.writeFileSync(filePath, "");
+    try {
+      assert.throws(() => {
+        DataReadWriter.initialize(
+          SAMPLE_SECRET,
+          SAMPLE_VECTOR,
+          SAMPLE_ENTITIES,
+          { dataDir: filePath }
+        );
+      }, /is not writable/);
+      DataReadWriter._reset();
+      assert.throws(() => {
+        DataReadWriter.initialize(
+          SAMPLE_SECRET,
+          SAMPLE_VECTOR,
+          SAMPLE_ENTITIES,
+          { dataDir: 42 }
+        );
+      }, /Option \[dataDir\]/);
+    } finally {
+      fs.unlinkSync(filePath);
+    }
+  });
+});
+
+describe("Data Read Writer: Atomic writes", () => {
+  const categoryEntity = SAMPLE_ENTITIES[0];
+  const directory = `tests/data/dev`;
+  const filePath = `${directory}/${categoryEntity}.json`;
+  const sampleCategoryData = [{ name: "sampleCategory" }];
+  const newCategoryData = [{ name: "newCategory" }];
+
+  const initialize = () => {
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+    });
+  };
+
+  const getTemporaryFiles = () => {
+    return fs.readdirSync(directory).filter((f) => f.endsWith(".tmp"));
+  };
+
+  beforeEach(() => {
+    DataReadWriter._resetAndDeleteAllData();
+  });
+
+  after(() => {
+    DataReadWriter._resetAndDeleteAllData();
+  });
+
+  it("should not leave temporary files behind after saving", async () => {
+    initialize();
+    DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    await DataReadWriter.saveAsync(categoryEntity, newCategoryData);
+    assert.deepEqual(getTemporaryFiles(), []);
+    assert.deepEqual(DataReadWriter.readSync(categoryEntity), newCategoryData);
+  });
+
+  it("should keep the previous file intact when a write fails", async () => {
+    initialize();
+    DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    const previousFile = fs.readFileSync(filePath);
+    const { renameSync } = fs;
+    const { rename } = fs.promises;
+    fs.renameSync = () => {
+      throw new Error("Simulated crash");
+    };
+    fs.promises.rename = async () => {
+      throw new Error("Simulated crash");
+    };
+    try {
+      assert.throws(() => {
+        DataReadWriter.saveSync(categoryEntity, newCategoryData);
+      }, /Simulated crash/);
+      await assert.rejects(
+        DataReadWriter.saveAsync(categoryEntity, newCategoryData),
+        /Simulated crash/
+      );
+    } finally {
+      fs.renameSync = renameSync;
+      fs.promises.rename = rename;
+    }
+    assert.deepEqual(fs.readFileSync(filePath), previousFile);
+    assert.deepEqual(getTemporaryFiles(), []);
+  });
+
+  it("should remove stale leftover temporary files on initialization", () => {
+    initialize();
+    DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    DataReadWriter._reset();
+    const leftoverFilePath = `${filePath}.0123456789ab.tmp`;
+    const pendingFilePath = `${filePath}.ba9876543210.tmp`;
+    fs.writeFileSync(leftoverFilePath, "truncated");
+    fs.writeFileSync(pendingFilePath, "pending");
+    const staleTime = new Date(Date.now() - 60000);
+    fs.utimesSync(leftoverFilePath, staleTime, staleTime);
+    initialize();
+    assert.equal(fs.existsSync(leftoverFilePath), false);
+    // may belong to a write of another process in progress
+    assert.equal(fs.existsSync(pendingFilePath), true);
+    fs.rmSync(pendingFilePath);
+    assert.deepEqual(
+      DataReadWriter.readSync(categoryEntity),
+      sampleCategoryData
+    );
+  });
+});
+
+describe("Data Read Writer: File locking", () => {
+  const categoryEntity = SAMPLE_ENTITIES[0];
+  const directory = `tests/data/dev`;
+  const filePath = `${directory}/${categoryEntity}.json`;
+  const lockFilePath = `${filePath}.lock`;
+  const sampleCategoryData = [{ name: "sampleCategory" }];
+
+  const initialize = (options = {}) => {
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+      ...options,
+    });
+  };
+
+  const writeLockFile = (pid) => {
+    fs.writeFileSync(
+      lockFilePath,
+      JSON.stringify({ pid, hostname: os.hostname(), createdAt: Date.now() })
+    );
+  };
+
+  beforeEach(() => {
+    DataReadWriter._resetAndDeleteAllData();
+  });
+
+  afterEach(() => {
+    fs.rmSync(lockFilePath, { force: true });
+  });
+
+  after(() => {
+    DataReadWriter._resetAndDeleteAllData();
+  });
+
+  it("should release locks after reading and writing", async () => {
+    initialize();
+    DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    DataReadWriter.readSync(categoryEntity);
+    await Promise.all([
+      DataReadWriter.saveAsync(categoryEntity, sampleCategoryData),
+      DataReadWriter.readAsync(categoryEntity),
+    ]);
+    assert.deepEqual(
+      fs.readdirSync(directory).filter((f) => f.endsWith(".lock")),
+      []
+    );
+  });
+
+  it("should throw error when a lock held by another process times out", async () => {
+    initialize({ lockTimeout: 100 });
+    // the parent process of the test runner is alive for the whole test
+    writeLockFile(process.ppid);
+    assert.throws(() => {
+      DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    }, new RegExp(`Timed out after 100ms .* held by process \\[${process.ppid}\\]`));
+    await assert.rejects(
+      DataReadWriter.readAsync(categoryEntity),
+      /Timed out after 100ms/
+    );
+    assert.ok(fs.existsSync(lockFilePath));
+  });
+
+  it("should take over a lock of a process which is no longer running", () => {
+    initialize({ lockTimeout: 100 });
+    const { pid } = childProcess.spawnSync(process.execPath, ["-e", ""]);
+    writeLockFile(pid);
+    let error = null;
+    try {
+      DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    } catch (e) {
+      console.log(`ERROR: ${e.message || e}`);
+      error = e;
+    }
+    assert.equal(error, null);
+    assert.equal(fs.existsSync(lockFilePath), false);
+  });
+
+  it("should take over a lock older than the stale lock timeout", () => {
+    initialize({ lockTimeout: 100, staleLockTimeout: 1000 });
+    writeLockFile(process.ppid);
+    const oldDate = new Date(Date.now() - 5000);
+    fs.utimesSync(lockFilePath, oldDate, oldDate);
+    let error = null;
+    try {
+      DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    } catch (e) {
+      console.log(`ERROR: ${e.message || e}`);
+      error = e;
+    }
+    assert.equal(error, null);
+    assert.deepEqual(
+      DataReadWriter.readSync(categoryEntity),
+      sampleCategoryData
+    );
+  });
+
+  it("should not take over a lock taken by another process after a stale lock", () => {
+    initialize({ lockTimeout: 100, staleLockTimeout: 1000 });
+    writeLockFile(process.ppid);
+    const oldDate = new Date(Date.now() - 5000);
+    fs.utimesSync(lockFilePath, oldDate, oldDate);
+    const { renameSync } = fs;
+    // another process takes over the stale lock first, and takes it again
+    fs.renameSync = (from, to) => {
+      fs.renameSync = renameSync;
+      fs.rmSync(lockFilePath);
+      writeLockFile(process.ppid);
+      renameSync(from, to);
+    };
+    try {
+      assert.throws(() => {
+        DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+      }, /Timed out after 100ms/);
+    } finally {
+      fs.renameSync = renameSync;
+    }
+    assert.ok(fs.existsSync(lockFilePath));
+    assert.deepEqual(
+      fs.readdirSync(directory).filter((f) => f.endsWith(".stale")),
+      []
+    );
+  });
+
+  it("should throw error when lock options are invalid", () => {
+    assert.throws(() => {
+      initialize({ lockTimeout: -1 });
+    }, /Option \[lockTimeout\]/);
+  });
+});
+
+describe("Data Read Writer: Journal", () => {
+  const NEW_SECRET = "newSampleSecret";
+  const NEW_VECTOR = "newSampleVector";
+  const categoryEntity = SAMPLE_ENTITIES[0];
+  const directory = `tests/data/dev`;
+  const filePath = `${directory}/${categoryEntity}.json`;
+  const journalFilePath = `${directory}/${categoryEntity}.journal`;
+  const sampleCategoryData = [
+    { id: "1", name: "sampleCategory1" },
+    { id: "2", name: "sampleCategory2" },
+  ];
+  const operations = [
+    { op: "create", key: "id", id: "3", data: { id: "3", name: "created" } },
+    { op: "update", key: "id", id: "1", data: { id: "1", name: "updated" } },
+    { op: "delete", key: "id", id: "2" },
+  ];
+  const expectedData = [
+    { id: "1", name: "updated" },
+    { id: "3", name: "created" },
+  ];
+
+  const initialize = (secret = SAMPLE_SECRET, vector = SAMPLE_VECTOR) => {
+    DataReadWriter.initialize(secret, vector, SAMPLE_ENTITIES, {
+      isTestMode: true,
+      journal: true,
+    });
+  };
+
+  beforeEach(async () => {
+    DataReadWriter._resetAndDeleteAllData();
+    initialize();
+    DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    await DataReadWriter.appendToJournalAsync(categoryEntity, operations);
+  });
+
+  after(() => {
+    DataReadWriter._resetAndDeleteAllData();
+  });
+
+  it("should replay the journal on top of the entity file", async () => {
+    DataReadWriter._reset();
+    initialize();
+    assert.deepEqual(DataReadWriter.readSync(categoryEntity), expectedData);
+    assert.deepEqual(
+      await DataReadWriter.readAsync(categoryEntity),
+      expectedData
+    );
+    const journal = fs.readFileSync(journalFilePath, "utf-8");
+    assert.equal(journal.includes("updated"), false);
+  });
+
+  it("should fold the journal into the entity file when saving", () => {
+    DataReadWriter.saveSync(
+      categoryEntity,
+      DataReadWriter.readSync(categoryEntity)
+    );
+    assert.equal(fs.existsSync(journalFilePath), false);
+    const { header } = FileFormat.decode(fs.readFileSync(filePath));
+    assert.ok(header.journal);
+    assert.deepEqual(DataReadWriter.readSync(categoryEntity), expectedData);
+  });
+
+  it("should remove an already folded journal left behind by a crash", () => {
+    const journal = fs.readFileSync(journalFilePath);
+    DataReadWriter.saveSync(
+      categoryEntity,
+      DataReadWriter.readSync(categoryEntity)
+    );
+    // simulate a crash after the entity file was written
+    fs.writeFileSync(journalFilePath, journal);
+    DataReadWriter._reset();
+    initialize();
+    assert.equal(fs.existsSync(journalFilePath), false);
+    assert.deepEqual(DataReadWriter.readSync(categoryEntity), expectedData);
+  });
+
+  it("should drop the incomplete record of an interrupted append", async () => {
+    fs.appendFileSync(journalFilePath, '"0123abc');
+    DataReadWriter._reset();
+    initialize();
+    assert.deepEqual(DataReadWriter.readSync(categoryEntity), expectedData);
+    await DataReadWriter.appendToJournalAsync(categoryEntity, [
+      { op: "delete", key: "id", id: "3" },
+    ]);
+    assert.deepEqual(DataReadWriter.readSync(categoryEntity), [
+      { id: "1", name: "updated" },
+    ]);
+  });
+
+  it("should re-encrypt journals when rotating secrets", () => {
+    DataReadWriter.rotateSecrets(
+      SAMPLE_SECRET,
+      SAMPLE_VECTOR,
+      NEW_SECRET,
+      NEW_VECTOR
+    );
+    DataReadWriter._reset();
+    initialize(NEW_SECRET, NEW_VECTOR);
+    assert.ok(fs.existsSync(journalFilePath));
+    assert.deepEqual(DataReadWriter.readSync(categoryEntity), expectedData);
+  });
+
+  it("should throw error when appending without the journal option", async () => {
+    DataReadWriter._reset();
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+    });
+    // existing journals are still replayed
+    assert.deepEqual(DataReadWriter.readSync(categoryEntity), expectedData);
+    await assert.rejects(
+      DataReadWriter.appendToJournalAsync(categoryEntity, operations),
+      /Journal is not enabled/
+    );
+  });
+});
+
+describe("Data Read Writer: Snapshots", () => {
+  const NEW_SECRET = "newSampleSecret";
+  const NEW_VECTOR = "newSampleVector";
+  const categoryEntity = SAMPLE_ENTITIES[0];
+  const commentEntity = SAMPLE_ENTITIES[1];
+  const directory = `tests/data/dev`;
+  const snapshotsDirectory = `${directory}/.snapshots`;
+  const sampleCategoryData = [
+    { id: "1", name: "sampleCategory1" },
+    { id: "2", name: "sampleCategory2" },
+  ];
+  const sampleCommentData = [{ id: "1", text: "sampleComment1" }];
+
+  const initialize = (options = {}) => {
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+      ...options,
+    });
+  };
+
+  const backdateSnapshot = (id, days) => {
+    const manifestPath = `${snapshotsDirectory}/${id}/snapshot.json`;
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+    manifest.createdAt = new Date(
+      Date.now() - days * 24 * 60 * 60 * 1000
+    ).toISOString();
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+  };
+
+  beforeEach(() => {
+    DataReadWriter._resetAndDeleteAllData();
+    initialize();
+    DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    DataReadWriter.saveSync(commentEntity, sampleCommentData);
+  });
+
+  after(() => {
+    DataReadWriter._resetAndDeleteAllData();
+  });
+
+  it("should copy the entity files into a snapshot folder", () => {
+    const snapshot = DataReadWriter.snapshotSync("sample");
+    assert.equal(snapshot.label, "sample");
+    assert.deepEqual(snapshot.files.sort(), [
+      `${categoryEntity}.json`,
+      `${commentEntity}.json`,
+    ]);
+    assert.deepEqual(
+      fs.readFileSync(
+        `${snapshotsDirectory}/${snapshot.id}/${categoryEntity}.json`
+      ),
+      fs.readFileSync(`${directory}/${categoryEntity}.json`)
+    );
+    assert.deepEqual(DataReadWriter.listSnapshots(), [snapshot]);
+  });
+
+  it("should list snapshots newest first, and ignore incomplete snapshots", () => {
+    const first = DataReadWriter.snapshotSync();
+    const second = DataReadWriter.snapshotSync();
+    fs.mkdirSync(`${snapshotsDirectory}/incomplete`);
+    assert.deepEqual(
+      DataReadWriter.listSnapshots().map((s) => s.id),
+      [second.id, first.id]
+    );
+    assert.equal(first.label, null);
+    DataReadWriter._reset();
+    initialize();
+    assert.equal(fs.existsSync(`${snapshotsDirectory}/incomplete`), false);
+  });
+
+  it("should not remove a snapshot which another process is writing", () => {
+    DataReadWriter.snapshotSync();
+    DataReadWriter._reset();
+    fs.mkdirSync(`${snapshotsDirectory}/in-progress`);
+    // the parent process of the test runner is alive for the whole test
+    fs.writeFileSync(
+      `${snapshotsDirectory}.lock`,
+      JSON.stringify({
+        pid: process.ppid,
+        hostname: os.hostname(),
+        createdAt: Date.now(),
+      })
+    );
+    try {
+      assert.throws(() => {
+        initialize({ lockTimeout: 100 });
+      }, /Timed out after 100ms/);
+      assert.ok(fs.existsSync(`${snapshotsDirectory}/in-progress`));
+    } finally {
+      fs.rmSync(`${snapshotsDirectory}.lock`, { force: true });
+    }
+    DataReadWriter._reset();
+    initialize();
+    assert.equal(fs.existsSync(`${snapshotsDirectory}/in-progress`), false);
+  });
+
+  it("should restore the entity files of a snapshot", () => {
+    const snapshot = DataReadWriter.snapshotSync();
+    DataReadWriter.saveSync(categoryEntity, []);
+    DataReadWriter.saveSync(commentEntity, []);
+    DataReadWriter.restoreSnapshotSync(snapshot.id);
+    assert.deepEqual(
+      DataReadWriter.readSync(categoryEntity),
+      sampleCategoryData
+    );
+    assert.deepEqual(DataReadWriter.readSync(commentEntity), sampleCommentData);
+    const [preRestore] = DataReadWriter.listSnapshots();
+    assert.equal(preRestore.label, "pre-restore");
+    DataReadWriter.restoreSnapshotSync(preRestore.id);
+    assert.deepEqual(DataReadWriter.readSync(categoryEntity), []);
+  });
+
+  it("should restore journals along with the entity files", async () => {
+    DataReadWriter._reset();
+    initialize({ journal: true });
+    await DataReadWriter.appendToJournalAsync(categoryEntity, [
+      { op: "delete", key: "id", id: "2" },
+    ]);
+    const snapshot = DataReadWriter.snapshotSync();
+    assert.ok(snapshot.files.includes(`${categoryEntity}.journal`));
+    await DataReadWriter.appendToJournalAsync(categoryEntity, [
+      { op: "delete", key: "id", id: "1" },
+    ]);
+    await DataReadWriter.appendToJournalAsync(commentEntity, [
+      { op: "delete", key: "id", id: "1" },
+    ]);
+    DataReadWriter.restoreSnapshotSync(snapshot.id);
+    assert.deepEqual(DataReadWriter.readSync(categoryEntity), [
+      sampleCategoryData[0],
+    ]);
+    assert.deepEqual(DataReadWriter.readSync(commentEntity), sampleCommentData);
+    assert.equal(fs.existsSync(`${directory}/${commentEntity}.journal`), false);
+  });
+
+  it("should keep only the newest snapshots with option [keepLast]", () => {
+    DataReadWriter._reset();
+    initialize({ snapshotRetention: { keepLast: 2 } });
+    DataReadWriter.snapshotSync("1");
+    DataReadWriter.snapshotSync("2");
+    DataReadWriter.snapshotSync("3");
+    assert.deepEqual(
+      DataReadWriter.listSnapshots().map((s) => s.label),
+      ["3", "2"]
+    );
+  });
+
+  it("should remove old snapshots with option [maxAgeDays]", () => {
+    DataReadWriter._reset();
+    initialize({ snapshotRetention: { maxAgeDays: 7 } });
+    const old = DataReadWriter.snapshotSync("old");
+    backdateSnapshot(old.id, 8);
+    DataReadWriter.snapshotSync("new");
+    assert.deepEqual(
+      DataReadWriter.listSnapshots().map((s) => s.label),
+      ["new"]
+    );
+  });
+
+  it("should take a snapshot on initialization with option [snapshotOnBuild]", () => {
+    DataReadWriter._reset();
+    initialize({ snapshotOnBuild: true });
+    const [snapshot] = DataReadWriter.listSnapshots();
+    assert.equal(snapshot.label, "build");
+  });
+
+  it("should throw error for invalid retention options", () => {
+    DataReadWriter._reset();
+    assert.throws(
+      () => initialize({ snapshotRetention: { keepLast: 0 } }),
+      /keepLast/
+    );
+    assert.throws(
+      () => initialize({ snapshotRetention: { maxAgeDays: "7" } }),
+      /maxAgeDays/
+    );
+  });
+
+  it("should throw error when restoring an unknown snapshot", () => {
+    assert.throws(
+      () => DataReadWriter.restoreSnapshotSync("unknown"),
+      /Snapshot \[unknown\] does not exist/
+    );
+  });
+
+  it("should not restore a snapshot taken before rotating secrets", () => {
+    const snapshot = DataReadWriter.snapshotSync();
+    DataReadWriter.rotateSecrets(
+      SAMPLE_SECRET,
+      SAMPLE_VECTOR,
+      NEW_SECRET,
+      NEW_VECTOR
+    );
+    assert.throws(() => DataReadWriter.restoreSnapshotSync(snapshot.id));
+    assert.deepEqual(
+      DataReadWriter.readSync(categoryEntity),
+      sampleCategoryData
+    );
+  });
+});
+
+describe("Data Read Writer: Corruption recovery", () => {
+  const categoryEntity = SAMPLE_ENTITIES[0];
+  const directory = `tests/data/dev`;
+  const filePath = `${directory}/${categoryEntity}.json`;
+  const journalFilePath = `${directory}/${categoryEntity}.journal`;
+  const sampleCategoryData = [
+    { id: "1", name: "sampleCategory1" },
+    { id: "2", name: "sampleCategory2" },
+  ];
+
+  const initialize = (options = {}) => {
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+      ...options,
+    });
+  };
+
+  const corruptFile = () => {
+    const buffer = fs.readFileSync(filePath);
+    // flip a bit of the payload
+    buffer[buffer.length - 1] = buffer[buffer.length - 1] ^ 1;
+    fs.writeFileSync(filePath, buffer);
+  };
+
+  beforeEach(() => {
+    DataReadWriter._resetAndDeleteAllData();
+    // left behind by a failed initialization
+    fs.rmSync(filePath, { force: true });
+    initialize();
+    DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+  });
+
+  after(() => {
+    DataReadWriter._resetAndDeleteAllData();
+    fs.rmSync(filePath, { force: true });
+  });
+
+  it("should write the checksum of the payload into the file header", () => {
+    const { header, payload } = FileFormat.decode(fs.readFileSync(filePath));
+    assert.equal(
+      header.checksum,
+      require("crypto").createHash("sha256").update(payload).digest("hex")
+    );
+  });
+
+  it("should throw integrity error when reading a corrupt file", () => {
+    corruptFile();
+    assert.throws(
+      () => DataReadWriter.readSync(categoryEntity),
+      /checksum does not match/
+    );
+  });
+
+  it("should fail initialization on a corrupt file by default", () => {
+    corruptFile();
+    DataReadWriter._reset();
+    assert.throws(
+      () => initialize(),
+      /Data file of entity \[categories\] is corrupt/
+    );
+  });
+
+  it("should quarantine a corrupt file and start the entity empty", () => {
+    corruptFile();
+    const corruptBuffer = fs.readFileSync(filePath);
+    DataReadWriter._reset();
+    initialize({ onCorruption: "quarantine" });
+    assert.deepEqual(DataReadWriter.readSync(categoryEntity), []);
+    assert.deepEqual(fs.readFileSync(`${filePath}.corrupt`), corruptBuffer);
+    const [recovered] = DataReadWriter.getRecoveredEntities();
+    assert.equal(recovered.entity, categoryEntity);
+    assert.equal(recovered.recovery, "quarantine");
+    assert.equal(DataReadWriter.getRecoveredEntities().length, 1);
+  });
+
+  it("should quarantine a truncated file", () => {
+    fs.writeFileSync(filePath, fs.readFileSync(filePath).subarray(0, 12));
+    DataReadWriter._reset();
+    initialize({ onCorruption: "quarantine" });
+    assert.deepEqual(DataReadWriter.readSync(categoryEntity), []);
+  });
+
+  it("should fall back to the newest readable snapshot", async () => {
+    DataReadWriter._reset();
+    initialize({ journal: true });
+    const older = DataReadWriter.snapshotSync();
+    await DataReadWriter.appendToJournalAsync(categoryEntity, [
+      { op: "delete", key: "id", id: "2" },
+    ]);
+    const newer = DataReadWriter.snapshotSync();
+    fs.writeFileSync(
+      `${directory}/.snapshots/${newer.id}/${categoryEntity}.json`,
+      "corrupt"
+    );
+    await DataReadWriter.appendToJournalAsync(categoryEntity, [
+      { op: "delete", key: "id", id: "1" },
+    ]);
+    corruptFile();
+    DataReadWriter._reset();
+    initialize({ journal: true, onCorruption: "snapshot" });
+    assert.deepEqual(
+      DataReadWriter.readSync(categoryEntity),
+      sampleCategoryData
+    );
+    assert.ok(fs.existsSync(`${journalFilePath}.corrupt`));
+    assert.equal(fs.existsSync(journalFilePath), false);
+    const [recovered] = DataReadWriter.getRecoveredEntities();
+    assert.equal(recovered.recovery, "snapshot");
+    assert.equal(recovered.snapshotId, older.id);
+  });
+
+  it("should fail initialization when no snapshot can be read", () => {
+    corruptFile();
+    DataReadWriter._reset();
+    assert.throws(
+      () => initialize({ onCorruption: "snapshot" }),
+      /no snapshot has a readable copy/
+    );
+  });
+
+  it("should not quarantine a file read with the wrong secrets", () => {
+    DataReadWriter._reset();
+    assert.throws(() => {
+      DataReadWriter.initialize("wrongSecret", SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+        isTestMode: true,
+        onCorruption: "quarantine",
+      });
+      DataReadWriter.readSync(categoryEntity);
+    });
+    assert.deepEqual(DataReadWriter.getRecoveredEntities(), []);
+    assert.equal(fs.existsSync(`${filePath}.corrupt`), false);
+  });
+
+  it("should quarantine an entity with a corrupt chunk", () => {
+    const sharding = { [categoryEntity]: { maxRecords: 1 } };
+    DataReadWriter._reset();
+    initialize({ sharding });
+    DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    const [chunkFileName] = fs
+      .readdirSync(directory)
+      .filter((f) => f.startsWith(`${categoryEntity}.chunk-`));
+    const chunkFilePath = `${directory}/${chunkFileName}`;
+    const buffer = fs.readFileSync(chunkFilePath);
+    buffer[buffer.length - 1] = buffer[buffer.length - 1] ^ 1;
+    fs.writeFileSync(chunkFilePath, buffer);
+    DataReadWriter._reset();
+    assert.throws(() => initialize({ sharding }), /Chunk \[/);
+    DataReadWriter._reset();
+    initialize({ sharding, onCorruption: "quarantine" });
+    assert.deepEqual(DataReadWriter.readSync(categoryEntity), []);
+    assert.deepEqual(fs.readFileSync(`${chunkFilePath}.corrupt`), buffer);
+    assert.equal(fs.existsSync(chunkFilePath), false);
+    assert.equal(DataReadWriter.getRecoveredEntities().length, 1);
+  });
+
+  it("should quarantine an entity with an unreadable journal", async () => {
+    DataReadWriter._reset();
+    initialize({ journal: true });
+    await DataReadWriter.appendToJournalAsync(categoryEntity, [
+      { op: "delete", key: "id", id: "2" },
+    ]);
+    fs.appendFileSync(journalFilePath, "unreadable\n");
+    DataReadWriter._reset();
+    assert.throws(() => initialize({ journal: true }), /Journal: /);
+    DataReadWriter._reset();
+    initialize({ journal: true, onCorruption: "quarantine" });
+    assert.deepEqual(DataReadWriter.readSync(categoryEntity), []);
+    assert.ok(fs.existsSync(`${journalFilePath}.corrupt`));
+    assert.equal(fs.existsSync(journalFilePath), false);
+  });
+
+  it("should quarantine corrupt chunks of other storages", () => {
+    const storage = new MemoryStorage();
+    const sharding = { [categoryEntity]: { maxRecords: 1 } };
+    DataReadWriter._reset();
+    initialize({ storage, sharding });
+    DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    const [chunkKey] = storage
+      .list()
+      .filter((key) => key.startsWith(`${categoryEntity}.chunk-`));
+    storage.delete(chunkKey);
+    DataReadWriter._reset();
+    initialize({ storage, sharding, onCorruption: "quarantine" });
+    assert.deepEqual(DataReadWriter.readSync(categoryEntity), []);
+    assert.match(
+      DataReadWriter.getRecoveredEntities()[0].reason,
+      /Data file is missing/
+    );
+    assert.ok(storage.list().includes(`${categoryEntity}.corrupt`));
+    // corrupt copies of chunks are not removed as orphan chunks
+    DataReadWriter._reset();
+    initialize({ storage, sharding, onCorruption: "quarantine" });
+    assert.deepEqual(DataReadWriter.getRecoveredEntities(), []);
+    assert.ok(
+      storage
+        .list()
+        .some(
+          (key) =>
+            key.startsWith(`${categoryEntity}.chunk-`) &&
+            key.endsWith(".corrupt")
+        )
+    );
+  });
+
+  it("should throw error for an unsupported [onCorruption] option", () => {
+    DataReadWriter._reset();
+    assert.throws(
+      () => initialize({ onCorruption: "ignore" }),
+      /Option \[onCorruption\] must be one of/
+    );
+  });
+});
+
+describe("Data Read Writer: Multiple instances", () => {
+  const categoryEntity = SAMPLE_ENTITIES[0];
+  const otherDataReadWriter = DataReadWriter.createDataReadWriter();
+
+  beforeEach(() => {
+    DataReadWriter._resetAndDeleteAllData();
+    otherDataReadWriter._resetAndDeleteAllData();
+  });
+
+  after(() => {
+    DataReadWriter._resetAndDeleteAllData();
+    otherDataReadWriter._resetAndDeleteAllData();
+  });
+
+  it("should keep the state of every instance isolated", () => {
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+    });
+    assert.ok(!otherDataReadWriter.isInitialized());
+    otherDataReadWriter.initialize(
+      "otherSecret",
+      "otherVector",
+      [categoryEntity],
+      { isTestMode: true, env: "other" }
+    );
+    DataReadWriter.saveSync(categoryEntity, [{ id: "1" }]);
+    otherDataReadWriter.saveSync(categoryEntity, [{ id: "2" }]);
+    assert.deepEqual(DataReadWriter.readSync(categoryEntity), [{ id: "1" }]);
+    assert.deepEqual(otherDataReadWriter.readSync(categoryEntity), [
+      { id: "2" },
+    ]);
+    assert.deepEqual(Object.keys(otherDataReadWriter.getEntityFilesMap()), [
+      categoryEntity,
+    ]);
+  });
+});
+
+describe("Data Read Writer: Storage", () => {
+  const NEW_SECRET = "newSampleSecret";
+  const NEW_VECTOR = "newSampleVector";
+  const categoryEntity = SAMPLE_ENTITIES[0];
+  const sampleCategoryData = [
+    { id: "1", name: "sampleCategory1" },
+    { id: "2", name: "sampleCategory2" },
+  ];
+
+  const createMapStorage = () => {
+    const items = new Map();
+    return {
+      items,
+      read: (key) => (items.has(key) ? items.get(key) : null),
+      write: (key, bytes) => {
+        items.set(key, bytes);
+      },
+      delete: (key) => {
+        items.delete(key);
+      },
+      list: () => [...items.keys()],
+    };
+  };
+
+  beforeEach(() => {
+    DataReadWriter._resetAndDeleteAllData();
+  });
+
+  after(() => {
+    DataReadWriter._resetAndDeleteAllData();
+  });
+
+  it("should keep data in memory with the [memory] storage", async () => {
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      env: "memory",
+      isTestMode: true,
+      storage: "memory",
+    });
+    DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    assert.deepEqual(
+      DataReadWriter.readSync(categoryEntity),
+      sampleCategoryData
+    );
+    await DataReadWriter.saveAsync(categoryEntity, [sampleCategoryData[0]]);
+    assert.deepEqual(await DataReadWriter.readAsync(categoryEntity), [
+      sampleCategoryData[0],
+    ]);
+    assert.equal(fs.existsSync("tests/data/memory"), false);
+    assert.equal(DataReadWriter.getEntityFilesMap()[categoryEntity], null);
+  });
+
+  it("should read and write encrypted bytes with a custom storage", () => {
+    const storage = createMapStorage();
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      storage,
+    });
+    DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    assert.deepEqual(storage.list().sort(), [
+      ".jsoncrypt-meta",
+      ...SAMPLE_ENTITIES,
+    ]);
+    const bytes = storage.read(categoryEntity);
+    assert.ok(FileFormat.hasHeader(bytes));
+    assert.equal(bytes.toString("utf-8").includes("sampleCategory1"), false);
+    // a new instance reads the stored data
+    DataReadWriter._reset();
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      storage,
+    });
+    assert.deepEqual(
+      DataReadWriter.readSync(categoryEntity),
+      sampleCategoryData
+    );
+    DataReadWriter.dropSync(categoryEntity);
+    assert.equal(storage.read(categoryEntity), null);
+    DataReadWriter._dropAllSync();
+    assert.deepEqual(storage.list(), []);
+  });
+
+  it("should use the async methods of a custom storage when available", async () => {
+    const storage = createMapStorage();
+    let asyncCalls = 0;
+    storage.readAsync = async (key) => {
+      asyncCalls++;
+      return storage.read(key);
+    };
+    storage.writeAsync = async (key, bytes) => {
+      asyncCalls++;
+      storage.write(key, bytes);
+    };
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      storage,
+    });
+    await DataReadWriter.saveAsync(categoryEntity, sampleCategoryData);
+    assert.deepEqual(
+      await DataReadWriter.readAsync(categoryEntity),
+      sampleCategoryData
+    );
+    assert.equal(asyncCalls, 2);
+  });
+
+  it("should rotate secrets and encrypt fields with a custom storage", () => {
+    const storage = createMapStorage();
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      storage,
+    });
+    const encryptedValue = DataReadWriter.encryptFieldValue("secret");
+    DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    DataReadWriter.rotateSecrets(
+      SAMPLE_SECRET,
+      SAMPLE_VECTOR,
+      NEW_SECRET,
+      NEW_VECTOR
+    );
+    DataReadWriter._reset();
+    DataReadWriter.initialize(NEW_SECRET, NEW_VECTOR, SAMPLE_ENTITIES, {
+      storage,
+    });
+    assert.deepEqual(
+      DataReadWriter.readSync(categoryEntity),
+      sampleCategoryData
+    );
+    assert.equal(DataReadWriter.decryptFieldValue(encryptedValue), "secret");
+  });
+
+  it("should complete an interrupted secret rotation with a custom storage", () => {
+    const storage = createMapStorage();
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      storage,
+    });
+    DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    DataReadWriter.saveSync(SAMPLE_ENTITIES[1], sampleCategoryData);
+    const write = storage.write;
+    // the process stops after the rotation is committed
+    storage.write = (key, bytes) => {
+      if (key === SAMPLE_ENTITIES[1]) {
+        throw new Error("Interrupted");
+      }
+      write(key, bytes);
+    };
+    assert.throws(() => {
+      DataReadWriter.rotateSecrets(
+        SAMPLE_SECRET,
+        SAMPLE_VECTOR,
+        NEW_SECRET,
+        NEW_VECTOR
+      );
+    }, /Interrupted/);
+    storage.write = write;
+    DataReadWriter._reset();
+    DataReadWriter.initialize(NEW_SECRET, NEW_VECTOR, SAMPLE_ENTITIES, {
+      storage,
+    });
+    SAMPLE_ENTITIES.slice(0, 2).forEach((e) => {
+      assert.deepEqual(DataReadWriter.readSync(e), sampleCategoryData);
+    });
+    assert.deepEqual(
+      storage.list().filter((key) => key.includes("rotat")),
+      []
+    );
+  });
+
+  it("should discard an uncommitted secret rotation with a custom storage", () => {
+    const storage = createMapStorage();
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      storage,
+    });
+    DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    const write = storage.write;
+    // the process stops before the rotation is committed
+    storage.write = (key, bytes) => {
+      if (key === ".jsoncrypt-rotation") {
+        throw new Error("Interrupted");
+      }
+      write(key, bytes);
+    };
+    assert.throws(() => {
+      DataReadWriter.rotateSecrets(
+        SAMPLE_SECRET,
+        SAMPLE_VECTOR,
+        NEW_SECRET,
+        NEW_VECTOR
+      );
+    }, /Interrupted/);
+    storage.write = write;
+    DataReadWriter._reset();
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      storage,
+    });
+    assert.deepEqual(
+      DataReadWriter.readSync(categoryEntity),
+      sampleCategoryData
+    );
+    assert.deepEqual(
+      storage.list().filter((key) => key.includes("rotat")),
+      []
+    );
+  });
+
+  it("should throw error for file based features with other storages", () => {
+    assert.throws(() => {
+      DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+        storage: "memory",
+        journal: true,
+      });
+    }, /Option \[journal\] is only supported with the "filesystem" storage/);
+    DataReadWriter._reset();
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      storage: "memory",
+    });
+    assert.throws(
+      () => DataReadWriter.snapshotSync(),
+      /Snapshots is only supported/
+    );
+  });
+
+  it("should throw error for an invalid [storage] option", () => {
+    assert.throws(() => {
+      DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+        storage: { read: () => null },
+      });
+    }, /Option \[storage\] must be/);
+  });
+
+  it("should reject custom storages which return a Promise", () => {
+    const storage = createMapStorage();
+    assert.throws(() => {
+      DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+        storage: { ...storage, list: async () => storage.list() },
+      });
+    }, /Method \[list\] of option \[storage\] returned a Promise/);
+    DataReadWriter._reset();
+    // the data of new entities is written on initialization
+    assert.throws(() => {
+      DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+        storage: {
+          ...storage,
+          write: async (key, bytes) => storage.write(key, bytes),
+        },
+      });
+    }, /Method \[write\] of option \[storage\] returned a Promise/);
+  });
+});
+
+describe("Data Read Writer: External changes", () => {
+  const categoryEntity = SAMPLE_ENTITIES[0];
+  const otherDataReadWriter = DataReadWriter.createDataReadWriter();
+
+  beforeEach(() => {
+    DataReadWriter._resetAndDeleteAllData();
+    otherDataReadWriter._reset();
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+    });
+    otherDataReadWriter.initialize(
+      SAMPLE_SECRET,
+      SAMPLE_VECTOR,
+      SAMPLE_ENTITIES,
+      { isTestMode: true }
+    );
+  });
+
+  after(() => {
+    otherDataReadWriter._reset();
+    DataReadWriter._resetAndDeleteAllData();
+  });
+
+  it("should tell changes by another process apart from its own writes", async () => {
+    DataReadWriter.readSync(categoryEntity);
+    assert.equal(DataReadWriter.hasChangedExternally(categoryEntity), false);
+    await DataReadWriter.saveAsync(categoryEntity, [{ id: "1" }]);
+    assert.equal(DataReadWriter.hasChangedExternally(categoryEntity), false);
+    otherDataReadWriter.saveSync(categoryEntity, [{ id: "2" }]);
+    assert.equal(DataReadWriter.hasChangedExternally(categoryEntity), true);
+    DataReadWriter.readSync(categoryEntity);
+    assert.equal(DataReadWriter.hasChangedExternally(categoryEntity), false);
+  });
+
+  it("should not take reads which bypass memory into account", async () => {
+    DataReadWriter.readSync(categoryEntity);
+    otherDataReadWriter.saveSync(categoryEntity, [{ id: "2" }]);
+    await DataReadWriter.readAsync(categoryEntity);
+    await DataReadWriter.readChunksAsync(categoryEntity, () => {});
+    assert.equal(DataReadWriter.hasChangedExternally(categoryEntity), true);
+  });
+});
+
+describe("Data Read Writer: Sharding", () => {
+  const categoryEntity = SAMPLE_ENTITIES[0];
+  const dataDirectory = `${__dirname}/data/dev`;
+  const sampleCategoryData = [1, 2, 3, 4, 5, 6, 7].map((i) => ({
+    id: `${i}`,
+    name: `sampleCategory${i}`,
+  }));
+
+  const listChunkFiles = () =>
+    fs
+      .readdirSync(dataDirectory)
+      .filter((f) => f.startsWith(`${categoryEntity}.chunk-`))
+      .sort();
+
+  beforeEach(() => {
+    DataReadWriter._resetAndDeleteAllData();
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+      sharding: { [categoryEntity]: { maxRecords: 3 } },
+    });
+  });
+
+  after(() => {
+    DataReadWriter._resetAndDeleteAllData();
+  });
+
+  it("should split a sharded entity into chunks listed by a manifest", () => {
+    DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    assert.equal(listChunkFiles().length, 3);
+    const fileContent = fs.readFileSync(
+      `${dataDirectory}/${categoryEntity}.json`,
+      "utf-8"
+    );
+    assert.equal(fileContent.includes("sampleCategory1"), false);
+    assert.deepEqual(
+      DataReadWriter.readSync(categoryEntity),
+      sampleCategoryData
+    );
+  });
+
+  it("should only rewrite the changed chunks", async () => {
+    DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    const chunkFiles = listChunkFiles();
+    const data = DataReadWriter.readSync(categoryEntity);
+    data[4] = { ...data[4], name: "changedCategory" };
+    await DataReadWriter.saveAsync(categoryEntity, data);
+    const newChunkFiles = listChunkFiles();
+    assert.equal(newChunkFiles.length, 3);
+    assert.equal(
+      newChunkFiles.filter((f) => !chunkFiles.includes(f)).length,
+      1
+    );
+    assert.deepEqual(await DataReadWriter.readAsync(categoryEntity), data);
+  });
+
+  it("should split chunks by size with [maxBytes]", () => {
+    DataReadWriter._reset();
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+      sharding: { [categoryEntity]: { maxBytes: 80 } },
+    });
+    DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    // every record is 35 bytes of JSON, so 2 fit into a chunk
+    assert.equal(listChunkFiles().length, 4);
+    assert.deepEqual(
+      DataReadWriter.readSync(categoryEntity),
+      sampleCategoryData
+    );
+  });
+
+  it("should read a sharded entity chunk by chunk", async () => {
+    DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    const chunks = [];
+    await DataReadWriter.readChunksAsync(categoryEntity, (records) => {
+      chunks.push(records);
+    });
+    assert.deepEqual(
+      chunks.map((c) => c.length),
+      [3, 3, 1]
+    );
+    assert.deepEqual(chunks.flat(), sampleCategoryData);
+  });
+
+  it("should remove chunks left behind by an interrupted save", () => {
+    DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    const chunkFiles = listChunkFiles();
+    fs.copyFileSync(
+      `${dataDirectory}/${chunkFiles[0]}`,
+      `${dataDirectory}/${categoryEntity}.chunk-0000orphan.json`
+    );
+    DataReadWriter._reset();
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+      sharding: { [categoryEntity]: { maxRecords: 3 } },
+    });
+    assert.deepEqual(listChunkFiles(), chunkFiles);
+  });
+
+  it("should snapshot, restore and rotate the chunks of a sharded entity", () => {
+    DataReadWriter.saveSync(categoryEntity, sampleCategoryData);
+    const snapshot = DataReadWriter.snapshotSync();
+    DataReadWriter.saveSync(categoryEntity, [sampleCategoryData[0]]);
+    assert.equal(listChunkFiles().length, 1);
+    DataReadWriter.restoreSnapshotSync(snapshot.id);
+    assert.equal(listChunkFiles().length, 3);
+    DataReadWriter.rotateSecrets(
+      SAMPLE_SECRET,
+      SAMPLE_VECTOR,
+      "newSampleSecret",
+      "newSampleVector"
+    );
+    assert.deepEqual(
+      DataReadWriter.readSync(categoryEntity),
+      sampleCategoryData
+    );
+    DataReadWriter.dropSync(categoryEntity);
+    assert.deepEqual(listChunkFiles(), []);
+  });
+
+  it("should throw error for an invalid [sharding] option", () => {
+    DataReadWriter._reset();
+    let error = null;
+    try {
+      DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+        isTestMode: true,
+        sharding: { [categoryEntity]: { maxRecords: 0 } },
+      });
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.notEqual(error, null);
+  });
+});
+
+describe("Data Read Writer: Durability", () => {
+  const categoryEntity = SAMPLE_ENTITIES[0];
+  const commentEntity = SAMPLE_ENTITIES[1];
+  const dataDirectory = path.resolve(`${__dirname}/data/dev`);
+  const originalFsyncSync = fs.fsyncSync;
+  const originalOpen = fs.promises.open;
+  let fsyncCount = 0;
+  let openedDirectories = [];
+
+  const initialize = (options = {}) => {
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+      ...options,
+    });
+    fsyncCount = 0;
+    openedDirectories = [];
+  };
+
+  beforeEach(() => {
+    DataReadWriter._resetAndDeleteAllData();
+    fs.fsyncSync = (fd) => {
+      fsyncCount++;
+      return originalFsyncSync(fd);
+    };
+    fs.promises.open = (filePath, ...args) => {
+      if (path.resolve(filePath) === dataDirectory) {
+        openedDirectories.push(filePath);
+      }
+      return originalOpen(filePath, ...args);
+    };
+  });
+
+  afterEach(() => {
+    fs.fsyncSync = originalFsyncSync;
+    fs.promises.open = originalOpen;
+  });
+
+  after(() => {
+    DataReadWriter._resetAndDeleteAllData();
+  });
+
+  it("should flush every write with the [fsync] durability", async () => {
+    initialize({ durability: "fsync" });
+    DataReadWriter.saveSync(categoryEntity, [{ id: "1" }]);
+    assert.ok(fsyncCount > 0);
+    await DataReadWriter.saveAsync(categoryEntity, [{ id: "2" }]);
+    assert.equal(openedDirectories.length, 1);
+  });
+
+  it("should not flush writes with the [none] durability by default", async () => {
+    initialize();
+    DataReadWriter.saveSync(categoryEntity, [{ id: "1" }]);
+    await DataReadWriter.saveAsync(commentEntity, [{ id: "2" }]);
+    assert.equal(fsyncCount, 0);
+    assert.equal(openedDirectories.length, 0);
+    assert.deepEqual(DataReadWriter.readSync(categoryEntity), [{ id: "1" }]);
+  });
+
+  it("should flush writes within the window together with the [batched] durability", async () => {
+    initialize({ durability: "batched", durabilityWindow: 20 });
+    await Promise.all([
+      DataReadWriter.saveAsync(categoryEntity, [{ id: "1" }]),
+      DataReadWriter.saveAsync(commentEntity, [{ id: "2" }]),
+    ]);
+    // the shared data directory is flushed once
+    assert.equal(openedDirectories.length, 1);
+    assert.deepEqual(await DataReadWriter.readAsync(categoryEntity), [
+      { id: "1" },
+    ]);
+    assert.deepEqual(await DataReadWriter.readAsync(commentEntity), [
+      { id: "2" },
+    ]);
+    assert.deepEqual(
+      fs.readdirSync(dataDirectory).filter((f) => f.endsWith(".tmp")),
+      []
+    );
+  });
+
+  it("should override the durability by entity", async () => {
+    initialize({
+      durability: "none",
+      entityDurability: { [categoryEntity]: "fsync" },
+    });
+    DataReadWriter.saveSync(commentEntity, [{ id: "1" }]);
+    assert.equal(fsyncCount, 0);
+    DataReadWriter.saveSync(categoryEntity, [{ id: "1" }]);
+    assert.ok(fsyncCount > 0);
+  });
+
+  it("should throw error for an unsupported [durability] option", () => {
+    let error = null;
+    try {
+      initialize({ durability: "sometimes" });
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.notEqual(error, null);
+  });
+});
+
+describe("Data Read Writer: Renaming entities", () => {
+  const categoryEntity = SAMPLE_ENTITIES[0];
+  const commentEntity = SAMPLE_ENTITIES[1];
+  const newEntity = "reviews";
+  const dataDirectory = `${__dirname}/data/dev`;
+
+  beforeEach(() => {
+    DataReadWriter._resetAndDeleteAllData();
+  });
+
+  after(() => {
+    DataReadWriter._resetAndDeleteAllData();
+  });
+
+  it("should move the data file, chunks and journal of an entity", async () => {
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+      envelope: true,
+      journal: true,
+      sharding: { [commentEntity]: { maxRecords: 1 } },
+    });
+    DataReadWriter.saveSync(commentEntity, [{ id: "1" }, { id: "2" }]);
+    await DataReadWriter.appendToJournalAsync(commentEntity, [
+      { op: "create", key: "id", id: "3", data: { id: "3" } },
+    ]);
+    DataReadWriter.renameSync(commentEntity, newEntity);
+    assert.deepEqual(Object.keys(DataReadWriter.getEntityFilesMap()), [
+      categoryEntity,
+      newEntity,
+    ]);
+    assert.deepEqual(
+      fs.readdirSync(dataDirectory).filter((f) => f.startsWith(commentEntity)),
+      []
+    );
+    assert.deepEqual(DataReadWriter.readSync(newEntity), [
+      { id: "1" },
+      { id: "2" },
+      { id: "3" },
+    ]);
+    DataReadWriter._reset();
+    DataReadWriter.initialize(
+      SAMPLE_SECRET,
+      SAMPLE_VECTOR,
+      [categoryEntity, newEntity],
+      { isTestMode: true, envelope: true, journal: true }
+    );
+    assert.equal(DataReadWriter.readSync(newEntity).length, 3);
+  });
+
+  it("should move the data of an entity with other storages", () => {
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      storage: "memory",
+    });
+    DataReadWriter.saveSync(commentEntity, [{ id: "1" }]);
+    DataReadWriter.renameSync(commentEntity, newEntity);
+    assert.deepEqual(DataReadWriter.readSync(newEntity), [{ id: "1" }]);
+  });
+
+  it("should throw error when data is stored for the new entity", () => {
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+    });
+    let error = null;
+    try {
+      DataReadWriter.renameSync(commentEntity, categoryEntity);
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.notEqual(error, null);
+    assert.ok(fs.existsSync(`${dataDirectory}/${commentEntity}.json`));
+  });
+});
+
+describe("Data Read Writer: Autoincrement sequences", () => {
+  const categoryEntity = SAMPLE_ENTITIES[0];
+  const commentEntity = SAMPLE_ENTITIES[1];
+
+  beforeEach(() => {
+    DataReadWriter._resetAndDeleteAllData();
+  });
+
+  after(() => {
+    DataReadWriter._resetAndDeleteAllData();
+  });
+
+  it("should store sequences in the metadata across restarts", () => {
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+    });
+    assert.equal(DataReadWriter.getSequenceSync(categoryEntity), null);
+    assert.equal(DataReadWriter.reserveSequenceSync(categoryEntity, 3), 0);
+    assert.equal(DataReadWriter.reserveSequenceSync(commentEntity, 0, 7), 7);
+    DataReadWriter._reset();
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+    });
+    assert.equal(DataReadWriter.getSequenceSync(categoryEntity), 3);
+    DataReadWriter.renameSync(commentEntity, "reviews");
+    assert.equal(DataReadWriter.getSequenceSync("reviews"), 7);
+    DataReadWriter.dropSync(categoryEntity);
+    DataReadWriter._reset();
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+    });
+    assert.equal(DataReadWriter.getSequenceSync(categoryEntity), null);
+  });
+
+  it("should reserve distinct values for several processes", () => {
+    const otherDataReadWriter = DataReadWriter.createDataReadWriter();
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+    });
+    otherDataReadWriter.initialize(
+      SAMPLE_SECRET,
+      SAMPLE_VECTOR,
+      SAMPLE_ENTITIES,
+      { isTestMode: true }
+    );
+    try {
+      assert.equal(DataReadWriter.reserveSequenceSync(categoryEntity, 2), 0);
+      assert.equal(
+        otherDataReadWriter.reserveSequenceSync(categoryEntity, 1, 1),
+        2
+      );
+      assert.equal(DataReadWriter.reserveSequenceSync(categoryEntity, 1), 3);
+      assert.equal(DataReadWriter.getSequenceSync(categoryEntity), 4);
+    } finally {
+      otherDataReadWriter._reset();
+    }
+  });
+
+  it("should wait for the metadata lock to reserve values", () => {
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      isTestMode: true,
+      lockTimeout: 100,
+    });
+    const lockFilePath = "tests/data/dev/.jsoncrypt-meta.json.lock";
+    // the parent process of the test runner is alive for the whole test
+    fs.writeFileSync(
+      lockFilePath,
+      JSON.stringify({
+        pid: process.ppid,
+        hostname: os.hostname(),
+        createdAt: Date.now(),
+      })
+    );
+    try {
+      assert.throws(() => {
+        DataReadWriter.reserveSequenceSync(categoryEntity, 1);
+      }, /Timed out after 100ms/);
+    } finally {
+      fs.rmSync(lockFilePath, { force: true });
+    }
+    assert.equal(DataReadWriter.reserveSequenceSync(categoryEntity, 1), 0);
+  });
+
+  it("should throw error for invalid sequence values", () => {
+    DataReadWriter.initialize(SAMPLE_SECRET, SAMPLE_VECTOR, SAMPLE_ENTITIES, {
+      storage: "memory",
+    });
+    let error = null;
+    try {
+      DataReadWriter.reserveSequenceSync(categoryEntity, 1.5);
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.notEqual(error, null);
+  });
+});
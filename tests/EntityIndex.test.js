@@ -0,0 +1,91 @@
+const assert = require("assert");
+const EntityIndex = require("../EntityIndex");
+
+const SAMPLE_BOOKS = [
+  { isbn: "1", author: "Jane", year: 2020, tags: ["node"] },
+  { isbn: "2", author: "John", year: 2021, tags: ["node", "security"] },
+  { isbn: "3", author: "Jane", year: 2021 },
+];
+
+describe("EntityIndex: Lookups", () => {
+  it("should find positions by identifier", () => {
+    const index = new EntityIndex("isbn");
+    index.build(SAMPLE_BOOKS);
+    assert.equal(index.isBuiltFor(SAMPLE_BOOKS), true);
+    assert.equal(index.isBuiltFor([...SAMPLE_BOOKS]), false);
+    assert.deepEqual(index.findPositions({ isbn: "2" }), [1]);
+    assert.deepEqual(index.findPositions({ isbn: "4" }), []);
+  });
+
+  it("should find positions by equality, $eq and $in conditions on indexed fields", () => {
+    const index = new EntityIndex("isbn", ["author", "tags"]);
+    index.build(SAMPLE_BOOKS);
+    assert.deepEqual(index.findPositions({ author: "Jane" }), [0, 2]);
+    assert.deepEqual(index.findPositions({ author: { $eq: "John" } }), [1]);
+    assert.deepEqual(
+      index.findPositions({ author: { $in: ["John", "Jane"] } }),
+      [0, 1, 2]
+    );
+    assert.deepEqual(index.findPositions({ tags: "node" }), [0, 1]);
+    assert.deepEqual(index.findPositions({ tags: null }), [2]);
+  });
+
+  it("should find positions with compound indexes", () => {
+    const index = new EntityIndex("isbn", [["author", "year"]]);
+    index.build(SAMPLE_BOOKS);
+    assert.deepEqual(index.findPositions({ author: "Jane", year: 2021 }), [2]);
+    assert.deepEqual(
+      index.findPositions({ author: "Jane", year: { $in: [2020, 2021] } }),
+      [0, 2]
+    );
+    // a compound index needs conditions on all its fields
+    assert.equal(index.findPositions({ author: "Jane" }), null);
+  });
+
+  it("should not find positions without conditions on indexed fields", () => {
+    const index = new EntityIndex("isbn", ["author"]);
+    index.build(SAMPLE_BOOKS);
+    assert.equal(index.findPositions({ year: 2021 }), null);
+    assert.equal(index.findPositions({ author: { $ne: "Jane" } }), null);
+    assert.equal(index.findPositions({ $or: [{ author: "Jane" }] }), null);
+  });
+});
+
+describe("EntityIndex: Updates", () => {
+  it("should index added and replaced data objects", () => {
+    const index = new EntityIndex("isbn", ["author"]);
+    const data = [...SAMPLE_BOOKS];
+    index.build(data);
+    const added = { isbn: "4", author: "Joe" };
+    const updatedData = [...data, added];
+    index.add(added, 3, updatedData);
+    assert.equal(index.isBuiltFor(updatedData), true);
+    assert.deepEqual(index.findPositions({ author: "Joe" }), [3]);
+    const replaced = { ...SAMPLE_BOOKS[0], author: "Joe" };
+    index.replace(SAMPLE_BOOKS[0], replaced, 0, updatedData);
+    assert.deepEqual(index.findPositions({ author: "Joe" }), [0, 3]);
+    assert.deepEqual(index.findPositions({ author: "Jane" }), [2]);
+  });
+});
+
+describe("EntityIndex: Duplicates", () => {
+  it("should find data objects with the same values of indexed fields", () => {
+    const index = new EntityIndex("isbn", [["author", "year"]]);
+    index.build(SAMPLE_BOOKS);
+    assert.equal(index.findDuplicate({ isbn: "2" }, "isbn"), 1);
+    assert.equal(index.findDuplicate(SAMPLE_BOOKS[1], "isbn", 1), -1);
+    assert.equal(
+      index.findDuplicate({ author: "Jane", year: 2021 }, ["author", "year"]),
+      2
+    );
+    assert.equal(
+      index.findDuplicate({ author: "Joe", year: 2021 }, ["author", "year"]),
+      -1
+    );
+    // data objects without a value for every field have no duplicates
+    assert.equal(
+      index.findDuplicate({ author: "Jane" }, ["author", "year"]),
+      -1
+    );
+  });
+});
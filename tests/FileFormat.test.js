@@ -0,0 +1,61 @@
+const assert = require("assert");
+const FileFormat = require("../FileFormat");
+
+const SAMPLE_HEADER = {
+  cipher: "aes-256-gcm",
+  kdf: { name: "scrypt", salt: "abcd", params: { N: 16384, r: 8, p: 1 } },
+  flags: { encoding: "hex" },
+};
+const SAMPLE_PAYLOAD = "0a1b2c3d";
+
+describe("File Format: Encoding", () => {
+  it("should prepend magic bytes, format version and header to the payload", () => {
+    const buffer = FileFormat.encode(SAMPLE_HEADER, SAMPLE_PAYLOAD);
+    assert.equal(buffer.subarray(0, 4).toString("utf-8"), "JCDB");
+    assert.equal(buffer.readUInt8(4), FileFormat.FORMAT_VERSION);
+    assert.equal(FileFormat.hasHeader(buffer), true);
+  });
+});
+
+describe("File Format: Decoding", () => {
+  it("should decode header and payload successfully", () => {
+    let error = null;
+    let result;
+    try {
+      result = FileFormat.decode(
+        FileFormat.encode(SAMPLE_HEADER, SAMPLE_PAYLOAD)
+      );
+    } catch (e) {
+      console.log(e);
+      error = e;
+    }
+    assert.equal(error, null);
+    assert.equal(result.version, FileFormat.FORMAT_VERSION);
+    assert.deepStrictEqual(result.header, SAMPLE_HEADER);
+    assert.equal(result.payload.toString("utf-8"), SAMPLE_PAYLOAD);
+  });
+
+  it("should decode files without header as legacy format", () => {
+    const buffer = Buffer.from(SAMPLE_PAYLOAD, "utf-8");
+    const result = FileFormat.decode(buffer);
+    assert.equal(FileFormat.hasHeader(buffer), false);
+    assert.equal(result.version, FileFormat.LEGACY_FORMAT_VERSION);
+    assert.equal(result.header.cipher, "aes-256-cbc");
+    assert.equal(result.payload.toString("utf-8"), SAMPLE_PAYLOAD);
+  });
+
+  it("should throw error when format version is newer than supported", () => {
+    const buffer = FileFormat.encode(SAMPLE_HEADER, SAMPLE_PAYLOAD);
+    buffer.writeUInt8(FileFormat.FORMAT_VERSION + 1, 4);
+    assert.throws(() => {
+      FileFormat.decode(buffer);
+    });
+  });
+
+  it("should throw error when header is truncated", () => {
+    const buffer = FileFormat.encode(SAMPLE_HEADER, SAMPLE_PAYLOAD);
+    assert.throws(() => {
+      FileFormat.decode(buffer.subarray(0, 20));
+    });
+  });
+});
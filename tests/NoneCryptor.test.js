@@ -0,0 +1,21 @@
+const assert = require("assert");
+const NoneCryptor = require("../NoneCryptor");
+
+describe("None Cryptor: Encryption and Decryption", () => {
+  const stringifiedSampleData = JSON.stringify({ name: "John", age: 23 });
+
+  it("should return data unchanged", () => {
+    const cryptor = new NoneCryptor();
+    const encryptedData = cryptor.encrypt(stringifiedSampleData);
+    assert.equal(encryptedData, stringifiedSampleData);
+    assert.equal(cryptor.decrypt(encryptedData), stringifiedSampleData);
+    assert.equal(cryptor.getAlgorithm(), "none");
+  });
+
+  it("should return data unchanged asynchronously", async () => {
+    const cryptor = new NoneCryptor();
+    const encryptedData = await cryptor.encryptAsync(stringifiedSampleData);
+    const decryptedData = await cryptor.decryptAsync(encryptedData);
+    assert.equal(decryptedData, stringifiedSampleData);
+  });
+});
@@ -0,0 +1,319 @@
+const assert = require("assert");
+const Query = require("../Query");
+
+const SAMPLE_ARTICLE = {
+  id: "1",
+  title: "Encrypted JSON",
+  rating: 4,
+  status: "published",
+  author: { name: "John", email: null },
+  tags: ["security", "node"],
+  comments: [{ author: "Jane" }, { author: "Joe" }],
+  createdAt: "2024-05-01T00:00:00.000Z",
+};
+
+describe("Query: Field conditions", () => {
+  it("should match values and nested fields by equality", () => {
+    assert.equal(Query.matches(SAMPLE_ARTICLE, { status: "published" }), true);
+    assert.equal(
+      Query.matches(SAMPLE_ARTICLE, { "author.name": "John" }),
+      true
+    );
+    assert.equal(
+      Query.matches(SAMPLE_ARTICLE, { "author.name": "Jane" }),
+      false
+    );
+    assert.equal(
+      Query.matches(SAMPLE_ARTICLE, { author: { name: "John", email: null } }),
+      true
+    );
+  });
+
+  it("should match lists and their elements", () => {
+    assert.equal(Query.matches(SAMPLE_ARTICLE, { tags: "node" }), true);
+    assert.equal(
+      Query.matches(SAMPLE_ARTICLE, { tags: ["security", "node"] }),
+      true
+    );
+    assert.equal(Query.matches(SAMPLE_ARTICLE, { "tags.0": "security" }), true);
+    assert.equal(
+      Query.matches(SAMPLE_ARTICLE, { "comments.author": "Joe" }),
+      true
+    );
+  });
+
+  it("should support comparison operators", () => {
+    assert.equal(
+      Query.matches(SAMPLE_ARTICLE, { rating: { $gte: 4, $lt: 5 } }),
+      true
+    );
+    assert.equal(Query.matches(SAMPLE_ARTICLE, { rating: { $gt: 4 } }), false);
+    assert.equal(Query.matches(SAMPLE_ARTICLE, { rating: { $lte: 4 } }), true);
+    assert.equal(Query.matches(SAMPLE_ARTICLE, { rating: { $ne: 4 } }), false);
+    assert.equal(Query.matches(SAMPLE_ARTICLE, { rating: { $eq: 4 } }), true);
+    // numbers are not compared with strings
+    assert.equal(
+      Query.matches(SAMPLE_ARTICLE, { rating: { $gt: "1" } }),
+      false
+    );
+  });
+
+  it("should compare dates with date strings", () => {
+    assert.equal(
+      Query.matches(SAMPLE_ARTICLE, {
+        createdAt: {
+          $gte: new Date("2024-01-01"),
+          $lt: new Date("2025-01-01"),
+        },
+      }),
+      true
+    );
+    assert.equal(
+      Query.matches(
+        { createdAt: new Date("2024-05-01") },
+        { createdAt: { $gt: new Date("2024-06-01") } }
+      ),
+      false
+    );
+  });
+
+  it("should support [$in], [$nin], [$exists] and [$regex]", () => {
+    assert.equal(
+      Query.matches(SAMPLE_ARTICLE, {
+        status: { $in: ["draft", "published"] },
+      }),
+      true
+    );
+    assert.equal(
+      Query.matches(SAMPLE_ARTICLE, { tags: { $nin: ["node"] } }),
+      false
+    );
+    assert.equal(
+      Query.matches(SAMPLE_ARTICLE, { "author.email": { $exists: true } }),
+      true
+    );
+    assert.equal(
+      Query.matches(SAMPLE_ARTICLE, { "author.phone": { $exists: false } }),
+      true
+    );
+    assert.equal(Query.matches(SAMPLE_ARTICLE, { "author.phone": null }), true);
+    assert.equal(
+      Query.matches(SAMPLE_ARTICLE, {
+        title: { $regex: "^encrypted", $options: "i" },
+      }),
+      true
+    );
+    assert.equal(Query.matches(SAMPLE_ARTICLE, { title: /json$/ }), false);
+  });
+});
+
+describe("Query: Logical operators", () => {
+  it("should support [$and], [$or] and [$not]", () => {
+    assert.equal(
+      Query.matches(SAMPLE_ARTICLE, {
+        $and: [{ rating: { $gt: 3 } }, { status: "published" }],
+      }),
+      true
+    );
+    assert.equal(
+      Query.matches(SAMPLE_ARTICLE, {
+        $or: [{ status: "draft" }, { "author.name": "John" }],
+      }),
+      true
+    );
+    assert.equal(
+      Query.matches(SAMPLE_ARTICLE, { $not: { status: "published" } }),
+      false
+    );
+    assert.equal(
+      Query.matches(SAMPLE_ARTICLE, { rating: { $not: { $lt: 3 } } }),
+      true
+    );
+  });
+});
+
+describe("Query: Invalid filters", () => {
+  const getError = (filter) => {
+    let error = null;
+    try {
+      Query.compileFilter(filter);
+    } catch (e) {
+      error = e;
+    }
+    return error;
+  };
+
+  it("should throw error for unknown operators", () => {
+    assert.ok(
+      getError({ rating: { $between: [1, 3] } }).message.includes("[$between]")
+    );
+    assert.ok(getError({ $nor: [{ rating: 1 }] }).message.includes("[$nor]"));
+  });
+
+  it("should throw error for invalid operands", () => {
+    assert.notEqual(getError({ status: { $in: "draft" } }), null);
+    assert.notEqual(getError({ status: { $exists: 1 } }), null);
+    assert.notEqual(getError({ status: { $regex: 1 } }), null);
+    assert.notEqual(getError({ $or: [] }), null);
+    assert.notEqual(getError({ rating: { $gt: 1, value: 1 } }), null);
+    assert.notEqual(getError("status"), null);
+  });
+});
+
+describe("Query: Find options", () => {
+  const SAMPLE_ARTICLES = [
+    { id: "1", title: "b", rating: 3, author: { name: "John", email: "j" } },
+    { id: "2", title: "a", rating: 5, author: { name: "Jane", email: "a" } },
+    { id: "3", title: "c", rating: 3, author: { name: "Joe", email: "o" } },
+    { id: "4", title: "d", author: { name: "Jim", email: "i" } },
+  ];
+  const getIds = (data) => data.map((a) => a.id);
+
+  it("should sort by several fields stably", () => {
+    assert.deepEqual(
+      getIds(
+        Query.applyOptions(SAMPLE_ARTICLES, { sort: { rating: -1 } }, "id")
+      ),
+      ["2", "1", "3", "4"]
+    );
+    assert.deepEqual(
+      getIds(
+        Query.applyOptions(
+          SAMPLE_ARTICLES,
+          { sort: { rating: "asc", "author.name": "desc" } },
+          "id"
+        )
+      ),
+      ["4", "1", "3", "2"]
+    );
+    // the given list is not sorted
+    assert.deepEqual(getIds(SAMPLE_ARTICLES), ["1", "2", "3", "4"]);
+  });
+
+  it("should sort dates and date strings alike", () => {
+    const data = [
+      { id: "1", createdAt: "2024-05-01T00:00:00.000Z" },
+      { id: "2", createdAt: new Date("2024-01-01") },
+    ];
+    assert.deepEqual(
+      getIds(Query.applyOptions(data, { sort: { createdAt: 1 } }, "id")),
+      ["2", "1"]
+    );
+  });
+
+  it("should paginate with [skip], [limit] and [after]", () => {
+    assert.deepEqual(
+      getIds(Query.applyOptions(SAMPLE_ARTICLES, { skip: 1, limit: 2 }, "id")),
+      ["2", "3"]
+    );
+    assert.deepEqual(
+      getIds(
+        Query.applyOptions(
+          SAMPLE_ARTICLES,
+          { sort: { title: 1 }, after: "1", limit: 1 },
+          "id"
+        )
+      ),
+      ["3"]
+    );
+  });
+
+  it("should continue after a cursor which is no longer among the data objects", () => {
+    const byRating = { sort: { rating: -1 } };
+    // the cursor no longer matches the filter
+    assert.deepEqual(
+      getIds(
+        Query.applyOptions(
+          SAMPLE_ARTICLES.filter((a) => a.id !== "1"),
+          { ...byRating, after: "1" },
+          "id",
+          SAMPLE_ARTICLES
+        )
+      ),
+      ["3", "4"]
+    );
+    // the cursor has been deleted
+    assert.deepEqual(
+      getIds(
+        Query.applyOptions(
+          SAMPLE_ARTICLES.filter((a) => a.id !== "2"),
+          { ...byRating, after: SAMPLE_ARTICLES[1] },
+          "id"
+        )
+      ),
+      ["1", "3", "4"]
+    );
+    // a changed cursor continues at its previous sort position, and data objects
+    // with the same sort fields as a changed or deleted cursor are not skipped
+    assert.deepEqual(
+      getIds(
+        Query.applyOptions(
+          SAMPLE_ARTICLES,
+          { ...byRating, after: { ...SAMPLE_ARTICLES[2], rating: 2 } },
+          "id"
+        )
+      ),
+      ["4"]
+    );
+    assert.deepEqual(
+      getIds(
+        Query.applyOptions(
+          SAMPLE_ARTICLES,
+          { ...byRating, after: { id: "5", rating: 3 } },
+          "id"
+        )
+      ),
+      ["1", "3", "4"]
+    );
+    assert.throws(
+      () => Query.applyOptions(SAMPLE_ARTICLES, { after: { id: "5" } }, "id"),
+      /with option \[sort\]/
+    );
+  });
+
+  it("should include or exclude fields", () => {
+    assert.deepEqual(
+      Query.applyOptions(
+        SAMPLE_ARTICLES,
+        { fields: ["author.name"], limit: 1 },
+        "id"
+      ),
+      [{ id: "1", author: { name: "John" } }]
+    );
+    assert.deepEqual(
+      Query.applyOptions(
+        SAMPLE_ARTICLES,
+        { fields: { title: 1, id: 0 }, limit: 1 },
+        "id"
+      ),
+      [{ title: "b" }]
+    );
+    assert.deepEqual(
+      Query.applyOptions(
+        SAMPLE_ARTICLES,
+        { fields: { "author.email": 0, rating: 0 }, limit: 1 },
+        "id"
+      ),
+      [{ id: "1", title: "b", author: { name: "John" } }]
+    );
+    // the data objects are not changed
+    assert.equal(SAMPLE_ARTICLES[0].author.email, "j");
+  });
+
+  it("should throw error for invalid options", () => {
+    const getError = (options) => {
+      let error = null;
+      try {
+        Query.applyOptions(SAMPLE_ARTICLES, options, "id");
+      } catch (e) {
+        error = e;
+      }
+      return error;
+    };
+    assert.notEqual(getError({ sort: { rating: "up" } }), null);
+    assert.notEqual(getError({ skip: -1 }), null);
+    assert.notEqual(getError({ limit: 1.5 }), null);
+    assert.notEqual(getError({ after: "unknown" }), null);
+    assert.notEqual(getError({ fields: { title: 1, rating: 0 } }), null);
+  });
+});